@@ -0,0 +1,301 @@
+'use strict';
+
+/**
+ * Evaluación offline del prompt de intake: reproduce conversaciones grabadas (eval/fixtures/intake/*.json)
+ * con analyzeMessage y reporta la precisión por campo (isComplete, category, description, zone, urgency).
+ *
+ * Uso:
+ *   npm run eval:intake -- [--provider rules|gemini|openai] [--cache replay|record|off]
+ *                          [--fixture <id>] [--compare <resultado.json>] [--verbose]
+ *
+ *   --provider  Proveedor de llm.service a evaluar. Default rules (motor determinístico, sin red ni API key):
+ *               sirve como chequeo de humo de los fixtures, no mide la calidad del prompt.
+ *   --cache     replay (default con gemini/openai): solo respuestas grabadas en eval/cache, sin red; un turno
+ *               sin grabar falla. No hay respuestas grabadas en el repo: la primera corrida de un LLM va con
+ *               --cache record (necesita la API key) y lo grabado en eval/cache/intake se committea.
+ *               record: usa lo grabado y llama al proveedor (y graba) lo que falte.
+ *               off: siempre llama al proveedor, sin grabar. Con --provider rules el default es off.
+ *   --compare   Resultado anterior (eval/results/...) para mostrar la diferencia de precisión por campo.
+ *
+ * La clave del cache es el hash del request completo (system prompt incluido): cambiar el prompt invalida
+ * lo grabado, así cada versión del prompt (getPromptVersion) tiene sus propias respuestas.
+ *
+ * La evaluación no usa Postgres: sesiones en memoria, sin contabilidad de uso y db.service reemplazado por un
+ * stub (cargarlo abre el pool y corre initDB; si algo llegara a llamarlo, el turno falla con el nombre de la función).
+ *
+ * Formato de fixture:
+ *   { "id", "description", "turns": [ { "user": "texto", "pinZone"?: "zona de un pin",
+ *       "expect": { "intent"?, "isComplete"?, "extractedData"?: { campo: esperado }, "replyIncludes"?: "texto" } } ] }
+ *   esperado: "texto" (igual, sin distinguir mayúsculas/tildes) | null (vacío) | { "contains": "texto" }
+ *             | { "oneOf": ["a", "b"] } | { "present": true|false }. Los campos omitidos no se puntúan.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sesiones en memoria y sin contabilidad de uso: la evaluación no necesita (ni toca) Postgres.
+process.env.AI_SESSION_STORE = 'memory';
+process.env.LLM_USAGE_TRACKING = 'off';
+
+const Module = require('module');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'intake');
+const CACHE_DIR = path.join(__dirname, 'cache', 'intake');
+const RESULTS_DIR = path.join(__dirname, 'results');
+const SCORED_FIELDS = ['isComplete', 'category', 'description', 'zone', 'urgency'];
+
+/** Reemplaza db.service en el cache de require antes de cargar los servicios (ver encabezado). */
+function stubDatabase() {
+    const dbPath = require.resolve('../src/services/db.service');
+    const stub = new Module(dbPath);
+    stub.filename = dbPath;
+    stub.loaded = true;
+    stub.exports = new Proxy({}, {
+        get: (_target, name) => (typeof name === 'symbol' ? undefined : async () => {
+            throw new Error(`db.service.${name} no está disponible en la evaluación`);
+        }),
+    });
+    require.cache[dbPath] = stub;
+}
+
+function hasRecordedResponses() {
+    return fs.existsSync(CACHE_DIR) && fs.readdirSync(CACHE_DIR).some((file) => file.endsWith('.json'));
+}
+
+function parseArgs(argv) {
+    const args = { provider: 'rules', cache: null, fixture: null, compare: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--provider') args.provider = argv[++i];
+        else if (arg === '--cache') args.cache = argv[++i];
+        else if (arg === '--fixture') args.fixture = argv[++i];
+        else if (arg === '--compare') args.compare = argv[++i];
+        else throw new Error(`Argumento desconocido: ${arg}`);
+    }
+    if (!args.cache) args.cache = args.provider === 'rules' ? 'off' : 'replay';
+    if (!['replay', 'record', 'off'].includes(args.cache)) {
+        throw new Error(`--cache inválido: ${args.cache} (replay | record | off)`);
+    }
+    return args;
+}
+
+function fold(value) {
+    return String(value ?? '').trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function isEmpty(value) {
+    return value == null || String(value).trim() === '';
+}
+
+function matches(expected, actual) {
+    if (expected === null) return isEmpty(actual);
+    if (typeof expected === 'boolean') return actual === expected;
+    if (typeof expected === 'string') return fold(actual) === fold(expected);
+    if (expected && typeof expected === 'object') {
+        if ('contains' in expected) return !isEmpty(actual) && fold(actual).includes(fold(expected.contains));
+        if ('oneOf' in expected) return expected.oneOf.some((option) => matches(option, actual));
+        if ('present' in expected) return !isEmpty(actual) === Boolean(expected.present);
+    }
+    throw new Error(`Expectativa no soportada: ${JSON.stringify(expected)}`);
+}
+
+function loadFixtures(filterId) {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')))
+        .filter((fixture) => !filterId || fixture.id === filterId);
+}
+
+/** Proveedor que responde desde eval/cache y delega en el real según --cache. */
+function createCachingProvider(target, targetName, mode, stats) {
+    return {
+        isConfigured: () => true,
+        async generate(request) {
+            const key = crypto.createHash('sha256').update(JSON.stringify({
+                provider: targetName,
+                task: request.task,
+                systemInstruction: request.systemInstruction || null,
+                contents: request.contents,
+                responseSchema: request.responseSchema || null
+            })).digest('hex');
+            const file = path.join(CACHE_DIR, `${key}.json`);
+
+            if (mode !== 'off' && fs.existsSync(file)) {
+                stats.cacheHits++;
+                const cached = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return { text: cached.text, model: cached.model, usage: cached.usage || null };
+            }
+            if (mode === 'replay') {
+                stats.cacheMisses++;
+                throw new Error(`Respuesta no grabada (${key.slice(0, 12)}); correr con --cache record`);
+            }
+
+            stats.liveCalls++;
+            const result = await target.generate(request);
+            if (mode === 'record') {
+                fs.mkdirSync(CACHE_DIR, { recursive: true });
+                fs.writeFileSync(file, `${JSON.stringify({ provider: targetName, task: request.task, model: result.model, usage: result.usage || null, text: result.text, recordedAt: new Date().toISOString() }, null, 2)}\n`);
+            }
+            return result;
+        },
+    };
+}
+
+function scoreTurn(expect, result, fieldTotals) {
+    const mismatches = [];
+    const check = (field, expected, actual) => {
+        const ok = matches(expected, actual);
+        fieldTotals[field].total++;
+        if (ok) fieldTotals[field].correct++;
+        else mismatches.push({ field, expected, actual: actual ?? null });
+    };
+
+    if (expect.intent) {
+        if (!fieldTotals.intent) fieldTotals.intent = { correct: 0, total: 0 };
+        check('intent', expect.intent, result?.intent);
+    }
+    if ('isComplete' in expect) check('isComplete', expect.isComplete, Boolean(result?.isComplete));
+    for (const [field, expected] of Object.entries(expect.extractedData || {})) {
+        if (!fieldTotals[field]) fieldTotals[field] = { correct: 0, total: 0 };
+        check(field, expected, result?.extractedData?.[field]);
+    }
+    if (expect.replyIncludes) {
+        if (!fieldTotals.reply) fieldTotals.reply = { correct: 0, total: 0 };
+        check('reply', { contains: expect.replyIncludes }, result?.replyToClient);
+    }
+    return mismatches;
+}
+
+async function runFixture(fixture, ai, fieldTotals) {
+    const sessionId = `eval:${fixture.id}`;
+    await ai.clearUserSession(sessionId);
+    const turns = [];
+    for (const [index, turn] of fixture.turns.entries()) {
+        if (turn.pinZone) await ai.setSessionZone(sessionId, turn.pinZone);
+        const result = await ai.analyzeMessage(sessionId, turn.user);
+        if (!result || result.error) {
+            for (const field of Object.keys(fieldTotals)) {
+                const expected = field === 'isComplete' ? turn.expect?.isComplete : turn.expect?.extractedData?.[field];
+                if (expected !== undefined) fieldTotals[field].total++;
+            }
+            turns.push({ turn: index + 1, user: turn.user, ok: false, error: result?.error || 'sin respuesta' });
+            continue;
+        }
+        const mismatches = scoreTurn(turn.expect || {}, result, fieldTotals);
+        turns.push({ turn: index + 1, user: turn.user, ok: mismatches.length === 0, mismatches, result });
+    }
+    await ai.clearUserSession(sessionId);
+    return { id: fixture.id, ok: turns.every((t) => t.ok), turns };
+}
+
+function accuracy({ correct, total }) {
+    return total ? correct / total : null;
+}
+
+function formatPct(value) {
+    return value == null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(report, previous) {
+    const out = (line = '') => process.stdout.write(`${line}\n`);
+    out(`Prompt ${report.promptVersion.version} (${report.promptVersion.hash}) · proveedor ${report.provider} · cache ${report.cacheMode}`);
+    out();
+    for (const fixture of report.fixtures) {
+        out(`${fixture.ok ? '✔' : '✘'} ${fixture.id}`);
+        for (const turn of fixture.turns.filter((t) => !t.ok)) {
+            if (turn.error) {
+                out(`    turno ${turn.turn}: error: ${turn.error}`);
+                continue;
+            }
+            for (const m of turn.mismatches) {
+                out(`    turno ${turn.turn}: ${m.field} esperado ${JSON.stringify(m.expected)}, obtenido ${JSON.stringify(m.actual)}`);
+            }
+        }
+    }
+    out();
+    out(`Campo         Aciertos   Precisión${previous ? '   Anterior   Δ' : ''}`);
+    for (const [field, totals] of Object.entries(report.fields)) {
+        const current = accuracy(totals);
+        let line = `${field.padEnd(13)} ${`${totals.correct}/${totals.total}`.padStart(8)}   ${formatPct(current)}`;
+        if (previous) {
+            const before = previous.fields?.[field] ? accuracy(previous.fields[field]) : null;
+            const delta = current != null && before != null ? (current - before) * 100 : null;
+            line += `   ${formatPct(before)}   ${delta == null ? '-' : `${delta >= 0 ? '+' : ''}${delta.toFixed(1)}`}`;
+        }
+        out(line);
+    }
+    out();
+    out(`Fixtures OK: ${report.fixtures.filter((f) => f.ok).length}/${report.fixtures.length}` +
+        ` · cache: ${report.stats.cacheHits} hits, ${report.stats.cacheMisses} sin grabar, ${report.stats.liveCalls} llamadas en vivo`);
+    if (previous) out(`Comparado con: ${previous.promptVersion?.version} (${previous.promptVersion?.hash}) del ${previous.finishedAt}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const previous = args.compare ? JSON.parse(fs.readFileSync(args.compare, 'utf8')) : null;
+
+    const appConsole = { log: console.log, warn: console.warn, error: console.error };
+    if (!args.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+        console.error = () => {};
+    }
+
+    if (args.cache === 'replay' && !hasRecordedResponses()) {
+        throw new Error(`No hay respuestas grabadas en ${path.relative(process.cwd(), CACHE_DIR)}: correr con --cache record (necesita API key) o usar --provider rules`);
+    }
+
+    stubDatabase();
+    const llm = require('../src/services/llm.service');
+    const target = llm.getLlmProvider(args.provider);
+    if (!target) throw new Error(`Proveedor desconocido: ${args.provider}`);
+    if (args.cache !== 'replay' && !target.isConfigured()) {
+        throw new Error(`El proveedor ${args.provider} no está configurado (revisar API key en .env)`);
+    }
+    const stats = { cacheHits: 0, cacheMisses: 0, liveCalls: 0 };
+    llm.registerLlmProvider('eval', createCachingProvider(target, args.provider, args.cache, stats));
+    process.env.LLM_PROVIDERS = 'eval';
+
+    const ai = require('../src/services/ai.service');
+    const fixtures = loadFixtures(args.fixture);
+    if (fixtures.length === 0) throw new Error('No hay fixtures para correr');
+
+    const startedAt = new Date().toISOString();
+    const fields = Object.fromEntries(SCORED_FIELDS.map((f) => [f, { correct: 0, total: 0 }]));
+    const results = [];
+    for (const fixture of fixtures) {
+        results.push(await runFixture(fixture, ai, fields));
+    }
+    Object.assign(console, appConsole);
+
+    const report = {
+        promptVersion: ai.getPromptVersion(),
+        provider: args.provider,
+        cacheMode: args.cache,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        fields,
+        stats,
+        fixtures: results,
+    };
+    fs.mkdirSync(RESULTS_DIR, { recursive: true });
+    const stamp = report.finishedAt.replace(/[:.]/g, '-');
+    const resultsFile = path.join(RESULTS_DIR, `${report.promptVersion.version}-${report.promptVersion.hash}-${args.provider}-${stamp}.json`);
+    fs.writeFileSync(resultsFile, `${JSON.stringify(report, null, 2)}\n`);
+
+    printReport(report, previous);
+    process.stdout.write(`Resultado guardado en ${path.relative(process.cwd(), resultsFile)}\n`);
+    return results.some((f) => f.turns.some((t) => t.error)) ? 1 : 0;
+}
+
+main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+        process.stderr.write(`[eval] ${err.message}\n`);
+        process.exit(1);
+    });
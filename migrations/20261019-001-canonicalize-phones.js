@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Migración: normaliza al formato canónico (E.164 sin "+", ver src/utils/phoneNumber.js) todos los
+ * números guardados como identidad: tickets.phone_number / provider_phone, chat_logs, outbound_messages
+ * y las tablas con el número como clave (users, service_windows, communication_preferences, ai_sessions).
+ * Las búsquedas pasaron de LIKE '%' || últimos 10 dígitos a igualdad exacta, así que los números guardados
+ * en otro formato (+54 9 ..., 54..., locales) dejarían de encontrarse.
+ *
+ * Si en una tabla con clave por número ya existe la fila canónica, la vieja se fusiona en ella y se borra:
+ *   users                     → términos aceptados y bot pausado si cualquiera de las dos lo tenía.
+ *   service_windows           → el último mensaje entrante más reciente.
+ *   communication_preferences → el nivel más restrictivo (una baja nunca se pierde).
+ *   ai_sessions               → la sesión con el mensaje más reciente.
+ * Identidades de otros canales (tg:, sms:) y números que no se pueden interpretar no se tocan.
+ * Idempotente: solo procesa valores que difieren del canónico. Cada número va en su propia transacción.
+ *
+ * Uso: desde la raíz del notification-service con DATABASE_URL en el entorno:
+ *   node migrations/20261019-001-canonicalize-phones.js
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { toCanonicalPhone } = require('../src/utils/phoneNumber');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL && process.env.DATABASE_URL.includes('railway') ? { rejectUnauthorized: false } : undefined
+});
+
+// Columnas sin restricción de unicidad: se reescriben en el lugar.
+const PHONE_COLUMNS = [
+    { table: 'tickets', column: 'phone_number' },
+    { table: 'tickets', column: 'provider_phone' },
+    { table: 'chat_logs', column: 'phone_number' },
+    { table: 'outbound_messages', column: 'phone_number' },
+];
+
+// Tablas con phone_number como PRIMARY KEY. merge: $1 = canónico, $2 = viejo.
+const KEYED_TABLES = [
+    {
+        table: 'users',
+        merge: `UPDATE users c SET
+                    terms_accepted = COALESCE(c.terms_accepted, false) OR COALESCE(l.terms_accepted, false),
+                    accepted_at = COALESCE(c.accepted_at, l.accepted_at),
+                    terms_version = COALESCE(c.terms_version, l.terms_version),
+                    is_bot_paused = COALESCE(c.is_bot_paused, false) OR COALESCE(l.is_bot_paused, false)
+                FROM users l WHERE c.phone_number = $1 AND l.phone_number = $2`,
+    },
+    {
+        table: 'service_windows',
+        merge: `UPDATE service_windows c SET last_inbound_at = GREATEST(c.last_inbound_at, l.last_inbound_at), updated_at = NOW()
+                FROM service_windows l WHERE c.phone_number = $1 AND l.phone_number = $2`,
+    },
+    {
+        table: 'communication_preferences',
+        merge: `UPDATE communication_preferences c SET
+                    level = CASE WHEN 'none' IN (c.level, l.level) THEN 'none'
+                                 WHEN 'transactional' IN (c.level, l.level) THEN 'transactional'
+                                 ELSE 'all' END,
+                    updated_at = NOW()
+                FROM communication_preferences l WHERE c.phone_number = $1 AND l.phone_number = $2`,
+    },
+    {
+        table: 'ai_sessions',
+        merge: `UPDATE ai_sessions c SET
+                    history = l.history, summary = l.summary, extracted_data = l.extracted_data,
+                    pinned_zone = l.pinned_zone, turn_count = l.turn_count, last_message_at = l.last_message_at
+                FROM ai_sessions l
+                WHERE c.phone_number = $1 AND l.phone_number = $2 AND l.last_message_at > c.last_message_at`,
+    },
+];
+
+/** Valores distintos de la columna que no son canónicos → [{ phone, canonical }] (y cuántos no se reconocen). */
+async function findNonCanonical(table, column) {
+    const { rows } = await pool.query(
+        `SELECT DISTINCT ${column} AS phone FROM ${table} WHERE ${column} IS NOT NULL AND ${column} NOT LIKE '%:%'`
+    );
+    const pending = [];
+    let skipped = 0;
+    for (const { phone } of rows) {
+        const canonical = toCanonicalPhone(phone);
+        if (!canonical) skipped++;
+        else if (canonical !== phone) pending.push({ phone, canonical });
+    }
+    return { pending, skipped };
+}
+
+async function canonicalizeColumn({ table, column }) {
+    const { pending, skipped } = await findNonCanonical(table, column);
+    let updated = 0;
+    for (const { phone, canonical } of pending) {
+        const result = await pool.query(`UPDATE ${table} SET ${column} = $1 WHERE ${column} = $2`, [canonical, phone]);
+        updated += result.rowCount;
+    }
+    return { updated, skipped };
+}
+
+async function canonicalizeKeyedTable({ table, merge }) {
+    const { pending, skipped } = await findNonCanonical(table, 'phone_number');
+    let updated = 0;
+    let merged = 0;
+    for (const { phone, canonical } of pending) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const { rowCount } = await client.query(`SELECT 1 FROM ${table} WHERE phone_number = $1 FOR UPDATE`, [canonical]);
+            if (rowCount > 0) {
+                await client.query(merge, [canonical, phone]);
+                await client.query(`DELETE FROM ${table} WHERE phone_number = $1`, [phone]);
+                merged++;
+            } else {
+                await client.query(`UPDATE ${table} SET phone_number = $1 WHERE phone_number = $2`, [canonical, phone]);
+                updated++;
+            }
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+    return { updated, merged, skipped };
+}
+
+async function run() {
+    if (!process.env.DATABASE_URL) {
+        console.error('DATABASE_URL no está definida.');
+        process.exit(1);
+    }
+    try {
+        for (const target of PHONE_COLUMNS) {
+            const { updated, skipped } = await canonicalizeColumn(target);
+            console.log(`[Migration] 20261019-001: ${target.table}.${target.column} → ${updated} actualizados, ${skipped} sin formato reconocible.`);
+        }
+        for (const target of KEYED_TABLES) {
+            const { updated, merged, skipped } = await canonicalizeKeyedTable(target);
+            console.log(`[Migration] 20261019-001: ${target.table} → ${updated} actualizados, ${merged} fusionados con la fila canónica, ${skipped} sin formato reconocible.`);
+        }
+    } catch (err) {
+        console.error('[Migration] Error:', err.message);
+        process.exit(1);
+    } finally {
+        await pool.end();
+    }
+}
+
+run();
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Plantillas de email para profesionales (y copias a admins).
+ *
+ * Cada entrada arma { subject, text, html } a partir de un objeto de contexto que pasa el caller.
+ * El HTML es deliberadamente simple (una tabla, estilos inline) para que se vea bien en cualquier cliente.
+ */
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAmount(amount) {
+    const n = Number(amount) || 0;
+    return `$${n.toLocaleString('es-AR', { maximumFractionDigits: 2 })}`;
+}
+
+function greeting(name) {
+    return name ? `¡Hola ${name}!` : '¡Hola!';
+}
+
+/** Envuelve párrafos (ya escapados) en el layout común. */
+function layout(title, paragraphs, cta) {
+    const body = paragraphs.map((p) => `<p style="margin:0 0 12px">${p}</p>`).join('\n');
+    const button = cta
+        ? `<p style="margin:20px 0"><a href="${escapeHtml(cta.url)}" style="background:#2563eb;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">${escapeHtml(cta.label)}</a></p>`
+        : '';
+    return `<!doctype html>
+<html lang="es"><body style="font-family:Arial,sans-serif;color:#111;background:#f6f7f9;padding:24px">
+<table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+<tr><td>
+<h2 style="margin:0 0 16px">${escapeHtml(title)}</h2>
+${body}
+${button}
+<p style="margin:24px 0 0;color:#6b7280;font-size:12px">miservicio · Podés cambiar cómo te avisamos desde tu panel.</p>
+</td></tr></table>
+</body></html>`;
+}
+
+const TEMPLATES = {
+    // POST /tickets/:id/assign
+    provider_new_assignment(ctx) {
+        const category = ctx.category || 'servicio';
+        const lines = [
+            greeting(ctx.providerName),
+            `Tenés un nuevo trabajo de ${category} asignado.`,
+            ctx.description ? `Pedido: "${ctx.description}"` : null,
+            ctx.zone ? `Zona: ${ctx.zone}` : null,
+            ctx.clientLink ? `Escribile al cliente: ${ctx.clientLink}` : 'El cliente te va a escribir en breve para coordinar.',
+        ].filter(Boolean);
+        return {
+            subject: `Nuevo trabajo asignado: ${category}`,
+            text: lines.join('\n\n'),
+            html: layout(
+                'Nuevo trabajo asignado',
+                lines.map(escapeHtml),
+                ctx.clientLink && ctx.clientLink.startsWith('http') ? { url: ctx.clientLink, label: 'Escribirle al cliente' } : null
+            ),
+        };
+    },
+
+    // Shadow Ledger: el profesional informó el monto final.
+    ticket_completion_receipt(ctx) {
+        const amount = formatAmount(ctx.amount);
+        const lines = [
+            greeting(ctx.providerName),
+            `Registramos el cierre del pedido #${ctx.ticketId}${ctx.category ? ` (${ctx.category})` : ''}.`,
+            `Monto informado: ${amount}.`,
+            'Este registro suma a tu historial financiero en miservicio.',
+        ];
+        return {
+            subject: `Comprobante de trabajo #${ctx.ticketId}: ${amount}`,
+            text: lines.join('\n\n'),
+            html: layout('Trabajo completado', lines.map(escapeHtml)),
+        };
+    },
+
+    // Cron mensual: resumen de ingresos del mes anterior.
+    monthly_earnings_summary(ctx) {
+        const total = formatAmount(ctx.totalAmount);
+        const lines = [
+            greeting(ctx.providerName),
+            `Este es tu resumen de ${ctx.monthLabel}:`,
+            `Trabajos completados: ${ctx.jobCount}.`,
+            `Ingresos informados: ${total}.`,
+            ctx.averageRating ? `Calificación promedio: ${Number(ctx.averageRating).toFixed(1)} ⭐.` : null,
+        ].filter(Boolean);
+        return {
+            subject: `Tu resumen de ${ctx.monthLabel} en miservicio`,
+            text: lines.join('\n\n'),
+            html: layout(`Resumen de ${ctx.monthLabel}`, lines.map(escapeHtml), { url: `${FRONTEND_URL}/panel`, label: 'Ver mi panel' }),
+        };
+    },
+
+    // Recalculo de score: el nivel crediticio cambió.
+    credit_level_change(ctx) {
+        const improved = ctx.direction === 'up';
+        const lines = [
+            greeting(ctx.providerName),
+            improved
+                ? `¡Felicitaciones! Tu nivel en miservicio subió de ${ctx.previousLevel} a ${ctx.newLevel}.`
+                : `Tu nivel en miservicio bajó de ${ctx.previousLevel} a ${ctx.newLevel}.`,
+            `Puntaje actual: ${ctx.score}.`,
+            improved
+                ? 'Seguí así: responder rápido y registrar tus trabajos te mantiene arriba.'
+                : 'Responder rápido, contactar a tiempo a los clientes y registrar tus trabajos te ayuda a recuperarlo.',
+        ];
+        return {
+            subject: improved ? `Subiste a nivel ${ctx.newLevel}` : `Tu nivel cambió a ${ctx.newLevel}`,
+            text: lines.join('\n\n'),
+            html: layout('Cambio de nivel', lines.map(escapeHtml), { url: `${FRONTEND_URL}/panel`, label: 'Ver mi panel' }),
+        };
+    },
+};
+
+/**
+ * Renderiza una plantilla.
+ * @param {string} key - Clave del registro (ej. "provider_new_assignment").
+ * @param {object} context
+ * @returns {{ subject: string, text: string, html: string } | null}
+ */
+function renderEmailTemplate(key, context = {}) {
+    const template = TEMPLATES[key];
+    return template ? template(context) : null;
+}
+
+function listEmailTemplateKeys() {
+    return Object.keys(TEMPLATES);
+}
+
+module.exports = {
+    renderEmailTemplate,
+    listEmailTemplateKeys,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Esquema de la respuesta del modelo en cada turno del bot de tickets:
+ * { intent, isComplete, extractedData: { category, description, zone, urgency }, replyToClient }.
+ * intent distingue un pedido de servicio de un trabajador que quiere sumarse (provider_signup).
+ *
+ * INTAKE_RESPONSE_SCHEMA se pasa como salida estructurada (Gemini responseJsonSchema, OpenAI json_schema);
+ * validateIntakeResponse se aplica igual a toda respuesta, porque no todos los proveedores lo respetan.
+ */
+
+const ALLOWED_CATEGORIES = [
+    'Electricidad',
+    'Plomería',
+    'Gasistas',
+    'Jardinería',
+    'Metalurgía',
+    'Pintura',
+    'Mantenimiento y limpieza de piletas',
+    'Reparación de electrodomésticos',
+    'Aire acondicionado',
+];
+
+const URGENCY_LEVELS = ['alta', 'media', 'baja'];
+
+const INTENTS = ['service_request', 'provider_signup'];
+
+const nullableString = { type: ['string', 'null'] };
+
+const INTAKE_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        intent: { type: 'string', enum: INTENTS },
+        isComplete: { type: 'boolean' },
+        extractedData: {
+            type: 'object',
+            properties: {
+                category: { type: ['string', 'null'], enum: [...ALLOWED_CATEGORIES, null] },
+                description: nullableString,
+                zone: nullableString,
+                urgency: { type: ['string', 'null'], enum: [...URGENCY_LEVELS, null] },
+            },
+            required: ['category', 'description', 'zone', 'urgency'],
+            additionalProperties: false,
+        },
+        replyToClient: { type: 'string' },
+    },
+    required: ['intent', 'isComplete', 'extractedData', 'replyToClient'],
+    additionalProperties: false,
+};
+
+function foldText(value) {
+    return String(value).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+const CATEGORY_BY_FOLDED = new Map(ALLOWED_CATEGORIES.map((c) => [foldText(c), c]));
+
+/** Texto opcional: string recortado o null (vacío → null). */
+function optionalText(value, field, errors) {
+    if (value == null) return null;
+    if (typeof value !== 'string') {
+        errors.push(`extractedData.${field} debe ser string o null`);
+        return null;
+    }
+    return value.trim() || null;
+}
+
+/**
+ * Valida y normaliza la respuesta del modelo. Diferencias de mayúsculas / tildes en category y urgency
+ * se corrigen; valores fuera de las listas son error. Sin intent (proveedores que ignoran el esquema,
+ * respuestas grabadas viejas) se asume service_request.
+ * @param {any} data - JSON ya parseado.
+ * @returns {{ valid: boolean, errors: string[], value: object|null }}
+ */
+function validateIntakeResponse(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['la respuesta debe ser un objeto JSON'], value: null };
+    }
+    if (typeof data.isComplete !== 'boolean') errors.push('isComplete debe ser boolean');
+
+    let intent = 'service_request';
+    if (data.intent != null) {
+        intent = foldText(data.intent);
+        if (!INTENTS.includes(intent)) errors.push(`intent "${data.intent}" debe ser ${INTENTS.join(' o ')}`);
+    }
+
+    const ex = data.extractedData;
+    const extractedData = { category: null, description: null, zone: null, urgency: null };
+    if (!ex || typeof ex !== 'object' || Array.isArray(ex)) {
+        errors.push('extractedData debe ser un objeto');
+    } else {
+        if (ex.category != null) {
+            const category = CATEGORY_BY_FOLDED.get(foldText(ex.category));
+            if (category) extractedData.category = category;
+            else errors.push(`extractedData.category "${ex.category}" no es una categoría válida (${ALLOWED_CATEGORIES.join(', ')})`);
+        }
+        if (ex.urgency != null) {
+            const urgency = foldText(ex.urgency);
+            if (URGENCY_LEVELS.includes(urgency)) extractedData.urgency = urgency;
+            else errors.push(`extractedData.urgency "${ex.urgency}" debe ser alta, media, baja o null`);
+        }
+        extractedData.description = optionalText(ex.description, 'description', errors);
+        extractedData.zone = optionalText(ex.zone, 'zone', errors);
+    }
+
+    const replyToClient = typeof data.replyToClient === 'string' ? data.replyToClient.trim() : '';
+    if (!replyToClient) errors.push('replyToClient debe ser un texto no vacío');
+
+    if (errors.length > 0) return { valid: false, errors, value: null };
+    return { valid: true, errors, value: { intent, isComplete: data.isComplete, extractedData, replyToClient } };
+}
+
+module.exports = {
+    ALLOWED_CATEGORIES,
+    URGENCY_LEVELS,
+    INTENTS,
+    INTAKE_RESPONSE_SCHEMA,
+    validateIntakeResponse,
+};
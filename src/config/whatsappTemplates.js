@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Registro de plantillas aprobadas (HSM) de WhatsApp, usadas fuera de la ventana de 24 h.
+ *
+ * Cada entrada define el nombre de la plantilla en Meta, el idioma y el orden de los parámetros
+ * del body ({{1}}, {{2}}, ...) como claves del objeto de contexto que pasa el caller.
+ *
+ * Overrides por entorno:
+ *   WA_TEMPLATE_LANGUAGE — idioma por defecto (default "es_AR").
+ *   WA_TEMPLATE_<KEY>_NAME — nombre en Meta para una clave (ej. WA_TEMPLATE_PROVIDER_NEW_LEAD_NAME).
+ */
+
+const TEMPLATES = {
+    // Follow-up de contacto directo (followup.cron): días después del contacto.
+    direct_contact_followup: {
+        name: 'direct_contact_followup',
+        params: ['clientName', 'providerName', 'category', 'description'],
+    },
+    // POST /send-whatsapp: nuevo interesado para el profesional.
+    provider_new_lead: {
+        name: 'provider_new_lead',
+        params: ['workerName', 'category'],
+    },
+    // POST /tickets/:id/assign: aviso de trabajo asignado al profesional.
+    provider_new_assignment: {
+        name: 'provider_new_assignment',
+        params: ['providerName', 'category', 'clientLink'],
+    },
+    // POST /tickets/:id/complete: pedido del monto final (Shadow Ledger).
+    provider_amount_request: {
+        name: 'provider_amount_request',
+        params: [],
+    },
+};
+
+function envNameFor(key) {
+    return (process.env[`WA_TEMPLATE_${key.toUpperCase()}_NAME`] || '').trim();
+}
+
+/**
+ * Devuelve la definición resuelta de una plantilla.
+ * @param {string} key - Clave del registro (ej. "provider_new_lead").
+ * @returns {{ key: string, name: string, language: string, params: string[] } | null}
+ */
+function getTemplate(key) {
+    const def = TEMPLATES[key];
+    if (!def) return null;
+    return {
+        key,
+        name: envNameFor(key) || def.name,
+        language: def.language || (process.env.WA_TEMPLATE_LANGUAGE || 'es_AR').trim(),
+        params: def.params.slice(),
+    };
+}
+
+/** Claves registradas (para validaciones y para ofrecer alternativas al admin). */
+function listTemplateKeys() {
+    return Object.keys(TEMPLATES);
+}
+
+module.exports = {
+    getTemplate,
+    listTemplateKeys,
+};
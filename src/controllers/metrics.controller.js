@@ -1,7 +1,9 @@
 'use strict';
 
-const { getShadowLedgerHealthMetrics, getBehavioralMetrics, getIndividualWorkerScoring, getActiveWorkersList, getCreditEventsByProvider, getCreditEventsCount, getCreditScoreHistory, getWorkerMonthlyEarnings, getWorkerAllTimeStats, getWorkerBestMonth, getWorkerAchievementCounts } = require('../services/db.service');
+const { getShadowLedgerHealthMetrics, getBehavioralMetrics, getIndividualWorkerScoring, getActiveWorkersList, getCreditEventsByProvider, getCreditEventsCount, getCreditScoreHistory, getWorkerMonthlyEarnings, getWorkerAllTimeStats, getWorkerBestMonth, getWorkerAchievementCounts, getProcessedMessagesStats } = require('../services/db.service');
+const { getSignatureRejectionStats } = require('../middlewares/metaSignature.middleware');
 const { getCreditProfile, emitCreditEvent, calculateAndSaveScore, SCORE_WEIGHTS } = require('../services/credit.service');
+const { getLlmUsageReport } = require('../services/llm-usage.service');
 
 /**
  * GET Shadow Ledger Health (Nivel 1).
@@ -275,6 +277,37 @@ async function getWorkerDashboard(req, res) {
     }
 }
 
+/**
+ * GET /api/v1/metrics/webhook-health
+ * Salud del webhook de WhatsApp: reintentos de Meta descartados por wamid (ventana de retención)
+ * y payloads rechazados por firma inválida (desde el arranque del proceso).
+ */
+async function getWebhookHealth(_req, res) {
+    try {
+        const dedupe = await getProcessedMessagesStats();
+        res.json({
+            dedupe,
+            signatureRejections: getSignatureRejectionStats()
+        });
+    } catch (err) {
+        console.error('[Metrics] getWebhookHealth:', err.message);
+        res.status(500).json({ error: 'Error al obtener métricas del webhook' });
+    }
+}
+
+/**
+ * GET LLM Usage: tokens, latencia, resultados y costo estimado (USD) por día y por ticket completado.
+ * Query: days (default 30, máx. 365).
+ */
+async function getLlmUsage(req, res) {
+    try {
+        res.json(await getLlmUsageReport({ days: req.query.days }));
+    } catch (err) {
+        console.error('[Metrics] getLlmUsage:', err.message);
+        res.status(500).json({ error: 'Error al obtener métricas de uso de LLM' });
+    }
+}
+
 module.exports = {
     getShadowLedgerHealth,
     getBehavioralSignals,
@@ -284,5 +317,7 @@ module.exports = {
     getCreditScore,
     ingestCreditEvent,
     recalculateCreditScore,
-    getWorkerDashboard
+    getWorkerDashboard,
+    getWebhookHealth,
+    getLlmUsage
 };
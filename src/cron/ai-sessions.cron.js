@@ -0,0 +1,29 @@
+'use strict';
+
+const cron = require('node-cron');
+const { getSessionConfig, purgeExpiredSessions } = require('../services/ai-session.service');
+
+/**
+ * Borra las sesiones de IA vencidas por inactividad (AI_SESSION_TTL_MINUTES).
+ * Una sesión vencida ya se descarta al leerla; esto evita que la tabla crezca con usuarios que no vuelven.
+ */
+function runAiSessionsPurge() {
+    (async () => {
+        try {
+            const deleted = await purgeExpiredSessions();
+            console.log(`[AISessionCron] ${deleted} sesiones vencidas borradas (TTL ${getSessionConfig().ttlMinutes} min).`);
+        } catch (err) {
+            console.error('[AISessionCron] Error en purga:', err.message);
+        }
+    })();
+}
+
+/**
+ * Inicializa el cron de limpieza de ai_sessions: cada hora, al minuto 15.
+ */
+function initAiSessionsCron() {
+    cron.schedule('15 * * * *', runAiSessionsPurge);
+    console.log('[AISessionCron] Cron de limpieza de sesiones de IA iniciado (cada hora).');
+}
+
+module.exports = { initAiSessionsCron, runAiSessionsPurge };
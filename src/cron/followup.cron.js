@@ -11,6 +11,7 @@ const {
     sendNoAgreementClosure,
 } = require('../services/whatsapp.service');
 const { emitCreditEvent } = require('../services/credit.service');
+const { getQuietHoursConfig } = require('../utils/quietHours');
 
 const REVIEWS_SERVICE_URL = (process.env.REVIEWS_SERVICE_URL || '').replace(/\/+$/, '');
 
@@ -72,8 +73,18 @@ async function processFollowup(ci) {
     if (result.success) {
         await markSent(ci.id);
         console.log('[FollowupCron] Follow-up enviado.', { id: ci.id, attempt, to: phone });
+    } else if (result.classification?.action === 'undeliverable') {
+        // Número sin WhatsApp (o bloqueado): se marca para no volver a intentarlo en cada corrida.
+        await markSent(ci.id);
+        console.warn('[FollowupCron] Destinatario imposible de alcanzar, follow-up descartado.', {
+            id: ci.id, to: phone, code: result.classification.code
+        });
+    } else if (result.optedOut) {
+        // Cliente dado de baja (BAJA/STOP): no se le vuelve a preguntar.
+        await markSent(ci.id);
+        console.log('[FollowupCron] Cliente dado de baja, follow-up omitido.', { id: ci.id, level: result.preference });
     } else {
-        console.error('[FollowupCron] Error enviando WA.', { id: ci.id, error: result.error });
+        console.error('[FollowupCron] Error enviando WA.', { id: ci.id, error: result.error, category: result.classification?.category });
     }
 }
 
@@ -96,11 +107,13 @@ async function runFollowupTask() {
 }
 
 /**
- * Inicializa el cron de follow-ups: todos los días a las 10:00 AM.
+ * Inicializa el cron de follow-ups: todos los días a las 10:00 AM en la zona del horario de entrega
+ * (QUIET_HOURS_TZ, default Mendoza), no en la hora del servidor.
  */
 function initFollowupCron() {
-    cron.schedule('0 10 * * *', runFollowupTask);
-    console.log('[FollowupCron] Follow-up cron iniciado (diario a las 10:00).');
+    const { timeZone } = getQuietHoursConfig();
+    cron.schedule('0 10 * * *', runFollowupTask, { timezone: timeZone });
+    console.log(`[FollowupCron] Follow-up cron iniciado (diario a las 10:00, ${timeZone}).`);
 }
 
 module.exports = { initFollowupCron, runFollowupTask, processFollowup };
@@ -2,11 +2,14 @@
 
 const cron = require('node-cron');
 const { getTicketsForGhostCheck, setGhostCheckSent } = require('../services/db.service');
-const { sendGhostCheckInteractiveMessage } = require('../services/whatsapp.service');
+const { sendGhostCheck } = require('../services/channel.service');
+const { isQuietHoursExempt } = require('../utils/quietHours');
 
 /**
  * Tarea que corre cada 5 minutos: busca tickets ASIGNADOS con más de 30 min
- * sin ghost check enviado, envía el mensaje interactivo al cliente y marca ghost_check_sent.
+ * sin ghost check enviado, envía el mensaje interactivo al cliente (por su canal) y marca ghost_check_sent.
+ * Fuera del horario de entrega, en WhatsApp queda diferido en el outbox (cuenta como enviado); en
+ * Telegram/SMS no sale y se vuelve a intentar en una corrida dentro de la ventana.
  */
 function runGhostCheckTask() {
     (async () => {
@@ -16,12 +19,28 @@ function runGhostCheckTask() {
 
             for (const ticket of tickets) {
                 const clientPhone = ticket.phone_number;
-                const result = await sendGhostCheckInteractiveMessage(clientPhone, ticket.id);
+                const result = await sendGhostCheck(clientPhone, ticket.id, { urgent: isQuietHoursExempt(ticket) });
                 if (result.success) {
                     await setGhostCheckSent(ticket.id);
-                    console.log('[GhostCron] Ghost check enviado al cliente.', { ticketId: ticket.id, to: clientPhone });
+                    console.log(result.deferred ? '[GhostCron] Ghost check diferido por horario.' : '[GhostCron] Ghost check enviado al cliente.', {
+                        ticketId: ticket.id, to: clientPhone, scheduledFor: result.scheduledFor
+                    });
+                } else if (result.deferred) {
+                    continue;
+                } else if (result.classification?.action === 'undeliverable') {
+                    // El número no recibe mensajes de WhatsApp: no reintentar cada 5 minutos.
+                    await setGhostCheckSent(ticket.id);
+                    console.warn('[GhostCron] Cliente imposible de alcanzar, ghost check descartado.', {
+                        ticketId: ticket.id, to: clientPhone, code: result.classification.code
+                    });
+                } else if (result.optedOut) {
+                    // El cliente pidió no recibir recordatorios: se da por resuelto.
+                    await setGhostCheckSent(ticket.id);
+                    console.log('[GhostCron] Cliente dado de baja, ghost check omitido.', { ticketId: ticket.id, level: result.preference });
                 } else {
-                    console.error('[GhostCron] Error enviando ghost check:', result.error, { ticketId: ticket.id });
+                    console.error('[GhostCron] Error enviando ghost check:', result.error, {
+                        ticketId: ticket.id, category: result.classification?.category
+                    });
                 }
             }
         } catch (err) {
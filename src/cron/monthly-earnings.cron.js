@@ -0,0 +1,72 @@
+'use strict';
+
+const cron = require('node-cron');
+const { getEarningsByProvider } = require('../services/db.service');
+const { notifyProvider } = require('../services/provider-notification.service');
+const { getQuietHoursConfig } = require('../utils/quietHours');
+
+// Argentina no tiene horario de verano: los límites del mes se calculan en UTC-3 fijo.
+const AR_OFFSET_HOURS = 3;
+
+/**
+ * Rango [from, to) del mes anterior a `now`, en hora argentina.
+ */
+function previousMonthRange(now = new Date()) {
+    const local = new Date(now.getTime() - AR_OFFSET_HOURS * 60 * 60 * 1000);
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth();
+    const from = new Date(Date.UTC(year, month - 1, 1, AR_OFFSET_HOURS));
+    const to = new Date(Date.UTC(year, month, 1, AR_OFFSET_HOURS));
+    const label = new Date(Date.UTC(year, month - 1, 15))
+        .toLocaleString('es-AR', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    return { from, to, label };
+}
+
+/**
+ * Envía el resumen de ingresos del mes anterior a cada profesional con trabajos registrados.
+ * Solo sale por email: quien tiene preferencia "whatsapp" no recibe nada.
+ */
+async function runMonthlyEarningsSummary(now = new Date()) {
+    const { from, to, label } = previousMonthRange(now);
+    console.log(`[EarningsCron] Armando resúmenes de ${label}...`);
+    const rows = await getEarningsByProvider(from, to);
+
+    let sent = 0;
+    for (const row of rows) {
+        try {
+            const result = await notifyProvider(row.provider_id, {
+                email: {
+                    template: 'monthly_earnings_summary',
+                    context: {
+                        providerName: row.provider_name,
+                        monthLabel: label,
+                        jobCount: row.job_count,
+                        totalAmount: row.total_amount,
+                        averageRating: row.average_rating
+                    }
+                }
+            });
+            if (result.email?.success) sent++;
+        } catch (err) {
+            console.error('[EarningsCron] Error con profesional', row.provider_id, err.message);
+        }
+    }
+    console.log(`[EarningsCron] Listo. ${sent}/${rows.length} resúmenes enviados.`);
+    return { sent, total: rows.length };
+}
+
+/**
+ * Corre el día 1 de cada mes a las 09:00 en la zona del horario de entrega (QUIET_HOURS_TZ, default
+ * Mendoza), como el cron de follow-ups; no en la hora del servidor.
+ */
+function initMonthlyEarningsCron() {
+    const { timeZone } = getQuietHoursConfig();
+    cron.schedule('0 9 1 * *', () => {
+        runMonthlyEarningsSummary().catch((err) => {
+            console.error('[EarningsCron] Error en el resumen mensual:', err.message);
+        });
+    }, { timezone: timeZone });
+    console.log(`[EarningsCron] Cron de resumen mensual inicializado (día 1, 09:00, ${timeZone}).`);
+}
+
+module.exports = { initMonthlyEarningsCron, runMonthlyEarningsSummary };
@@ -0,0 +1,30 @@
+'use strict';
+
+const cron = require('node-cron');
+const { processDueOutbox } = require('../services/outbox.service');
+
+/**
+ * Tarea del outbox: reintenta los mensajes salientes vencidos (backoff) respetando el orden por número.
+ */
+function runOutboxTask() {
+    (async () => {
+        try {
+            const { processed, sent } = await processDueOutbox();
+            if (processed > 0) {
+                console.log(`[OutboxCron] ${processed} mensajes procesados, ${sent} enviados.`);
+            }
+        } catch (err) {
+            console.error('[OutboxCron] Error en tarea:', err.message);
+        }
+    })();
+}
+
+/**
+ * Inicializa el cron del outbox: cada 30 segundos.
+ */
+function initOutboxCron() {
+    cron.schedule('*/30 * * * * *', runOutboxTask);
+    console.log('[OutboxCron] Cron del outbox iniciado (cada 30 segundos).');
+}
+
+module.exports = { initOutboxCron, runOutboxTask };
@@ -0,0 +1,56 @@
+'use strict';
+
+const cron = require('node-cron');
+const { purgeProcessedMessages } = require('../services/db.service');
+const { processInboundRetries } = require('../services/inbound-retry.service');
+
+const DEFAULT_RETENTION_DAYS = 7;
+
+function getRetentionDays() {
+    const days = Number(process.env.PROCESSED_MESSAGES_RETENTION_DAYS);
+    return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Purga los wamids procesados fuera de la ventana de retención.
+ * Meta reintenta durante horas, no días: 7 días por defecto cubre reintentos con holgura.
+ */
+function runProcessedMessagesPurge() {
+    (async () => {
+        try {
+            const retentionDays = getRetentionDays();
+            const deleted = await purgeProcessedMessages(retentionDays);
+            console.log(`[DedupeCron] ${deleted} wamids purgados (retención ${retentionDays} días).`);
+        } catch (err) {
+            console.error('[DedupeCron] Error en purga:', err.message);
+        }
+    })();
+}
+
+/**
+ * Reprocesa los mensajes entrantes que fallaron (ver inbound-retry.service).
+ */
+function runInboundRetries() {
+    (async () => {
+        try {
+            const { processed, succeeded } = await processInboundRetries();
+            if (processed > 0) {
+                console.log(`[DedupeCron] ${processed} mensajes entrantes reintentados, ${succeeded} procesados.`);
+            }
+        } catch (err) {
+            console.error('[DedupeCron] Error en reintentos:', err.message);
+        }
+    })();
+}
+
+/**
+ * Inicializa los crons de processed_messages: retención todos los días a las 04:00 y reintentos
+ * de mensajes entrantes cada minuto.
+ */
+function initProcessedMessagesCron() {
+    cron.schedule('0 4 * * *', runProcessedMessagesPurge);
+    cron.schedule('* * * * *', runInboundRetries);
+    console.log('[DedupeCron] Cron de retención de wamids (diario a las 04:00) y de reintentos (cada minuto) iniciado.');
+}
+
+module.exports = { initProcessedMessagesCron, runProcessedMessagesPurge, runInboundRetries };
@@ -39,7 +39,12 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 app.use(helmet());
-app.use(express.json());
+// rawBody: necesario para validar X-Hub-Signature-256 del webhook de Meta sobre los bytes exactos recibidos.
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(morgan('short'));
 
 app.get('/healthz', (_req, res) => res.json({ ok: true, service: 'notification-service' }));
@@ -47,9 +52,14 @@ app.get('/readyz', (_req, res) => res.json({ ok: true }));
 
 // Rutas bajo /api/v1/notifications para que el gateway pueda proxy sin reescribir path
 app.use('/api/v1/notifications', require('./routes/notification.routes'));
+app.use('/api/v1/channels', require('./routes/channel.routes'));
 app.use('/api/v1', require('./routes/ticket.routes'));
 app.use('/api/v1/metrics', require('./routes/metrics.routes'));
 app.use('/api/v1/admin/chats', require('./routes/chat.routes'));
+app.use('/api/v1/admin/outbox', require('./routes/outbox.routes'));
+app.use('/api/v1/admin/communication-preferences', require('./routes/communication-preferences.routes'));
+app.use('/api/v1/admin/ai-sessions', require('./routes/ai-session.routes'));
+app.use('/api/v1/providers', require('./routes/notification-preferences.routes'));
 
 // Internal endpoint for credit event ingestion from other microservices
 const { ingestCreditEvent } = require('./controllers/metrics.controller');
@@ -66,6 +76,18 @@ initCreditScoreCron();
 const { initFollowupCron } = require('./cron/followup.cron');
 initFollowupCron();
 
+const { initProcessedMessagesCron } = require('./cron/processed-messages.cron');
+initProcessedMessagesCron();
+
+const { initOutboxCron } = require('./cron/outbox.cron');
+initOutboxCron();
+
+const { initMonthlyEarningsCron } = require('./cron/monthly-earnings.cron');
+initMonthlyEarningsCron();
+
+const { initAiSessionsCron } = require('./cron/ai-sessions.cron');
+initAiSessionsCron();
+
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`notification-service on :${PORT}`);
 });
@@ -120,10 +120,23 @@ function requireInternalNotificationKey(req, res, next) {
     return next();
 }
 
+/**
+ * Endpoints de simulación local: solo existen con WA_TRANSPORT=sandbox y fuera de producción.
+ * Con cualquier otra configuración responden 404, como si no estuvieran montados.
+ */
+function requireSandboxTransport(req, res, next) {
+    const transport = (process.env.WA_TRANSPORT || 'meta').trim().toLowerCase();
+    if (transport !== 'sandbox' || process.env.NODE_ENV === 'production') {
+        return res.status(404).json({ error: 'Not found' });
+    }
+    return next();
+}
+
 module.exports = {
     requireBearerJwt,
     requireAdminJwt,
     requireWorkerDashboardOwner,
     requireInternalNotificationKey,
+    requireSandboxTransport,
     getInternalApiKey,
 };
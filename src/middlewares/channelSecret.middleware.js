@@ -0,0 +1,60 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const warnedMissing = new Set();
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Middleware que exige un secreto compartido en un header para webhooks de canales. Solo header: en la
+ * query string quedaría escrito en los access logs (morgan registra la URL completa).
+ * Sin la variable de entorno: en producción se rechaza con 503; fuera de producción warning una vez y
+ * se deja pasar (compat. dev), como META_APP_SECRET.
+ *
+ * @param {string} envName - Variable con el secreto esperado.
+ * @param {string} headerName - Header donde lo envía el proveedor (en minúsculas).
+ * @param {string} code - Código de error para el 401 (ej. "TELEGRAM.INVALID_SECRET").
+ */
+function requireChannelSecret(envName, headerName, code) {
+    return function verifyChannelSecret(req, res, next) {
+        const expected = (process.env[envName] || '').trim();
+        if (!expected) {
+            if (process.env.NODE_ENV === 'production') {
+                console.error(`[ChannelSecret] ${envName} no definido en producción: webhook rechazado.`, { path: req.path });
+                return res.status(503).json({ error: 'Webhook no configurado en el servidor', code: 'WEBHOOK.NOT_CONFIGURED' });
+            }
+            if (!warnedMissing.has(envName)) {
+                warnedMissing.add(envName);
+                console.warn(`[ChannelSecret] ${envName} no definido: ${req.baseUrl}${req.path} queda SIN validación (configurá en producción).`);
+            }
+            return next();
+        }
+        const got = String(req.headers[headerName] || '').trim();
+        if (!got || !safeEqual(got, expected)) {
+            console.warn('[ChannelSecret] Webhook rechazado.', { path: req.path, ip: req.ip });
+            return res.status(401).json({ error: 'Unauthorized', code });
+        }
+        return next();
+    };
+}
+
+/** Telegram envía el secret_token de setWebhook en X-Telegram-Bot-Api-Secret-Token. */
+const verifyTelegramSecret = requireChannelSecret(
+    'TELEGRAM_WEBHOOK_SECRET',
+    'x-telegram-bot-api-secret-token',
+    'TELEGRAM.INVALID_SECRET'
+);
+
+/** El gateway SMS debe enviar SMS_WEBHOOK_SECRET en el header X-Webhook-Key. */
+const verifySmsSecret = requireChannelSecret('SMS_WEBHOOK_SECRET', 'x-webhook-key', 'SMS.INVALID_SECRET');
+
+module.exports = {
+    requireChannelSecret,
+    verifyTelegramSecret,
+    verifySmsSecret,
+};
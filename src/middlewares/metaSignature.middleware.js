@@ -0,0 +1,95 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+const rejectionStats = {
+    total: 0,
+    byReason: {},
+    lastRejectedAt: null,
+};
+let warnedMissingSecret = false;
+
+function getAppSecret() {
+    return (process.env.META_APP_SECRET || '').trim();
+}
+
+function recordRejection(reason, req) {
+    rejectionStats.total += 1;
+    rejectionStats.byReason[reason] = (rejectionStats.byReason[reason] || 0) + 1;
+    rejectionStats.lastRejectedAt = new Date().toISOString();
+    console.warn('[MetaSignature] Payload rechazado.', {
+        reason,
+        ip: req.ip,
+        totalRejected: rejectionStats.total,
+    });
+}
+
+/**
+ * Calcula la firma esperada (HMAC-SHA256 del body crudo con el App Secret de Meta).
+ * @param {Buffer} rawBody
+ * @param {string} secret
+ * @returns {string} Hex digest.
+ */
+function computeSignature(rawBody, secret) {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+/**
+ * Valida X-Hub-Signature-256 sobre el body crudo (req.rawBody, capturado en express.json).
+ * Debe ir antes de cualquier interceptor del webhook: sin firma válida no se procesa nada.
+ * Sin META_APP_SECRET: en producción (NODE_ENV=production) se rechaza todo con 503; fuera de producción
+ * se emite warning una vez y se deja pasar (compat. dev).
+ */
+function verifyMetaSignature(req, res, next) {
+    const secret = getAppSecret();
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            recordRejection('secret_not_configured', req);
+            console.error('[MetaSignature] META_APP_SECRET no definido en producción: webhook rechazado.');
+            return res.status(503).json({ error: 'Webhook no configurado en el servidor', code: 'WEBHOOK.NOT_CONFIGURED' });
+        }
+        if (!warnedMissingSecret) {
+            warnedMissingSecret = true;
+            console.warn('[MetaSignature] META_APP_SECRET no definido: el webhook queda SIN validación de firma (configurá en producción).');
+        }
+        return next();
+    }
+
+    const header = String(req.headers[SIGNATURE_HEADER] || '');
+    if (!header.startsWith(SIGNATURE_PREFIX)) {
+        recordRejection('missing_signature', req);
+        return res.status(401).json({ error: 'Unauthorized', code: 'WEBHOOK.MISSING_SIGNATURE' });
+    }
+
+    if (!Buffer.isBuffer(req.rawBody)) {
+        recordRejection('missing_raw_body', req);
+        return res.status(400).json({ error: 'Bad request', code: 'WEBHOOK.MISSING_BODY' });
+    }
+
+    const received = Buffer.from(header.slice(SIGNATURE_PREFIX.length), 'hex');
+    const expected = Buffer.from(computeSignature(req.rawBody, secret), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        recordRejection('invalid_signature', req);
+        return res.status(401).json({ error: 'Unauthorized', code: 'WEBHOOK.INVALID_SIGNATURE' });
+    }
+
+    return next();
+}
+
+/** Snapshot de rechazos desde el arranque del proceso. */
+function getSignatureRejectionStats() {
+    return {
+        total: rejectionStats.total,
+        byReason: { ...rejectionStats.byReason },
+        lastRejectedAt: rejectionStats.lastRejectedAt,
+    };
+}
+
+module.exports = {
+    verifyMetaSignature,
+    computeSignature,
+    getSignatureRejectionStats,
+};
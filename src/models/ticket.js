@@ -10,6 +10,8 @@
  * - completed_at: cuando el estado pasa a COMPLETADO.
  * - amount_reported_at: cuando el trabajador declara final_amount.
  * - cancellation_reason: motivo de cancelación si status = CANCELADO.
+ * - cancelled_by: CLIENT si lo canceló el cliente desde el chat (no cuenta como ghosting).
+ * - offered_provider_ids: profesionales ofrecidos en la lista de WhatsApp (los únicos elegibles desde el chat).
  */
 const TICKET_COLUMNS = {
     id: 'SERIAL PRIMARY KEY',
@@ -33,7 +35,9 @@ const TICKET_COLUMNS = {
     provider_responded_at: 'TIMESTAMP',
     completed_at: 'TIMESTAMP',
     amount_reported_at: 'TIMESTAMP',
-    cancellation_reason: 'VARCHAR(255)'
+    cancellation_reason: 'VARCHAR(255)',
+    cancelled_by: 'VARCHAR(20)',
+    offered_provider_ids: 'INTEGER[]'
 };
 
 const STATUS = {
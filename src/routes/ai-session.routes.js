@@ -0,0 +1,50 @@
+'use strict';
+
+const router = require('express').Router();
+const { requireAdminJwt } = require('../middlewares/access.middleware');
+const { inspectSession, resetSession } = require('../services/ai-session.service');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
+
+// All routes require admin JWT
+router.use(requireAdminJwt);
+
+/** Identidad de la sesión: tg:/sms: tal cual; números en cualquier formato → canónico. */
+function sessionKey(param) {
+    const value = String(param || '').trim();
+    return value.includes(':') ? value : toCanonicalPhone(value) || value;
+}
+
+/**
+ * GET /:phone
+ * Estado de la sesión de IA: historial, resumen, datos extraídos, zona fijada y vencimiento.
+ */
+router.get('/:phone', async (req, res) => {
+    try {
+        const session = await inspectSession(sessionKey(req.params.phone));
+        if (!session) {
+            return res.status(404).json({ error: 'No hay sesión de IA para ese número' });
+        }
+        res.json(session);
+    } catch (err) {
+        console.error('[AdminAISessions] GET error:', err.message);
+        res.status(500).json({ error: 'Error al obtener la sesión de IA' });
+    }
+});
+
+/**
+ * DELETE /:phone
+ * Resetea la sesión: el próximo mensaje del usuario empieza una conversación nueva.
+ */
+router.delete('/:phone', async (req, res) => {
+    try {
+        const key = sessionKey(req.params.phone);
+        const deleted = await resetSession(key);
+        console.log('[AdminAISessions] Sesión reseteada desde el panel.', { phoneNumber: key, deleted });
+        res.json({ success: true, deleted });
+    } catch (err) {
+        console.error('[AdminAISessions] DELETE error:', err.message);
+        res.status(500).json({ error: 'Error al resetear la sesión de IA' });
+    }
+});
+
+module.exports = router;
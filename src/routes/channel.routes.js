@@ -0,0 +1,148 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const { saveChatLog, claimProcessedMessage } = require('../services/db.service');
+const { registerInboundHandler, runClaimedInbound } = require('../services/inbound-retry.service');
+const { toIdentity, resolveButtonReply } = require('../services/channel.service');
+const { handleConversationMessage } = require('../services/conversation.service');
+const { handlePreferenceMessage } = require('../services/opt-out.service');
+const { answerTelegramCallback } = require('../services/telegram.service');
+const { verifyTelegramSecret, verifySmsSecret } = require('../middlewares/channelSecret.middleware');
+
+/**
+ * Entrada común de Telegram y SMS: registro en chat_logs y motor de conversación.
+ * Lanza si algo falla: handleChannelMessage lo deja para reintento.
+ *
+ * @param {string} identity - tg:... | sms:...
+ * @param {object} inbound
+ * @param {string} [inbound.externalId] - Id del proveedor para deduplicar reintentos (prefijado por canal).
+ * @param {string} [inbound.text]
+ * @param {string} [inbound.buttonId]
+ * @param {string} [inbound.buttonTitle]
+ * @param {string} [inbound.type] - Tipo de mensaje no textual (foto, audio...) para el log.
+ * @param {object} [inbound.metadata]
+ */
+async function processChannelMessage(identity, { text, buttonId, buttonTitle, type, metadata } = {}) {
+    try {
+        // SMS: "1", "2" o el título de una opción enviada antes equivale a tocar el botón.
+        let resolvedButtonId = buttonId;
+        let resolvedTitle = buttonTitle;
+        if (!resolvedButtonId && text) {
+            const option = resolveButtonReply(identity, text);
+            if (option) {
+                resolvedButtonId = option.id;
+                resolvedTitle = option.title;
+            }
+        }
+
+        console.log('[Channel] Mensaje recibido.', { identity, buttonId: resolvedButtonId, type: type || 'text' });
+
+        const logBody = text || resolvedTitle || `[${type || 'unknown'}]`;
+        await saveChatLog(identity, 'USER', logBody, { metadata })
+            .catch(e => console.error('[ChatLogs] save USER error:', e.message));
+
+        if (await handlePreferenceMessage(identity, { text, buttonId: resolvedButtonId })) {
+            return;
+        }
+
+        await handleConversationMessage(identity, {
+            text: resolvedButtonId ? '' : text,
+            buttonId: resolvedButtonId
+        });
+    } catch (err) {
+        console.error('[Channel] Error procesando mensaje:', err.message, { identity });
+        throw err;
+    }
+}
+
+/**
+ * Idempotencia y reintentos, con el mismo esquema que el webhook de Meta (ver inbound-retry.service):
+ * el id externo se reclama antes de procesar y, si falla, el mensaje queda para el cron de reintentos.
+ * @param {string} identity
+ * @param {object} inbound - Ver processChannelMessage.
+ */
+async function handleChannelMessage(identity, inbound) {
+    if (!inbound.externalId) {
+        // Sin id no hay cómo reintentarlo; el error ya quedó logueado en processChannelMessage.
+        await processChannelMessage(identity, inbound).catch(() => {});
+        return;
+    }
+    const claimed = await claimProcessedMessage(inbound.externalId, identity, { source: 'channel', identity, inbound });
+    if (!claimed) {
+        console.log('[Channel] Mensaje duplicado, se descarta.', { identity, id: inbound.externalId });
+        return;
+    }
+    await runClaimedInbound(inbound.externalId, { source: 'channel', identity, inbound });
+}
+
+registerInboundHandler('channel', ({ identity, inbound }) => processChannelMessage(identity, inbound));
+
+/**
+ * POST /telegram/webhook - Updates de la Bot API de Telegram (message y callback_query).
+ * Se responde 200 de inmediato (Telegram reintenta si no); los fallos los reintenta inbound-retry.service.
+ */
+router.post('/telegram/webhook', verifyTelegramSecret, async (req, res) => {
+    res.sendStatus(200);
+
+    const update = req.body || {};
+    try {
+        if (update.callback_query) {
+            const query = update.callback_query;
+            const chatId = query.message?.chat?.id ?? query.from?.id;
+            answerTelegramCallback(query.id).catch(() => {});
+            if (chatId == null) return;
+            await handleChannelMessage(toIdentity('telegram', chatId), {
+                externalId: `tg:${update.update_id}`,
+                buttonId: query.data,
+                buttonTitle: query.data,
+                metadata: { channel: 'telegram', callback_query_id: query.id }
+            });
+            return;
+        }
+
+        const message = update.message;
+        if (!message?.chat) return;
+        const type = message.text ? 'text' : (Object.keys(message).find((k) => ['photo', 'voice', 'audio', 'document', 'location', 'contact', 'sticker', 'video'].includes(k)) || 'unknown');
+        await handleChannelMessage(toIdentity('telegram', message.chat.id), {
+            externalId: `tg:${update.update_id}`,
+            text: message.text || message.caption || '',
+            type,
+            metadata: {
+                channel: 'telegram',
+                message_id: message.message_id,
+                username: message.from?.username || null
+            }
+        });
+    } catch (err) {
+        console.error('[Telegram] Error procesando update:', err.message, { updateId: update.update_id });
+    }
+});
+
+/**
+ * POST /sms/webhook - SMS entrantes del gateway.
+ * Acepta JSON { from, text | body, id } o el form de Twilio (From, Body, MessageSid).
+ */
+router.post('/sms/webhook', express.urlencoded({ extended: false }), verifySmsSecret, async (req, res) => {
+    const body = req.body || {};
+    const from = body.from || body.From;
+    const text = body.text ?? body.body ?? body.Body ?? '';
+    const id = body.id || body.messageId || body.MessageSid;
+
+    if (!from) {
+        return res.status(400).json({ error: 'from es requerido' });
+    }
+    const identity = toIdentity('sms', from);
+    if (!identity) {
+        return res.status(400).json({ error: 'from inválido' });
+    }
+
+    res.sendStatus(200);
+    await handleChannelMessage(identity, {
+        externalId: id ? `sms:${id}` : undefined,
+        text: String(text),
+        metadata: { channel: 'sms', message_id: id || null }
+    });
+});
+
+module.exports = router;
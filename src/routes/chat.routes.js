@@ -6,9 +6,11 @@ const {
     getConversationsList,
     getChatLogsByPhone,
     setBotPaused,
-    saveChatLog,
 } = require('../services/db.service');
-const { sendWhatsAppText } = require('../services/whatsapp.service');
+const { sendWhatsAppText, sendWhatsAppTemplate } = require('../services/whatsapp.service');
+const { getServiceWindow } = require('../services/service-window.service');
+const { isWhatsAppIdentity, sendText } = require('../services/channel.service');
+const { getTemplate, listTemplateKeys } = require('../config/whatsappTemplates');
 
 // All routes require admin JWT
 router.use(requireAdminJwt);
@@ -32,6 +34,8 @@ router.get('/conversations', async (req, res) => {
 /**
  * GET /conversations/:phone/messages
  * Historial de mensajes de un número específico.
+ * Los salientes (BOT/ADMIN) incluyen wa_message_id y su estado de entrega:
+ * delivery_status (accepted | sent | delivered | read | failed), delivery_status_at y delivery_error.
  */
 router.get('/conversations/:phone/messages', async (req, res) => {
     try {
@@ -65,26 +69,103 @@ router.post('/conversations/:phone/pause', async (req, res) => {
     }
 });
 
+/** Plantillas disponibles para ofrecer al admin cuando la ventana está cerrada. */
+function availableTemplates() {
+    return listTemplateKeys().map((key) => {
+        const t = getTemplate(key);
+        return { key, name: t.name, language: t.language, params: t.params };
+    });
+}
+
+/**
+ * GET /conversations/:phone/window
+ * Estado de la ventana de 24 h de WhatsApp para el número (abierta, vence a las, ms restantes).
+ */
+router.get('/conversations/:phone/window', async (req, res) => {
+    try {
+        const serviceWindow = await getServiceWindow(req.params.phone);
+        res.json({ phone: req.params.phone, window: serviceWindow, templates: serviceWindow.open ? [] : availableTemplates() });
+    } catch (err) {
+        console.error('[AdminChat] GET window error:', err.message);
+        res.status(500).json({ error: 'Error al obtener la ventana de atención' });
+    }
+});
+
+/** 200 si salió, 202 si quedó en el outbox para reintento (el chat_log ADMIN se registra al enviarse). */
+function sendResponse(res, result, via) {
+    if (result.queued) {
+        return res.status(202).json({ success: true, queued: true, outboxId: result.outboxId, via });
+    }
+    return res.json({ success: true, messageId: result.messageId, via });
+}
+
+/** 409 OPTED_OUT si el usuario pidió la baja (BAJA/STOP); 502 ante cualquier otro error de envío. */
+function sendFailure(res, result, channelLabel) {
+    if (result.optedOut) {
+        return res.status(409).json({
+            error: 'El usuario pidió no recibir mensajes (baja).',
+            code: 'OPTED_OUT',
+            preference: result.preference
+        });
+    }
+    return res.status(502).json({ error: `Error al enviar por ${channelLabel}`, detail: result.error });
+}
+
 /**
  * POST /conversations/:phone/send
- * El admin envía un mensaje al usuario vía WhatsApp.
+ * El admin envía un mensaje al usuario por el canal de la conversación.
+ * WhatsApp — Body: { message } con la ventana de 24 h abierta, o { template, params } para enviar una plantilla;
+ * con la ventana cerrada y sin template responde 409 WINDOW_CLOSED con las plantillas disponibles.
+ * Telegram / SMS (:phone = tg:... | sms:...) — Body: { message }, sin ventana ni plantillas.
+ * Si el usuario se dio de baja responde 409 OPTED_OUT.
  */
 router.post('/conversations/:phone/send', async (req, res) => {
     try {
         const phone = req.params.phone;
-        const { message } = req.body;
+        const { message, template, params } = req.body;
+
+        if (!isWhatsAppIdentity(phone)) {
+            if (!message || typeof message !== 'string' || !message.trim()) {
+                return res.status(400).json({ error: 'El mensaje es requerido' });
+            }
+            const result = await sendText(phone, message.trim(), { logRole: 'ADMIN' });
+            if (!result.success) {
+                return sendFailure(res, result, result.channel);
+            }
+            return res.json({ success: true, messageId: result.messageId, via: result.channel });
+        }
+
+        if (template) {
+            if (!getTemplate(template)) {
+                return res.status(400).json({ error: 'Plantilla desconocida', templates: availableTemplates() });
+            }
+            const result = await sendWhatsAppTemplate(phone, template, params || {}, { logRole: 'ADMIN' });
+            if (!result.success) {
+                return sendFailure(res, result, 'WhatsApp');
+            }
+            return sendResponse(res, result, 'template');
+        }
+
         if (!message || typeof message !== 'string' || !message.trim()) {
             return res.status(400).json({ error: 'El mensaje es requerido' });
         }
 
-        const result = await sendWhatsAppText(phone, message.trim(), { skipLog: true });
-        if (!result.success) {
-            return res.status(502).json({ error: 'Error al enviar por WhatsApp', detail: result.error });
+        const serviceWindow = await getServiceWindow(phone);
+        if (!serviceWindow.open) {
+            return res.status(409).json({
+                error: 'La ventana de 24 h de WhatsApp está cerrada: solo se pueden enviar plantillas aprobadas.',
+                code: 'WINDOW_CLOSED',
+                window: serviceWindow,
+                templates: availableTemplates()
+            });
         }
 
-        await saveChatLog(phone, 'ADMIN', message.trim());
+        const result = await sendWhatsAppText(phone, message.trim(), { logRole: 'ADMIN' });
+        if (!result.success) {
+            return sendFailure(res, result, 'WhatsApp');
+        }
 
-        res.json({ success: true, messageId: result.messageId });
+        sendResponse(res, result, 'session');
     } catch (err) {
         console.error('[AdminChat] POST send error:', err.message);
         res.status(500).json({ error: 'Error al enviar mensaje' });
@@ -0,0 +1,51 @@
+'use strict';
+
+const router = require('express').Router();
+const { requireAdminJwt } = require('../middlewares/access.middleware');
+const { listCommunicationPreferences } = require('../services/db.service');
+const { PREFERENCE_LEVELS, setPreferenceLevel } = require('../services/communication-preferences.service');
+
+// All routes require admin JWT
+router.use(requireAdminJwt);
+
+/**
+ * GET /
+ * Números / identidades con comunicación restringida (BAJA/STOP o "solo avisos").
+ * Query params: level (transactional | none; default ambos), limit, offset.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const level = req.query.level ? String(req.query.level).toLowerCase() : null;
+        if (level && !PREFERENCE_LEVELS.includes(level)) {
+            return res.status(400).json({ error: 'level inválido', allowed: PREFERENCE_LEVELS });
+        }
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const offset = Number(req.query.offset) || 0;
+        const preferences = await listCommunicationPreferences({ level, limit, offset });
+        res.json({ preferences, limit, offset });
+    } catch (err) {
+        console.error('[AdminCommPrefs] GET / error:', err.message);
+        res.status(500).json({ error: 'Error al obtener preferencias de comunicación' });
+    }
+});
+
+/**
+ * PUT /:phone
+ * Cambia la preferencia a mano (ej. un pedido de baja recibido por otro medio).
+ * Body: { level: 'all' | 'transactional' | 'none' }
+ */
+router.put('/:phone', async (req, res) => {
+    try {
+        const level = String(req.body?.level || '').toLowerCase();
+        if (!PREFERENCE_LEVELS.includes(level)) {
+            return res.status(400).json({ error: 'level inválido', allowed: PREFERENCE_LEVELS });
+        }
+        const saved = await setPreferenceLevel(req.params.phone, level, 'admin');
+        res.json(saved);
+    } catch (err) {
+        console.error('[AdminCommPrefs] PUT error:', err.message);
+        res.status(500).json({ error: 'Error al guardar la preferencia de comunicación' });
+    }
+});
+
+module.exports = router;
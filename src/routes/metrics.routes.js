@@ -2,7 +2,7 @@
 
 const router = require('express').Router();
 const { requireAdminJwt, requireBearerJwt, requireWorkerDashboardOwner } = require('../middlewares/access.middleware');
-const { getShadowLedgerHealth, getBehavioralSignals, getWorkerFinancialProfile, getActiveWorkers, getCreditHistory, getCreditScore, recalculateCreditScore, getWorkerDashboard } = require('../controllers/metrics.controller');
+const { getShadowLedgerHealth, getBehavioralSignals, getWorkerFinancialProfile, getActiveWorkers, getCreditHistory, getCreditScore, recalculateCreditScore, getWorkerDashboard, getWebhookHealth, getLlmUsage } = require('../controllers/metrics.controller');
 
 /**
  * GET /api/v1/metrics/shadow-ledger-health
@@ -38,6 +38,19 @@ router.get('/credit-score/:id', requireAdminJwt, getCreditScore);
 
 router.post('/credit-score/:id/recalculate', requireAdminJwt, recalculateCreditScore);
 
+// ── Webhook WhatsApp (dedupe + firmas rechazadas) ──
+
+router.get('/webhook-health', requireAdminJwt, getWebhookHealth);
+
+// ── Uso de LLM (tokens, latencia, costo por día y por ticket completado) ──
+
+/**
+ * GET /api/v1/metrics/llm-usage?days=30
+ * Totales diarios (llamadas por resultado, tokens, costo, latencia avg/p95) y costo por ticket completado
+ * (promedio, p95, por categoría y "fully loaded" con las charlas que no terminaron en ticket).
+ */
+router.get('/llm-usage', requireAdminJwt, getLlmUsage);
+
 // ── Worker PRO Dashboard ──
 
 router.get('/worker-dashboard/:id', requireBearerJwt, requireWorkerDashboardOwner, getWorkerDashboard);
@@ -0,0 +1,45 @@
+'use strict';
+
+const router = require('express').Router();
+const { requireBearerJwt, requireWorkerDashboardOwner } = require('../middlewares/access.middleware');
+const {
+    NOTIFICATION_CHANNELS,
+    getProviderNotificationPreferences,
+    updateProviderNotificationPreferences
+} = require('../services/provider-notification.service');
+
+/**
+ * GET /api/v1/providers/:id/notification-preferences
+ * Canal por el que el profesional recibe avisos (whatsapp | email | both) y su email de notificación.
+ * Sin registro devuelve el default (whatsapp).
+ */
+router.get('/:id/notification-preferences', requireBearerJwt, requireWorkerDashboardOwner, async (req, res) => {
+    try {
+        const prefs = await getProviderNotificationPreferences(Number(req.params.id));
+        res.json({ ...prefs, allowed_channels: NOTIFICATION_CHANNELS });
+    } catch (err) {
+        console.error('[NotificationPrefs] GET error:', err.message);
+        res.status(500).json({ error: 'Error al obtener preferencias de notificación' });
+    }
+});
+
+/**
+ * PUT /api/v1/providers/:id/notification-preferences
+ * Body: { channel?: 'whatsapp'|'email'|'both', email?: string|null }
+ * Si no se envía email se usa el del perfil en provider-service.
+ */
+router.put('/:id/notification-preferences', requireBearerJwt, requireWorkerDashboardOwner, async (req, res) => {
+    try {
+        const { channel, email } = req.body || {};
+        const saved = await updateProviderNotificationPreferences(Number(req.params.id), { channel, email });
+        res.json(saved);
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message, allowed_channels: NOTIFICATION_CHANNELS });
+        }
+        console.error('[NotificationPrefs] PUT error:', err.message);
+        res.status(500).json({ error: 'Error al guardar preferencias de notificación' });
+    }
+});
+
+module.exports = router;
@@ -1,127 +1,25 @@
 'use strict';
 
+const crypto = require('crypto');
 const router = require('express').Router();
-const { formatWhatsAppNumber, sendWhatsAppText, sendTermsInteractiveMessage, sendMatchResultsMessage, sendAmountQuestion, sendReviewLink, sendGhostedClosure, sendNoAgreementClosure } = require('../services/whatsapp.service');
-const { analyzeMessage, clearUserSession } = require('../services/ai.service');
-const { saveTicket, getUser, createUser, acceptTerms, CURRENT_TERMS_VERSION, getTicketById, reopenTicketAfterGhost, saveChatLog, isBotPaused } = require('../services/db.service');
-const { findMatchingProviders } = require('../services/matchmaking.service');
+const { formatWhatsAppNumber, sendWhatsAppText, sendProactiveText, sendAmountQuestion, sendReviewLink, sendGhostedClosure, sendNoAgreementClosure } = require('../services/whatsapp.service');
+const { setSessionZone } = require('../services/ai.service');
+const { isSupportedRichMessage, resolveInboundContent } = require('../services/inbound-media.service');
+const { recordInbound } = require('../services/service-window.service');
+const { saveChatLog, claimProcessedMessage, updateChatLogDeliveryStatus } = require('../services/db.service');
+const { registerInboundHandler, runClaimedInbound } = require('../services/inbound-retry.service');
+const { handleConversationMessage } = require('../services/conversation.service');
 const { checkAndProcessProviderAmount } = require('../services/ledger.service');
 const { checkAndProcessClientReview } = require('../services/review.service');
-const { checkAndProcessFollowupReply } = require('../services/followup-reply.service');
-const { getProviderWhatsAppNumber } = require('../services/provider-client.service');
-const { emitCreditEvent } = require('../services/credit.service');
+const { checkAndProcessFollowupReply, answerFromReplyId } = require('../services/followup-reply.service');
+const { handlePreferenceMessage } = require('../services/opt-out.service');
 const { whatsappLimiter } = require('../middlewares/whatsappLimiter.middleware');
-const { requireInternalNotificationKey } = require('../middlewares/access.middleware');
+const { verifyMetaSignature } = require('../middlewares/metaSignature.middleware');
+const { requireInternalNotificationKey, requireSandboxTransport } = require('../middlewares/access.middleware');
+const { listSandboxMessages, clearSandboxMessages } = require('../services/transport.service');
+const { toMetaSendFormat } = require('../utils/phoneNumber');
 
 const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN || '';
-const DEBOUNCE_MS = 2_000;
-const messageBuffers = new Map();
-const messageTimers = new Map();
-const inFlightUsers = new Set();
-
-function enqueueDebouncedMessage(from, text) {
-    if (!text || typeof text !== 'string' || !text.trim()) {
-        return;
-    }
-
-    const currentBuffer = messageBuffers.get(from);
-    const nextBuffer = currentBuffer ? `${currentBuffer}\n${text}` : text;
-    messageBuffers.set(from, nextBuffer);
-
-    const activeTimer = messageTimers.get(from);
-    if (activeTimer) {
-        clearTimeout(activeTimer);
-    }
-
-    const timer = setTimeout(() => {
-        messageTimers.delete(from);
-        flushBufferedMessages(from).catch((err) => {
-            console.error('[Debounce] Error al procesar buffer:', err.message);
-        });
-    }, DEBOUNCE_MS);
-    messageTimers.set(from, timer);
-}
-
-async function flushBufferedMessages(from) {
-    if (inFlightUsers.has(from)) {
-        return;
-    }
-
-    const fullText = messageBuffers.get(from);
-    if (!fullText) {
-        return;
-    }
-
-    messageBuffers.delete(from);
-    inFlightUsers.add(from);
-
-    try {
-        const result = await analyzeMessage(from, fullText);
-        console.log('[Gemini] Análisis completado.', JSON.stringify(result));
-
-        // Fase 3.2: Persistencia en PostgreSQL si el ticket está completo
-        if (result && result.isComplete && result.extractedData) {
-            try {
-                console.log('[Webhook] Ticket completo detectado, guardando en DB...');
-                const ticketId = await saveTicket(from, result.extractedData, 'whatsapp');
-
-                // --- NUEVO: Motor de Matchmaking ---
-                console.log('[Webhook] Iniciando Matchmaking...');
-                const matches = await findMatchingProviders(result.extractedData, ticketId);
-                
-                // Normalización definitiva para Argentina: Meta API Cloud rechaza el '9' en envíos
-                const metaRecipient = from.startsWith('549') ? '54' + from.slice(3) : from;
-
-                if (matches && matches.length > 0) {
-                    console.log(`[Matchmaking] ¡Éxito! Se encontraron ${matches.length} profesionales:`, 
-                        matches.map(m => `${m.name} (${m.is_pro ? 'PRO' : 'Normal'})`).join(', ')
-                    );
-                    
-                    // Enviar el Magic Link al usuario
-                    await sendMatchResultsMessage(metaRecipient, matches.length, ticketId);
-                    console.log('[Webhook] Magic Link enviado a WhatsApp.');
-                    clearUserSession(from);
-                    return; // Importante: No enviar la respuesta genérica de Gemini si ya enviamos el link
-                } else {
-                    console.log('[Matchmaking] No se encontraron profesionales que coincidan exactamente.');
-                    const noMatchesMsg = "Perdón, por el momento no tenemos profesionales verificados disponibles para ese rubro en tu zona.";
-                    await sendWhatsAppText(metaRecipient, noMatchesMsg);
-                    return; // No enviar respuesta genérica
-                }
-                // --- FIN Matchmaking ---
-
-            } catch (dbErr) {
-                console.error('[Webhook] Error en persistencia o matchmaking:', dbErr.message);
-            }
-        }
-
-        // Fase 2: Responder al usuario por WhatsApp
-        if (result && !result.error && result.replyToClient) {
-            const mensajeAEnviar = result.replyToClient;
-            
-            try {
-                // Normalización definitiva para Argentina: Meta API Cloud rechaza el '9' en envíos
-                const metaRecipient = from.startsWith('549') ? '54' + from.slice(3) : from;
-                
-                await sendWhatsAppText(metaRecipient, mensajeAEnviar);
-                console.log('[Webhook] Respuesta enviada a WhatsApp a:', metaRecipient);
-            } catch (sendErr) {
-                console.error('[Webhook] Error enviando respuesta a WhatsApp:', sendErr.message);
-            }
-        }
-    } finally {
-        inFlightUsers.delete(from);
-        if (messageBuffers.has(from) && !messageTimers.has(from)) {
-            const timer = setTimeout(() => {
-                messageTimers.delete(from);
-                flushBufferedMessages(from).catch((err) => {
-                    console.error('[Debounce] Error al reprocesar buffer:', err.message);
-                });
-            }, DEBOUNCE_MS);
-            messageTimers.set(from, timer);
-        }
-    }
-}
 
 /**
  * GET /webhook - Verificación del webhook por Meta (WhatsApp Business API).
@@ -141,34 +39,137 @@ router.get('/webhook', (req, res) => {
 });
 
 /**
- * POST /webhook - Recepción de mensajes entrantes de WhatsApp.
- * Acepta mensajes de cualquier número; el remitente se normaliza con formatWhatsAppNumber (549...) para la base de datos.
+ * Aplana un payload del webhook (entry[] → changes[] → value.messages[]) en una lista de mensajes.
+ * Meta puede agrupar varios mensajes y varias entries (distintos remitentes) en un mismo POST.
+ * @param {object} body - Body del webhook.
+ * @returns {Array<object>} Mensajes crudos de Meta.
  */
-router.post('/webhook', whatsappLimiter, async (req, res) => {
-    // Meta exige respuesta 200 rápido; procesamos después
-    res.sendStatus(200);
+function collectInboundMessages(body) {
+    const collected = [];
+    const entries = Array.isArray(body?.entry) ? body.entry : [];
+    for (const entry of entries) {
+        const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+        for (const change of changes) {
+            const messages = change?.value?.messages;
+            if (Array.isArray(messages)) {
+                collected.push(...messages.filter((m) => m && m.from));
+            }
+        }
+    }
+    return collected;
+}
 
+/**
+ * Aplana los callbacks de estado (value.statuses[]) de todas las entries/changes del payload.
+ * @param {object} body - Body del webhook.
+ * @returns {Array<object>} Statuses crudos de Meta ({ id, status, timestamp, recipient_id, errors? }).
+ */
+function collectStatusUpdates(body) {
+    const collected = [];
+    const entries = Array.isArray(body?.entry) ? body.entry : [];
+    for (const entry of entries) {
+        const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+        for (const change of changes) {
+            const statuses = change?.value?.statuses;
+            if (Array.isArray(statuses)) {
+                collected.push(...statuses.filter((st) => st && st.id && st.status));
+            }
+        }
+    }
+    return collected;
+}
+
+/**
+ * Persiste un callback de estado (sent/delivered/read/failed) contra el mensaje saliente en chat_logs.
+ * Para failed se guarda el motivo (ej. "131047: Re-engagement message").
+ * @param {object} status - value.statuses[i].
+ */
+async function processStatusUpdate(status) {
     try {
-        const body = req.body;
-        const value = body?.entry?.[0]?.changes?.[0]?.value;
-        const messages = value?.messages;
-        if (!messages || messages.length === 0) {
-            return;
+        const firstError = Array.isArray(status.errors) ? status.errors[0] : null;
+        const errorText = firstError
+            ? [
+                [firstError.code, firstError.title].filter(Boolean).join(': '),
+                firstError.error_data?.details
+            ].filter(Boolean).join(' — ')
+            : null;
+        const statusAt = status.timestamp ? new Date(Number(status.timestamp) * 1000) : null;
+
+        const updated = await updateChatLogDeliveryStatus(status.id, status.status, statusAt, errorText);
+        if (status.status === 'failed') {
+            console.warn('[Webhook] Mensaje saliente falló en Meta.', { id: status.id, to: status.recipient_id, error: errorText });
+        } else if (!updated) {
+            console.log('[Webhook] Status sin chat_log asociado o desactualizado.', { id: status.id, status: status.status });
         }
+    } catch (err) {
+        console.error('[Webhook] Error procesando status:', err.message, { id: status?.id });
+    }
+}
 
-        const first = messages[0];
-        const from = formatWhatsAppNumber(first.from) || first.from;
-        const text = (first.type === 'text' && first.text?.body) ? first.text.body : '';
-        const interactive = first.type === 'interactive' ? first.interactive : null;
+/**
+ * Agrupa los mensajes por remitente y los ordena por timestamp (epoch en segundos, string en Meta).
+ * El orden original del payload desempata mensajes con el mismo timestamp.
+ * @param {Array<object>} messages
+ * @returns {Map<string, Array<object>>} from → mensajes ordenados.
+ */
+function groupMessagesBySender(messages) {
+    const bySender = new Map();
+    messages.forEach((message, index) => {
+        const list = bySender.get(message.from) || [];
+        list.push({ message, index });
+        bySender.set(message.from, list);
+    });
+    for (const [from, list] of bySender) {
+        list.sort((a, b) => (Number(a.message.timestamp) || 0) - (Number(b.message.timestamp) || 0) || a.index - b.index);
+        bySender.set(from, list.map((item) => item.message));
+    }
+    return bySender;
+}
+
+/**
+ * Procesa un único mensaje entrante a través de la cadena de interceptores
+ * (ledger, review, follow-up, ghosting, gatekeeper, debounce).
+ * Lanza si algún interceptor falla: handleInboundMessage lo deja para reintento.
+ * @param {object} message - Mensaje crudo de Meta (value.messages[i]).
+ */
+async function processInboundMessage(message) {
+    try {
+        const from = formatWhatsAppNumber(message.from) || message.from;
+        const text = (message.type === 'text' && message.text?.body) ? message.text.body : '';
+        const interactive = message.type === 'interactive' ? message.interactive : null;
+        // Botones de respuesta y filas de listas llegan con la misma forma { id, title }.
+        const interactiveReply = interactive?.button_reply || interactive?.list_reply || null;
+
+        console.log('[Webhook] Mensaje recibido.', { from, type: message.type, id: message.id });
+
+        // Ventana de 24 h: cualquier mensaje del usuario (incluso botones o media) la reabre.
+        await recordInbound(from, message.timestamp);
+
+        // Audio, imagen, ubicación y contactos: se convierten en texto para Gemini (transcripción / descripción)
+        // y la media queda guardada y referenciada en la metadata del chat_log.
+        let conversationText = text;
+        let richContent = null;
+        if (!text && isSupportedRichMessage(message)) {
+            richContent = await resolveInboundContent(message);
+            conversationText = richContent.text;
+            if (richContent.zone) {
+                await setSessionZone(from, richContent.zone);
+            }
+        }
 
-        console.log('[Webhook] Mensaje recibido.', { from, type: first.type });
+        // Persist every inbound message (text, interactive button label or rich content summary).
+        // Awaited so that batched messages from the same sender keep their order in chat_logs.
+        const logBody = text || richContent?.logBody || interactiveReply?.title || `[${message.type}]`;
+        await saveChatLog(from, 'USER', logBody, { metadata: richContent?.metadata })
+            .catch(e => console.error('[ChatLogs] save USER error:', e.message));
 
-        // Persist every inbound message (text or interactive button label)
-        const logBody = text || (interactive?.button_reply?.title) || `[${first.type}]`;
-        saveChatLog(from, 'USER', logBody).catch(e => console.error('[ChatLogs] save USER error:', e.message));
+        // --- Baja / alta (BAJA, STOP, ALTA): antes que cualquier otro interceptor ---
+        if (await handlePreferenceMessage(from, { text, buttonId: interactiveReply?.id })) {
+            return;
+        }
 
         // --- Interceptor Shadow Ledger: captura respuesta del profesional con GMV (evita Gemini) ---
-        if (first.type === 'text' && text) {
+        if (message.type === 'text' && text) {
             const intercepted = await checkAndProcessProviderAmount(from, text);
             if (intercepted) {
                 console.log('[Webhook] Mensaje interceptado por Ledger (GMV), no se envía a Gemini.');
@@ -188,115 +189,205 @@ router.post('/webhook', whatsappLimiter, async (req, res) => {
             }
         }
 
-        // --- Interceptor Anti-Ghosting (botones GHOST_YES_ / GHOST_NO_) ---
-        if (interactive) {
-            const buttonId = interactive.button_reply?.id || '';
-            const metaRecipient = from.startsWith('549') ? '54' + from.slice(3) : from;
-
-            if (buttonId.startsWith('GHOST_YES_')) {
-                await sendWhatsAppText(metaRecipient, '¡Genial! Te dejo en buenas manos. ¡Avisame cuando terminen el trabajo!');
-                console.log('[Webhook] Cliente confirmó contacto (GHOST_YES).', { from });
-                return;
-            }
-
-            if (buttonId.startsWith('GHOST_NO_')) {
-                const ticketId = buttonId.replace(/^GHOST_NO_/, '');
-                const ticket = ticketId ? await getTicketById(ticketId) : null;
-                if (ticket) {
-                    // Credit History: JOB_GHOSTED (before clearing provider_id)
-                    if (ticket.provider_id) {
-                        emitCreditEvent(ticket.provider_id, 'JOB_GHOSTED', {
-                            metadata: { ticket_id: ticket.id, category: ticket.category },
-                            source: 'whatsapp'
-                        }).catch(err => console.error('[Credit] Error emitting JOB_GHOSTED:', err.message));
-                    }
-
-                    await reopenTicketAfterGhost(ticketId);
-                    const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
-                    await sendWhatsAppText(metaRecipient, `Te pido mil disculpas. Evidentemente el profesional tuvo un contratiempo. Te vuelvo a mandar el enlace para que elijas a otra persona disponible: ${FRONTEND_URL}/pedidos/match/${ticketId}`);
-                    const providerPhone = ticket.provider_phone || (ticket.provider_id ? await getProviderWhatsAppNumber(ticket.provider_id) : null);
-                    if (providerPhone) {
-                        await sendWhatsAppText(providerPhone, 'Hola. Como no contactaste al cliente a tiempo, el pedido fue devuelto a la bolsa de trabajo. Recordá que la rapidez es clave en miservicio.');
-                    }
-                    console.log('[Webhook] Ticket reabierto por ghosting (GHOST_NO).', { ticketId, from });
-                }
-                return;
+        // --- Follow-up de contacto directo respondido desde la lista interactiva ---
+        // La opción no es texto para Gemini: si no hay follow-up pendiente (o reviews no está configurado)
+        // se avisa al cliente en vez de dejar el toque sin respuesta.
+        if (interactiveReply?.id && answerFromReplyId(interactiveReply.id)) {
+            const followupIntercepted = await checkAndProcessFollowupReply(from, '', { replyId: interactiveReply.id });
+            if (followupIntercepted) {
+                console.log('[Webhook] Opción interceptada por FollowupReply (contacto directo), no se envía a Gemini.');
+            } else {
+                console.log('[Webhook] Opción de follow-up sin seguimiento pendiente.', { from, replyId: interactiveReply.id });
+                await sendWhatsAppText(from, 'Gracias por responder 🙏 Ese seguimiento ya no está activo. Si necesitás algo más, contame por acá.');
             }
+            return;
         }
 
-        // --- FASE 3: Legal Gatekeeper Interceptor ---
-        
-        // 1. Manejo de respuestas interactivas (Botones)
-        if (interactive) {
-            const buttonId = interactive.button_reply?.id;
-            
-            if (buttonId === 'accept_terms') {
-                await acceptTerms(from);
-                await sendWhatsAppText(from, "¡Gracias! Ya estás registrado. ¿Qué servicio estás necesitando hoy?");
-                return; // Corta el flujo
-            }
-            
-            if (buttonId === 'reject_terms') {
-                await sendWhatsAppText(from, "Entendemos. Para usar miservicio es necesario aceptar las políticas. ¡Te esperamos cuando gustes!");
-                return; // Corta el flujo
-            }
-        }
+        // Botones anti-ghosting, gatekeeper legal, pausa del admin y Gemini (común a todos los canales).
+        await handleConversationMessage(from, {
+            text: conversationText,
+            buttonId: interactiveReply?.id
+        });
+    } catch (err) {
+        console.error('[Webhook] Error procesando mensaje:', err.message, { id: message?.id });
+        throw err;
+    }
+}
 
-        // 2. Verificación de Usuario y Términos para mensajes normales
-        let user = await getUser(from);
-        if (!user) {
-            console.log('[Webhook] Usuario nuevo detectado, creando registro...', from);
-            user = await createUser(from);
-            if (!user) {
-                user = await getUser(from);
-            }
-        }
+/**
+ * Idempotencia y reintentos: Meta reintenta entregas, así que el wamid se reclama antes de los
+ * interceptores (un duplicado se descarta). Como el webhook ya respondió 200, un fallo no lo reintenta
+ * Meta: el mensaje queda en processed_messages y lo reprocesa inbound-retry.service.
+ * @param {object} message - Mensaje crudo de Meta (value.messages[i]).
+ */
+async function handleInboundMessage(message) {
+    if (!message.id) {
+        // Sin wamid no hay cómo reintentarlo; el error ya quedó logueado en processInboundMessage.
+        await processInboundMessage(message).catch(() => {});
+        return;
+    }
+    const from = formatWhatsAppNumber(message.from) || message.from;
+    const claimed = await claimProcessedMessage(message.id, from, { source: 'whatsapp', message });
+    if (!claimed) {
+        console.log('[Webhook] Mensaje duplicado (reintento de Meta), se descarta.', { from, id: message.id });
+        return;
+    }
+    await runClaimedInbound(message.id, { source: 'whatsapp', message });
+}
 
-        if (!user) {
-            console.error('[Webhook] No se pudo obtener/crear usuario para gatekeeper.', { from });
-            return;
-        }
+registerInboundHandler('whatsapp', ({ message }) => processInboundMessage(message));
 
-        if (!user.terms_accepted || user.terms_version !== CURRENT_TERMS_VERSION) {
-            console.log('[Webhook] Usuario sin términos aceptados o versión antigua, enviando gatekeeper...', { from, current: CURRENT_TERMS_VERSION, userVer: user.terms_version });
-            try {
-                const gatekeeperResult = await sendTermsInteractiveMessage(from);
-                if (!gatekeeperResult.success) {
-                    console.error('[Gatekeeper] Envío fallido (respuesta de servicio).', {
-                        from,
-                        error: gatekeeperResult.error,
-                        metaError: gatekeeperResult.metaError
-                    });
-                }
-            } catch (gatekeeperErr) {
-                console.error('[Gatekeeper] Excepción inesperada al enviar términos:', gatekeeperErr.message);
-            }
-            return; // Frena el flujo, NO pasa a Gemini
-        }
+/**
+ * Procesa un payload completo del webhook: primero los statuses, después los mensajes
+ * (en serie por remitente, en paralelo entre remitentes). Lo usan el webhook real y el sandbox.
+ * @param {object} body - Body del webhook.
+ * @returns {Promise<{ statuses: number, messages: number }>}
+ */
+async function processWebhookPayload(body) {
+    const statuses = collectStatusUpdates(body);
+    for (const status of statuses) {
+        await processStatusUpdate(status);
+    }
 
-        // --- FIN Legal Gatekeeper ---
+    const messages = collectInboundMessages(body);
+    if (messages.length > 1) {
+        console.log(`[Webhook] Batch con ${messages.length} mensajes recibido.`);
+    }
 
-        // Si el admin pausó el bot para este usuario, no enviar a Gemini
-        const paused = await isBotPaused(from);
-        if (paused) {
-            console.log('[Webhook] Bot pausado para', from, '— mensaje NO enviado a Gemini (esperando admin).');
-            return;
+    const bySender = groupMessagesBySender(messages);
+    await Promise.all([...bySender.values()].map(async (senderMessages) => {
+        for (const message of senderMessages) {
+            await handleInboundMessage(message);
         }
+    }));
+    return { statuses: statuses.length, messages: messages.length };
+}
+
+/**
+ * POST /webhook - Recepción de mensajes entrantes de WhatsApp.
+ * Acepta mensajes de cualquier número; el remitente se normaliza con formatWhatsAppNumber (canónico, 549... en AR) para la base de datos.
+ * La firma X-Hub-Signature-256 se valida antes del limiter y de cualquier interceptor.
+ * Se procesan todas las entries/changes/messages del batch: en serie por remitente (orden por timestamp)
+ * y en paralelo entre remitentes distintos. Los callbacks de estado (value.statuses) se aplican a chat_logs.
+ */
+router.post('/webhook', verifyMetaSignature, whatsappLimiter, async (req, res) => {
+    // Meta exige respuesta 200 rápido y no reintenta lo que ya confirmamos: procesamos después y los
+    // mensajes que fallan los reintenta inbound-retry.service (ver handleInboundMessage).
+    res.sendStatus(200);
 
-        enqueueDebouncedMessage(from, text);
+    try {
+        await processWebhookPayload(req.body);
     } catch (err) {
         console.error('[Webhook] Error procesando POST:', err.message);
     }
 });
 
+/**
+ * Arma un mensaje entrante con la forma de Meta (value.messages[i]) a partir del body del sandbox.
+ * Body: { from, text } | { from, buttonId, buttonTitle? } | { from, listId, listTitle? } | { from, location } | { from, message }.
+ * Con `message` se usa el objeto tal cual (cualquier tipo de Meta); faltantes: id y timestamp.
+ * @returns {object|null} null si el body no describe ningún mensaje.
+ */
+function buildSandboxInboundMessage(body) {
+    const base = {
+        from: String(body.from),
+        id: `wamid.SANDBOX.IN.${crypto.randomUUID()}`,
+        timestamp: String(Math.floor(Date.now() / 1000))
+    };
+    if (body.message && typeof body.message === 'object') {
+        return { ...base, ...body.message, from: base.from };
+    }
+    if (body.buttonId) {
+        return {
+            ...base,
+            type: 'interactive',
+            interactive: { type: 'button_reply', button_reply: { id: String(body.buttonId), title: String(body.buttonTitle || body.buttonId) } }
+        };
+    }
+    if (body.listId) {
+        return {
+            ...base,
+            type: 'interactive',
+            interactive: { type: 'list_reply', list_reply: { id: String(body.listId), title: String(body.listTitle || body.listId) } }
+        };
+    }
+    if (body.location && typeof body.location === 'object') {
+        return { ...base, type: 'location', location: body.location };
+    }
+    if (typeof body.text === 'string' && body.text.trim()) {
+        return { ...base, type: 'text', text: { body: body.text } };
+    }
+    return null;
+}
+
+/**
+ * POST /sandbox/inbound - Inyecta un mensaje entrante simulado (solo con WA_TRANSPORT=sandbox).
+ * Recorre la misma cadena que el webhook (dedupe, interceptores, gatekeeper, debounce → Gemini),
+ * sin validar firma ni pasar por el limiter. Las respuestas del bot se leen en GET /sandbox/outbound
+ * (Gemini responde después del debounce, así que puede hacer falta consultar de nuevo).
+ */
+router.post('/sandbox/inbound', requireSandboxTransport, async (req, res) => {
+    try {
+        if (!req.body?.from) {
+            return res.status(400).json({ error: 'from es requerido' });
+        }
+        const message = buildSandboxInboundMessage(req.body);
+        if (!message) {
+            return res.status(400).json({ error: 'Falta el contenido: text, buttonId, listId, location o message' });
+        }
+        const payload = {
+            object: 'whatsapp_business_account',
+            entry: [{
+                id: 'sandbox',
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        messaging_product: 'whatsapp',
+                        contacts: [{ wa_id: message.from, profile: { name: req.body.name || 'Sandbox' } }],
+                        messages: [message]
+                    }
+                }]
+            }]
+        };
+        await processWebhookPayload(payload);
+        res.json({ success: true, message });
+    } catch (err) {
+        console.error('[Sandbox] POST /sandbox/inbound:', err.message);
+        res.status(500).json({ error: 'Error procesando mensaje simulado' });
+    }
+});
+
+/**
+ * GET /sandbox/outbound - Mensajes salientes registrados por el driver sandbox.
+ * Query: to (número, cualquier formato), since (ISO).
+ */
+router.get('/sandbox/outbound', requireSandboxTransport, (req, res) => {
+    const to = req.query.to ? toMetaSendFormat(req.query.to) || formatWhatsAppNumber(req.query.to) : null;
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const messages = listSandboxMessages({
+        to: to || undefined,
+        since: since && !Number.isNaN(since.getTime()) ? since : undefined
+    });
+    res.json({ messages, count: messages.length });
+});
+
+/**
+ * DELETE /sandbox/outbound - Vacía el registro en memoria del sandbox.
+ */
+router.delete('/sandbox/outbound', requireSandboxTransport, (req, res) => {
+    res.json({ success: true, cleared: clearSandboxMessages() });
+});
+
 /**
  * POST /send-whatsapp
- * Body: { phoneNumber, workerName, category }
- * Envía al trabajador un mensaje de nuevo interesado en su servicio.
+ * Body: { phoneNumber, workerName, category, urgent? }
+ * Envía al trabajador un mensaje de nuevo interesado en su servicio
+ * (texto libre con ventana de 24 h abierta; plantilla provider_new_lead si no).
+ * Fuera del horario de entrega queda diferido en el outbox (scheduledFor), salvo urgent=true.
  */
 router.post('/send-whatsapp', requireInternalNotificationKey, async (req, res) => {
     try {
-        const { phoneNumber, workerName, category } = req.body;
+        const { phoneNumber, workerName, category, urgent } = req.body;
         if (!phoneNumber || !workerName || !category) {
             return res.status(400).json({
                 error: 'Missing required fields',
@@ -304,11 +395,22 @@ router.post('/send-whatsapp', requireInternalNotificationKey, async (req, res) =
             });
         }
         const message = `¡Hola ${workerName}! Tienes un nuevo interesado en tu servicio de ${category} en San Rafael. Entra a la app para ver los detalles.`;
-        const result = await sendWhatsAppText(phoneNumber, message);
+        const result = await sendProactiveText(phoneNumber, message, {
+            templateKey: 'provider_new_lead',
+            templateParams: { workerName, category },
+            urgent: urgent === true
+        });
         if (!result.success) {
             return res.status(502).json({ error: 'WhatsApp send failed', detail: result.error });
         }
-        res.json({ success: true, messageId: result.messageId });
+        res.status(result.queued ? 202 : 200).json({
+            success: true,
+            messageId: result.messageId,
+            queued: !!result.queued,
+            outboxId: result.outboxId,
+            scheduledFor: result.scheduledFor,
+            via: result.via
+        });
     } catch (err) {
         console.error('[notification] POST /send-whatsapp:', err);
         res.status(500).json({ error: 'Internal server error' });
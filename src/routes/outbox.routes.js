@@ -0,0 +1,65 @@
+'use strict';
+
+const router = require('express').Router();
+const { requireAdminJwt } = require('../middlewares/access.middleware');
+const { listOutboundMessages, getOutboundStatusCounts } = require('../services/db.service');
+const { replayOutboundMessage } = require('../services/outbox.service');
+const { getThroughputStats } = require('../services/whatsapp-api.service');
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// All routes require admin JWT
+router.use(requireAdminJwt);
+
+/**
+ * GET /
+ * Mensajes del outbox. Por defecto los dead-letter (envíos fallidos definitivos).
+ * Incluye el estado del token bucket por phone-number-id (throughput).
+ * Query params: status (pending | sending | sent | dead | all), phone, limit, offset.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const requested = String(req.query.status || 'dead').toLowerCase();
+        if (requested !== 'all' && !OUTBOX_STATUSES.includes(requested)) {
+            return res.status(400).json({ error: 'status inválido', allowed: [...OUTBOX_STATUSES, 'all'] });
+        }
+        const limit = Math.min(Number(req.query.limit) || 50, 200);
+        const offset = Number(req.query.offset) || 0;
+        const [messages, counts] = await Promise.all([
+            listOutboundMessages({
+                status: requested === 'all' ? null : requested,
+                phoneNumber: req.query.phone || null,
+                limit,
+                offset
+            }),
+            getOutboundStatusCounts()
+        ]);
+        res.json({ messages, counts, throughput: getThroughputStats(), limit, offset });
+    } catch (err) {
+        console.error('[AdminOutbox] GET / error:', err.message);
+        res.status(500).json({ error: 'Error al obtener el outbox' });
+    }
+});
+
+/**
+ * POST /:id/replay
+ * Re-encola un mensaje dead-letter (intentos en cero) y dispara el procesamiento.
+ */
+router.post('/:id/replay', async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (!id || Number.isNaN(id)) {
+            return res.status(400).json({ error: 'id inválido' });
+        }
+        const row = await replayOutboundMessage(id);
+        if (!row) {
+            return res.status(404).json({ error: 'Mensaje no encontrado o ya enviado' });
+        }
+        res.json({ success: true, message: row });
+    } catch (err) {
+        console.error('[AdminOutbox] POST replay error:', err.message);
+        res.status(500).json({ error: 'Error al re-encolar el mensaje' });
+    }
+});
+
+module.exports = router;
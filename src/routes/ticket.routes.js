@@ -2,10 +2,12 @@
 
 const router = require('express').Router();
 const { requireBearerJwt, requireAdminJwt } = require('../middlewares/access.middleware');
-const { saveTicket, getTickets, getTicketById, updateTicketStatus, assignTicket, completeTicket } = require('../services/db.service');
-const { sendWhatsAppText } = require('../services/whatsapp.service');
+const { saveTicket, getTickets, getTicketById, updateTicketStatus, completeTicket } = require('../services/db.service');
+const { sendProactiveText } = require('../services/whatsapp.service');
 const { getProviderWhatsAppNumber } = require('../services/provider-client.service');
 const { emitCreditEvent } = require('../services/credit.service');
+const { assignTicketToProvider } = require('../services/assignment.service');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
 
 /**
  * GET /api/v1/tickets/:id
@@ -107,34 +109,17 @@ router.post('/tickets/:id/assign', async (req, res) => {
             });
         }
 
-        const ticket = await getTicketById(id);
-        if (!ticket) {
-            return res.status(404).json({
-                success: false,
-                error: 'Ticket no encontrado.'
-            });
-        }
-
-        const updatedTicket = await assignTicket(id, providerId, providerName, providerPhone);
-        if (!updatedTicket) {
-            return res.status(500).json({
+        const result = await assignTicketToProvider(id, { providerId, providerName, providerPhone });
+        if (!result.success) {
+            return res.status(result.status || 500).json({
                 success: false,
-                error: 'Error al asignar el ticket.'
+                error: result.error
             });
         }
 
-        const messageToClient = `¡Excelente elección! 🚀 Ya le avisé a ${providerName} sobre tu pedido. En los próximos minutos te va a escribir por acá para coordinar los detalles.`;
-        await sendWhatsAppText(ticket.phone_number, messageToClient);
-
-        if (providerPhone) {
-            const clientWa = String(ticket.phone_number).replace(/\D/g, '');
-            const messageToProvider = `¡Hola ${providerName}! Tenés un nuevo trabajo de ${ticket.category || 'servicio'} asignado. El cliente te está esperando. Hacé clic acá para escribirle: https://wa.me/${clientWa}`;
-            await sendWhatsAppText(providerPhone, messageToProvider);
-        }
-
         res.json({
             success: true,
-            data: updatedTicket,
+            data: result.ticket,
             message: 'Ticket asignado y cliente notificado.'
         });
     } catch (err) {
@@ -192,7 +177,7 @@ router.post('/tickets/:id/complete', requireAdminJwt, async (req, res) => {
             });
         }
 
-        await sendWhatsAppText(providerPhone, COMPLETE_MESSAGE_TO_PROVIDER);
+        await sendProactiveText(providerPhone, COMPLETE_MESSAGE_TO_PROVIDER, { templateKey: 'provider_amount_request' });
 
         // Credit History: JOB_COMPLETED
         emitCreditEvent(ticket.provider_id, 'JOB_COMPLETED', {
@@ -231,10 +216,15 @@ router.post('/tickets', requireBearerJwt, async (req, res) => {
             });
         }
 
+        const phoneNumber = toCanonicalPhone(phone_number);
+        if (!phoneNumber) {
+            return res.status(400).json({ success: false, error: 'phone_number no es un número de teléfono válido.' });
+        }
+
         const ticketData = { category, description, zone, urgency };
         
-        // Guardar ticket con origen 'web'
-        const ticketId = await saveTicket(phone_number, ticketData, 'web');
+        // Guardar ticket con origen 'web' (número canónico, igual que los de WhatsApp)
+        const ticketId = await saveTicket(phoneNumber, ticketData, 'web');
 
         res.status(201).json({
             success: true,
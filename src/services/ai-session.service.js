@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * Estado de la conversación con la IA, persistido en ai_sessions (sobrevive a deploys).
+ *
+ * Por identidad (549..., tg:..., sms:...) se guarda: historial de turnos (formato contents de Gemini),
+ * resumen de los turnos viejos, datos del pedido extraídos hasta ahora, zona fijada por ubicación
+ * compartida y timestamps.
+ *
+ * AI_SESSION_TTL_MINUTES — inactividad tras la cual la próxima charla empieza de cero (default 360).
+ * AI_SESSION_MAX_HISTORY — mensajes de historial (usuario + modelo) antes de resumir (default 20).
+ * AI_SESSION_KEEP_RECENT — mensajes recientes que quedan literales al resumir (default 8).
+ * AI_SESSION_STORE — "postgres" (default) o "memory" (tests / evaluación offline; no sobrevive reinicios).
+ */
+
+const { getAiSession, saveAiSession, deleteAiSession, purgeExpiredAiSessions } = require('./db.service');
+
+const DEFAULT_TTL_MINUTES = 360;
+const DEFAULT_MAX_HISTORY = 20;
+const DEFAULT_KEEP_RECENT = 8;
+
+function positiveInt(value, fallback) {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+const postgresStore = {
+    get: getAiSession,
+    save: saveAiSession,
+    delete: deleteAiSession,
+    purge: purgeExpiredAiSessions,
+};
+
+// Misma forma de fila que ai_sessions; el historial se copia para no compartir referencias.
+const memoryRows = new Map();
+const memoryStore = {
+    async get(key) {
+        return memoryRows.get(key) || null;
+    },
+    async save(key, { history, summary = null, extractedData = {}, pinnedZone = null, turnCount = 0 }) {
+        const row = {
+            phone_number: key,
+            history: JSON.parse(JSON.stringify(history || [])),
+            summary,
+            extracted_data: { ...(extractedData || {}) },
+            pinned_zone: pinnedZone,
+            turn_count: turnCount,
+            created_at: memoryRows.get(key)?.created_at || new Date(),
+            last_message_at: new Date(),
+        };
+        memoryRows.set(key, row);
+        return row;
+    },
+    async delete(key) {
+        return memoryRows.delete(key);
+    },
+    async purge(ttlMinutes) {
+        let deleted = 0;
+        for (const [key, row] of memoryRows) {
+            if (isExpired(row, ttlMinutes)) {
+                memoryRows.delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    },
+};
+
+function getStore() {
+    return (process.env.AI_SESSION_STORE || '').trim().toLowerCase() === 'memory' ? memoryStore : postgresStore;
+}
+
+function getSessionConfig() {
+    const maxHistory = positiveInt(process.env.AI_SESSION_MAX_HISTORY, DEFAULT_MAX_HISTORY);
+    return {
+        ttlMinutes: positiveInt(process.env.AI_SESSION_TTL_MINUTES, DEFAULT_TTL_MINUTES),
+        maxHistory,
+        keepRecent: Math.min(positiveInt(process.env.AI_SESSION_KEEP_RECENT, DEFAULT_KEEP_RECENT), maxHistory),
+    };
+}
+
+function emptySession() {
+    return { history: [], summary: null, extractedData: {}, pinnedZone: null, turnCount: 0, isNew: true };
+}
+
+function isExpired(row, ttlMinutes) {
+    const last = row?.last_message_at ? new Date(row.last_message_at).getTime() : 0;
+    return Date.now() - last > ttlMinutes * 60_000;
+}
+
+function fromRow(row) {
+    return {
+        history: Array.isArray(row.history) ? row.history : [],
+        summary: row.summary || null,
+        extractedData: row.extracted_data || {},
+        pinnedZone: row.pinned_zone || null,
+        turnCount: row.turn_count || 0,
+        isNew: false,
+    };
+}
+
+/**
+ * Sesión vigente de una identidad. Si expiró por inactividad se borra y se arranca una nueva.
+ * Ante error de DB se devuelve una sesión vacía (la conversación sigue, sin contexto previo).
+ * @param {string} from
+ */
+async function loadSession(from) {
+    try {
+        const row = await getStore().get(from);
+        if (!row) return emptySession();
+        if (isExpired(row, getSessionConfig().ttlMinutes)) {
+            await getStore().delete(from);
+            console.log('[AISession] Sesión expirada por inactividad, se inicia una nueva.', { from });
+            return emptySession();
+        }
+        return fromRow(row);
+    } catch (err) {
+        console.error('[AISession] No se pudo cargar la sesión, se sigue sin contexto:', err.message);
+        return emptySession();
+    }
+}
+
+/**
+ * Persiste la sesión (best-effort: un error se loguea y no corta la conversación).
+ * @param {string} from
+ * @param {object} session
+ */
+async function persistSession(from, session) {
+    try {
+        await getStore().save(from, session);
+    } catch (err) {
+        console.error('[AISession] No se pudo guardar la sesión:', err.message);
+    }
+}
+
+/**
+ * Si el historial supera AI_SESSION_MAX_HISTORY, resume los mensajes viejos y deja los recientes.
+ * El corte se hace en un mensaje del usuario para que el historial no empiece con una respuesta del modelo.
+ * @param {object} session
+ * @param {(previousSummary: string|null, messages: Array<object>) => Promise<string|null>} summarize
+ * @returns {Promise<object>} La misma sesión, compactada si hacía falta.
+ */
+async function compactSession(session, summarize) {
+    const { maxHistory, keepRecent } = getSessionConfig();
+    if (session.history.length <= maxHistory) return session;
+
+    let cut = session.history.length - keepRecent;
+    while (cut < session.history.length && session.history[cut]?.role !== 'user') cut++;
+    const older = session.history.slice(0, cut);
+    const recent = session.history.slice(cut);
+
+    let summary = null;
+    try {
+        summary = await summarize(session.summary, older);
+    } catch (err) {
+        console.error('[AISession] Error al resumir historial:', err.message);
+    }
+    // Sin resumen nuevo se conserva el anterior; los datos extraídos quedan en extractedData igual.
+    session.summary = summary || session.summary;
+    session.history = recent;
+    console.log('[AISession] Historial compactado.', { dropped: older.length, kept: recent.length, summarized: Boolean(summary) });
+    return session;
+}
+
+/**
+ * Borra la sesión (pedido derivado o reset desde el panel).
+ * @param {string} from
+ * @returns {Promise<boolean>} true si había sesión.
+ */
+async function resetSession(from) {
+    return getStore().delete(from);
+}
+
+/**
+ * Vista de la sesión para el panel de admin.
+ * @param {string} from
+ * @returns {Promise<object|null>}
+ */
+async function inspectSession(from) {
+    const row = await getStore().get(from);
+    if (!row) return null;
+    const { ttlMinutes } = getSessionConfig();
+    const expiresAt = new Date(new Date(row.last_message_at).getTime() + ttlMinutes * 60_000);
+    return {
+        phoneNumber: row.phone_number,
+        history: row.history,
+        summary: row.summary,
+        extractedData: row.extracted_data,
+        pinnedZone: row.pinned_zone,
+        turnCount: row.turn_count,
+        createdAt: row.created_at,
+        lastMessageAt: row.last_message_at,
+        expiresAt,
+        expired: isExpired(row, ttlMinutes),
+    };
+}
+
+/** Borra las sesiones vencidas (cron). */
+async function purgeExpiredSessions() {
+    return getStore().purge(getSessionConfig().ttlMinutes);
+}
+
+module.exports = {
+    getSessionConfig,
+    loadSession,
+    persistSession,
+    compactSession,
+    resetSession,
+    inspectSession,
+    purgeExpiredSessions,
+};
@@ -1,21 +1,32 @@
 'use strict';
 
-const { GoogleGenAI } = require('@google/genai');
+const crypto = require('crypto');
 const { getDefaultServiceCity, enrichExtractedDataWithServiceArea } = require('../config/serviceArea');
+const { loadSession, persistSession, compactSession, resetSession } = require('./ai-session.service');
+const { LlmSafetyError, LlmOutputError, generate, getGeminiClient } = require('./llm.service');
+const { recordLlmCall } = require('./llm-usage.service');
+const { ALLOWED_CATEGORIES, INTAKE_RESPONSE_SCHEMA, validateIntakeResponse } = require('../config/intakeSchema');
+const { isPiiRedactionEnabled, createRedactionVault, redactText, redactContents, restoreText, restoreValue } = require('../utils/piiRedaction');
 
-const apiKey = process.env.GEMINI_API_KEY;
-const client = apiKey ? new GoogleGenAI({ apiKey }) : null;
 const SAFETY_FALLBACK_REPLY = "Disculpá, no puedo procesar ese tipo de mensajes. Estoy acá para ayudarte a encontrar el profesional que necesitás en San Rafael. ¿Buscás algún rubro en particular?";
+const CLARIFICATION_REPLY = 'Perdón, no terminé de entenderte 🙏 ¿Me contás de nuevo qué necesitás, en qué barrio o zona y qué tan urgente es?';
 
-// Almacenamiento temporal de sesiones en memoria
-const sessions = new Map();
+// Subir la versión con cada cambio intencional del prompt; el hash detecta cambios sin bump (ver eval/).
+const INTAKE_PROMPT_VERSION = 'intake-v2';
+
+const MEDIA_MODEL = process.env.GEMINI_MEDIA_MODEL || 'gemini-2.5-flash';
+const EXTRACTED_FIELDS = ['category', 'description', 'zone', 'urgency'];
 
 function buildSystemInstruction() {
     const metro = process.env.SERVICE_AREA_CUSTOMER_HINT || getDefaultServiceCity();
+    const redactionRule = isPiiRedactionEnabled()
+        ? '\n- Los datos personales del cliente (direcciones, teléfonos, emails, DNI) llegan reemplazados por marcadores como [DIRECCION_1] o [TELEFONO_1]. Usalos tal cual (ej. "zone": "[DIRECCION_1]") y no le pidas al cliente que los repita.'
+        : '';
     return `Eres el recepcionista virtual de "miservicio", un marketplace de oficios. Tu objetivo es entender qué necesita el cliente y asegurarte de tener 4 datos clave: category, description, zone (barrio, zona o ciudad), y urgency (alta, media, o baja).
 
 Tu respuesta DEBE ser SIEMPRE un JSON válido con esta estructura exacta:
 {
+  "intent": "service_request o provider_signup",
   "isComplete": boolean, 
   "extractedData": {
     "category": "string o null",
@@ -29,19 +40,13 @@ Tu respuesta DEBE ser SIEMPRE un JSON válido con esta estructura exacta:
 Zona y cobertura (MUY IMPORTANTE):
 - Hoy la operación principal es en ${metro} (y otras ciudades cuando el sistema las habilite). Si el usuario dice solo un barrio o referencia local ("el centro", "cerca del shopping", "zona norte", "Colón"), eso cuenta como zona válida: guardá en "zone" lo que dijo el usuario (no rechaces por no mencionar la ciudad).
 - Si el usuario ya nombró una ciudad de la zona de servicio, podés usarla en "zone" (ej: "Centro, ${metro}").
+- Si el mensaje dice "📍 Ubicación compartida: ...", el usuario mandó su ubicación por WhatsApp: eso ya es la zona, no la vuelvas a pedir.
+- Los textos entre corchetes (ej. "[Foto enviada por el cliente: ...]") describen audios o fotos que mandó el cliente: usalos como parte de la descripción del problema.
 - Si menciona una ciudad fuera de la cobertura actual, explicá con empatía que por ahora canalizás pedidos en ${metro} y pedí confirmación si el trabajo es ahí.
-- Cuando falte la zona o la urgencia, isComplete=false y preguntá solo por lo que falta. Para la zona, preguntá por el barrio o zona dentro de ${metro} (ej: "¿En qué barrio o zona de ${metro} necesitás el servicio?").
+- Cuando falte la zona o la urgencia, isComplete=false y preguntá solo por lo que falta. Para la zona, preguntá por el barrio o zona dentro de ${metro} (ej: "¿En qué barrio o zona de ${metro} necesitás el servicio?").${redactionRule}
 
 Categorías válidas (usá EXACTAMENTE uno de estos nombres en "category"):
-- Electricidad
-- Plomería
-- Gasistas
-- Jardinería
-- Metalurgía
-- Pintura
-- Mantenimiento y limpieza de piletas
-- Reparación de electrodomésticos
-- Aire acondicionado
+${ALLOWED_CATEGORIES.map((c) => `- ${c}`).join('\n')}
 
 Mapeo de sinónimos (lo que dice el cliente → categoría correcta):
 - "heladera", "lavarropa", "lavarropas", "secarropas", "microondas", "horno", "freezer", "termotanque", "calefón", "service de electrodomésticos" → "Reparación de electrodomésticos"
@@ -58,14 +63,140 @@ Reglas de diálogo:
 1. Si falta categoría, descripción, zona o urgencia, isComplete debe ser false. En replyToClient preguntá SOLO por lo que falta, en un mensaje corto y empático.
 2. Si ya tenés las cuatro cosas (incluida zona aunque sea solo un barrio), isComplete debe ser true, y en replyToClient confirmá el pedido de forma breve sin volver a pedir datos que el usuario ya dio en la conversación.
 3. Si el usuario pide un "técnico" o "service" sin aclarar el rubro, preguntá si necesita "Reparación de electrodomésticos" (heladera, lavarropas, etc.) o "Aire acondicionado" (split, instalación, mantenimiento). No asumas categoría hasta que el usuario aclare.
-4. Si detectás que el usuario es un trabajador o profesional que quiere OFRECER sus servicios, buscar trabajo, registrarse como profesional, o dice cosas como "quiero ofrecer mis servicios", "soy plomero y busco trabajo", "quiero registrarme", "quería ofrecer mis servicios", "soy técnico y quiero sumarme", entonces NO extraigas datos de ticket. Respondé amablemente invitándolo a registrarse en la web con este mensaje exacto en replyToClient: "¡Hola! Qué bueno que quieras sumarte a miservicio como profesional 💪 Para poder ofrecer tus servicios y recibir trabajos, creá tu perfil gratis en nuestra web: https://miservicio.ar/registro ¡Te esperamos!" y dejá isComplete en false con todos los campos de extractedData en null.
+4. Si detectás que el usuario es un trabajador o profesional que quiere OFRECER sus servicios, buscar trabajo, registrarse como profesional, o dice cosas como "quiero ofrecer mis servicios", "soy plomero y busco trabajo", "quiero registrarme", "quería ofrecer mis servicios", "soy técnico y quiero sumarme", entonces NO extraigas datos de ticket. Poné "intent": "provider_signup" (en cualquier otro caso "intent" es "service_request") y respondé amablemente invitándolo a registrarse en la web con este mensaje exacto en replyToClient: "¡Hola! Qué bueno que quieras sumarte a miservicio como profesional 💪 Para poder ofrecer tus servicios y recibir trabajos, creá tu perfil gratis en nuestra web: https://miservicio.ar/registro ¡Te esperamos!" y dejá isComplete en false con todos los campos de extractedData en null.
 Responde únicamente con el JSON, sin texto adicional.
 
 IMPORTANTE: Eres estrictamente un asistente para "miservicio", una plataforma de oficios. Si el usuario hace preguntas fuera de contexto (política, chistes, consultas generales), usa lenguaje ofensivo, o pide cosas inapropiadas/ilegales, DEBES negarte a responder amablemente. Usa frases como: "Soy el asistente virtual de miservicio, solo puedo ayudarte a buscar profesionales o gestionar tus pedidos de oficios. ¿En qué rubro te puedo ayudar hoy?"`;
 }
 
+/**
+ * Contexto de la sesión que ya no está en el historial literal: resumen de turnos viejos
+ * y datos del pedido extraídos hasta ahora.
+ */
+function buildSessionContext(session) {
+    const known = Object.fromEntries(
+        EXTRACTED_FIELDS.filter((f) => session.extractedData?.[f]).map((f) => [f, session.extractedData[f]])
+    );
+    const parts = [];
+    if (session.summary) {
+        parts.push(`Resumen de la conversación anterior con este cliente:\n${session.summary}`);
+    }
+    if (Object.keys(known).length > 0) {
+        parts.push(`Datos del pedido ya obtenidos en esta conversación (no los vuelvas a pedir): ${JSON.stringify(known)}`);
+    }
+    return parts.length ? `\n\n${parts.join('\n\n')}` : '';
+}
+
+/**
+ * Redacción de datos personales para una llamada al LLM (PII_REDACTION). Sesión e historial se guardan
+ * sin redactar: cada llamada arma su vault, redacta lo que sale y restaura lo que vuelve.
+ * Solo cubre texto: el audio y la imagen de transcribeAudio / describeImage van tal cual (el caption sí
+ * se redacta); la transcripción o descripción resultante se redacta al entrar a la conversación.
+ */
+function createPiiGuard() {
+    if (!isPiiRedactionEnabled()) {
+        return { text: (t) => t, contents: (c) => c, restoreValue: (v) => v, restoreText: (t) => t, restoreJson: (t) => t };
+    }
+    const vault = createRedactionVault();
+    return {
+        text: (t) => redactText(t, vault),
+        contents: (c) => redactContents(c, vault),
+        restoreValue: (v) => restoreValue(v, vault),
+        restoreText: (t) => restoreText(t, vault),
+        restoreJson: (t) => restoreText(t, vault, { json: true }),
+    };
+}
+
+/** Combina los datos extraídos: un campo ya obtenido no se pierde si el modelo lo devuelve vacío. */
+function mergeExtractedData(previous, current) {
+    const merged = { ...(previous || {}) };
+    for (const [key, value] of Object.entries(current || {})) {
+        if (value != null && String(value).trim() !== '') merged[key] = value;
+    }
+    return merged;
+}
+
+/**
+ * Resume turnos viejos del historial para que la sesión no crezca sin límite.
+ * @param {string|null} previousSummary
+ * @param {Array<object>} messages - Contents de Gemini ({ role, parts }).
+ * @param {string} [from] - Identidad de la conversación (para la contabilidad de uso).
+ * @returns {Promise<string|null>}
+ */
+async function summarizeHistory(previousSummary, messages, from) {
+    if (!messages.length) return null;
+    const transcript = messages
+        .map((m) => `${m.role === 'model' ? 'Asistente' : 'Cliente'}: ${(m.parts || []).map((p) => p.text || '').join(' ')}`)
+        .join('\n');
+    const pii = createPiiGuard();
+    const previous = previousSummary ? `Resumen previo:\n${pii.text(previousSummary)}\n\n` : '';
+    const { text } = await generate({
+        task: 'summary',
+        contents: [{
+            role: 'user',
+            parts: [{
+                text: `${previous}Conversación:\n${pii.text(transcript)}\n\nResumí en pocas oraciones lo que el cliente necesita y los datos que ya dio (rubro, problema, zona, urgencia). Si hay un resumen previo, integralo. Respondé solo con el resumen.`
+            }]
+        }],
+        context: { previousSummary, messages },
+        meta: { phoneNumber: from || null }
+    });
+    return pii.restoreText(text) || null;
+}
+
+/** Parsea la salida del modelo (JSON, opcionalmente dentro de un bloque ```json). */
+function parseModelJson(output) {
+    let jsonStr = output;
+    const codeBlock = output.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlock) {
+        jsonStr = codeBlock[1].trim();
+    }
+    return JSON.parse(jsonStr);
+}
+
+/**
+ * Parsea y valida la salida contra INTAKE_RESPONSE_SCHEMA; lanza con el detalle si no cumple
+ * (el mensaje se le devuelve al modelo en el intento de repair).
+ */
+function parseIntakeOutput(output) {
+    let data;
+    try {
+        data = parseModelJson(output);
+    } catch (err) {
+        throw new Error(`no es JSON válido (${err.message})`);
+    }
+    const { valid, errors, value } = validateIntakeResponse(data);
+    if (!valid) throw new Error(errors.join('; '));
+    return value;
+}
+
+function buildRepairPrompt(err) {
+    return `Tu respuesta anterior no cumple el formato pedido: ${err.message}. Respondé de nuevo únicamente con el JSON corregido (intent, isComplete, extractedData con category/description/zone/urgency, replyToClient), sin texto adicional.`;
+}
+
+/** Respuesta segura cuando el modelo no devolvió un JSON válido ni tras el repair: se conservan los datos ya obtenidos. */
+function buildClarificationFallback(session) {
+    const known = session.extractedData || {};
+    return {
+        intent: 'service_request',
+        isComplete: false,
+        extractedData: Object.fromEntries(EXTRACTED_FIELDS.map((f) => [f, known[f] || null])),
+        replyToClient: CLARIFICATION_REPLY
+    };
+}
+
+/**
+ * Versión del prompt de intake: etiqueta manual + hash del texto (con la config de cobertura actual).
+ * @returns {{ version: string, hash: string }}
+ */
+function getPromptVersion() {
+    const hash = crypto.createHash('sha256').update(buildSystemInstruction()).digest('hex').slice(0, 10);
+    return { version: INTAKE_PROMPT_VERSION, hash };
+}
+
 function buildSafetyFallback() {
     return {
+        intent: 'service_request',
         isComplete: false,
         extractedData: {
             category: null,
@@ -77,17 +208,6 @@ function buildSafetyFallback() {
     };
 }
 
-function isSafetyBlockedError(err) {
-    const raw = `${err?.message || ''} ${JSON.stringify(err || {})}`.toLowerCase();
-    return (
-        raw.includes('safety') ||
-        raw.includes('blocked') ||
-        raw.includes('harm') ||
-        raw.includes('prompt_feedback') ||
-        raw.includes('finishreason')
-    );
-}
-
 /**
  * Analiza un mensaje de texto con Gemini manteniendo el contexto de la conversación.
  * @param {string} from - Número del usuario (ID de sesión)
@@ -95,50 +215,35 @@ function isSafetyBlockedError(err) {
  * @returns {Promise<object>}
  */
 async function analyzeMessage(from, text) {
-    if (!client) {
-        console.error('[Gemini] GEMINI_API_KEY no configurada.');
-        return { error: 'ai_not_configured' };
-    }
     if (!text || typeof text !== 'string') {
         return { error: 'not_a_service' };
     }
 
-    // Obtener o crear el historial de la sesión
-    if (!sessions.has(from)) {
-        sessions.set(from, []);
-    }
-    const history = sessions.get(from);
+    const session = await loadSession(from);
+    const history = session.history;
 
     // Agregar el mensaje actual al historial
     history.push({ role: 'user', parts: [{ text }] });
 
+    const promptVersion = getPromptVersion();
+    const pii = createPiiGuard();
     try {
-        const response = await client.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: history,
-            config: {
-                systemInstruction: buildSystemInstruction(),
-                safetySettings: [
-                    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-                    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
-                ]
-            }
-        });
-
-        const output = response.text.trim();
-
-        // Intentar extraer JSON
-        let jsonStr = output;
-        const codeBlock = output.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (codeBlock) {
-            jsonStr = codeBlock[1].trim();
-        }
-        
-        const parsed = JSON.parse(jsonStr);
+        const result = await generate({
+            task: 'intake',
+            systemInstruction: buildSystemInstruction() + pii.text(buildSessionContext(session)),
+            contents: pii.contents(history),
+            responseSchema: INTAKE_RESPONSE_SCHEMA,
+            context: { extractedData: session.extractedData, pinnedZone: session.pinnedZone },
+            meta: { phoneNumber: from, promptVersion: promptVersion.version, promptHash: promptVersion.hash }
+        }, { parse: parseIntakeOutput, repairPrompt: buildRepairPrompt });
+        const { provider } = result;
+        const output = pii.restoreJson(result.text);
+        const parsed = pii.restoreValue(result.parsed);
 
         if (parsed.extractedData) {
+            if (session.pinnedZone) {
+                parsed.extractedData.zone = session.pinnedZone;
+            }
             parsed.extractedData = enrichExtractedDataWithServiceArea(parsed.extractedData);
             const ex = parsed.extractedData;
             const hasAll = [ex.category, ex.description, ex.zone, ex.urgency].every(
@@ -149,26 +254,149 @@ async function analyzeMessage(from, text) {
             }
         }
 
-        // Mantener contexto hasta matchmaking exitoso (notification.routes llama clearUserSession).
+        // Mantener contexto hasta matchmaking exitoso (conversation.service llama clearUserSession).
         history.push({ role: 'model', parts: [{ text: output }] });
+        session.extractedData = mergeExtractedData(session.extractedData, parsed.extractedData);
+        session.turnCount += 1;
+        await compactSession(session, (previousSummary, messages) => summarizeHistory(previousSummary, messages, from));
+        await persistSession(from, session);
 
-        console.log('[Gemini] Análisis con memoria completado.');
+        console.log('[Gemini] Análisis con memoria completado.', { provider, promptVersion: promptVersion.version });
         return parsed;
     } catch (err) {
         console.error('[Gemini] Error en analyzeMessage:', err.message);
-        if (isSafetyBlockedError(err)) {
+        if (err instanceof LlmOutputError) {
+            const fallback = buildClarificationFallback(session);
+            history.push({ role: 'model', parts: [{ text: JSON.stringify(fallback) }] });
+            await persistSession(from, session);
+            console.warn('[Gemini] Salida inválida tras repair. Respondiendo pedido de aclaración.', { provider: err.provider });
+            return fallback;
+        }
+        // El mensaje del usuario queda en el historial para el próximo intento.
+        await persistSession(from, session);
+        if (err instanceof LlmSafetyError) {
             console.warn('[Gemini] Contenido bloqueado por safety. Respondiendo fallback controlado.');
             return buildSafetyFallback();
         }
+        if (err.code === 'ai_not_configured') {
+            return { error: 'ai_not_configured' };
+        }
         return { error: err.message || 'parse_error' };
     }
 }
 
-function clearUserSession(from) {
-    if (sessions.has(from)) {
-        sessions.delete(from);
-        console.log(`[Gemini] Sesión limpiada para ${from}.`);
+/**
+ * Borra la sesión de IA (historial, datos extraídos y zona fijada).
+ * @param {string} from - Número del usuario (ID de sesión).
+ */
+async function clearUserSession(from) {
+    try {
+        if (await resetSession(from)) {
+            console.log(`[Gemini] Sesión limpiada para ${from}.`);
+        }
+    } catch (err) {
+        console.error('[Gemini] Error al limpiar la sesión:', err.message);
+    }
+}
+
+/**
+ * Fija la zona del pedido en curso (ej. ubicación compartida por WhatsApp).
+ * Se usa tal cual como zone del ticket hasta que se limpie la sesión.
+ * @param {string} from - Número del usuario (ID de sesión).
+ * @param {string} zone
+ */
+async function setSessionZone(from, zone) {
+    if (!from || !zone) return;
+    const session = await loadSession(from);
+    session.pinnedZone = String(zone).slice(0, 100);
+    await persistSession(from, session);
+}
+
+/**
+ * Pide a Gemini un texto a partir de un archivo (audio o imagen) enviado inline.
+ * El archivo no se redacta (ver createPiiGuard); con pii, los marcadores de la instrucción se restauran en la salida.
+ * @param {string} task - 'transcription' | 'image' (para la contabilidad de uso).
+ * @param {object} [meta] - { phoneNumber } de la conversación.
+ * @param {object} [pii] - createPiiGuard() con el que se redactó la instrucción.
+ * @returns {Promise<string|null>} Texto generado o null si no hay cliente / falla.
+ */
+async function generateFromMedia(buffer, mimeType, instruction, task, meta, pii) {
+    const client = getGeminiClient();
+    if (!client || !buffer) return null;
+    const startedAt = Date.now();
+    try {
+        const response = await client.models.generateContent({
+            model: MEDIA_MODEL,
+            contents: [{
+                role: 'user',
+                parts: [
+                    { inlineData: { mimeType: String(mimeType || '').split(';')[0].trim(), data: buffer.toString('base64') } },
+                    { text: instruction }
+                ]
+            }]
+        });
+        const output = (response.text || '').trim();
+        const usage = response.usageMetadata || {};
+        await recordLlmCall({
+            provider: 'gemini',
+            model: MEDIA_MODEL,
+            task,
+            outcome: output ? 'ok' : 'error',
+            usage: {
+                inputTokens: usage.promptTokenCount,
+                outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+            },
+            latencyMs: Date.now() - startedAt,
+            meta,
+            error: output ? null : 'empty response'
+        });
+        if (!output) return null;
+        return pii ? pii.restoreText(output) : output;
+    } catch (err) {
+        console.error('[Gemini] Error procesando media:', err.message);
+        await recordLlmCall({ provider: 'gemini', model: MEDIA_MODEL, task, outcome: 'error', latencyMs: Date.now() - startedAt, meta, error: err.message });
+        return null;
     }
 }
 
-module.exports = { analyzeMessage, clearUserSession };
+/**
+ * Transcribe una nota de voz (es-AR) para que entre a la conversación como texto.
+ * El audio sale sin redactar (PII_REDACTION solo aplica a texto).
+ * @param {Buffer} buffer
+ * @param {string} mimeType - ej. "audio/ogg; codecs=opus".
+ * @param {object} [meta] - { phoneNumber } de la conversación.
+ * @returns {Promise<string|null>}
+ */
+async function transcribeAudio(buffer, mimeType, meta) {
+    return generateFromMedia(
+        buffer,
+        mimeType,
+        'Transcribí literalmente este audio de WhatsApp (español rioplatense). Respondé solo con la transcripción, sin comentarios.',
+        'transcription',
+        meta
+    );
+}
+
+/**
+ * Describe una foto enviada por el cliente, enfocada en el problema a resolver (qué equipo, qué daño).
+ * El caption se redacta como el resto del texto; la imagen sale tal cual.
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @param {string} [caption] - Texto que acompañó la foto.
+ * @param {object} [meta] - { phoneNumber } de la conversación.
+ * @returns {Promise<string|null>}
+ */
+async function describeImage(buffer, mimeType, caption, meta) {
+    const pii = createPiiGuard();
+    const context = caption ? ` El cliente escribió junto a la foto: "${pii.text(caption)}".` : '';
+    return generateFromMedia(
+        buffer,
+        mimeType,
+        `Un cliente de un marketplace de oficios envió esta foto por WhatsApp.${context} Describí en una o dos oraciones qué se ve y qué problema o trabajo parece necesitar (ej. qué electrodoméstico, qué rotura). Respondé solo con la descripción.`,
+        'image',
+        meta,
+        pii
+    );
+}
+
+module.exports = { analyzeMessage, clearUserSession, setSessionZone, transcribeAudio, describeImage, getPromptVersion };
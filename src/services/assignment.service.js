@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Asignación de un ticket a un profesional: la usan POST /tickets/:id/assign (Magic Link en el frontend)
+ * y la selección desde la lista de WhatsApp (provider-picker.service).
+ */
+
+const { getTicketById, assignTicket, assignOpenTicket } = require('./db.service');
+const { sendProactiveText } = require('./whatsapp.service');
+const { sendText, contactLinkFor } = require('./channel.service');
+const { notifyProvider } = require('./provider-notification.service');
+const { isQuietHoursExempt } = require('../utils/quietHours');
+
+/**
+ * Asigna el ticket, confirma al cliente por su canal y avisa al profesional por el canal que eligió.
+ *
+ * @param {number|string} ticketId
+ * @param {object} provider
+ * @param {number|string} provider.providerId
+ * @param {string} provider.providerName
+ * @param {string} [provider.providerPhone] - WhatsApp del profesional; sin él solo se avisa por email.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyIfOpen] - Solo si el ticket sigue ABIERTO (lista de WhatsApp): dos selecciones
+ *   simultáneas no pueden asignar ni notificar a dos profesionales. El Magic Link reasigna en cualquier estado.
+ * @returns {Promise<{ success: boolean, ticket?: object, status?: number, error?: string }>}
+ *   status: código HTTP sugerido ante error (404 ticket inexistente, 409 ya no está ABIERTO con onlyIfOpen,
+ *   500 fallo al guardar).
+ */
+async function assignTicketToProvider(ticketId, { providerId, providerName, providerPhone }, { onlyIfOpen = false } = {}) {
+    const ticket = await getTicketById(ticketId);
+    if (!ticket) {
+        return { success: false, status: 404, error: 'Ticket no encontrado.' };
+    }
+
+    if (onlyIfOpen && ticket.status !== 'ABIERTO') {
+        return { success: false, status: 409, error: 'El ticket ya no está disponible para asignar.' };
+    }
+
+    const updatedTicket = onlyIfOpen
+        ? await assignOpenTicket(ticketId, providerId, providerName, providerPhone)
+        : await assignTicket(ticketId, providerId, providerName, providerPhone);
+    if (!updatedTicket) {
+        // Con onlyIfOpen, null es que otra selección ganó en el medio: no se notifica a nadie más.
+        return onlyIfOpen
+            ? { success: false, status: 409, error: 'El ticket ya no está disponible para asignar.' }
+            : { success: false, status: 500, error: 'Error al asignar el ticket.' };
+    }
+
+    // Link según el canal del cliente (wa.me / tel:); Telegram no expone uno y el cliente escribe primero.
+    const clientLink = contactLinkFor(ticket.phone_number);
+    const contactLine = clientLink
+        ? `Hacé clic acá para escribirle: ${clientLink}`
+        : 'Te va a escribir en breve para coordinar.';
+    const messageToProvider = `¡Hola ${providerName}! Tenés un nuevo trabajo de ${ticket.category || 'servicio'} asignado. El cliente te está esperando. ${contactLine}`;
+    const notification = await notifyProvider(providerId, {
+        whatsapp: providerPhone
+            ? () => sendProactiveText(providerPhone, messageToProvider, {
+                templateKey: 'provider_new_assignment',
+                templateParams: { providerName, category: ticket.category || 'servicio', clientLink: clientLink || '-' },
+                urgent: isQuietHoursExempt(ticket)
+            })
+            : null,
+        email: {
+            template: 'provider_new_assignment',
+            context: {
+                providerName,
+                category: ticket.category,
+                description: ticket.description,
+                zone: ticket.zone,
+                clientLink
+            }
+        }
+    });
+
+    // Fuera del horario de entrega el aviso al profesional queda diferido: se lo decimos al cliente.
+    const messageToClient = notification.whatsapp?.deferred
+        ? `¡Excelente elección! 🚀 Le dejé el aviso a ${providerName} sobre tu pedido; como es fuera de horario, le llega a primera hora y te va a escribir por acá para coordinar.`
+        : `¡Excelente elección! 🚀 Ya le avisé a ${providerName} sobre tu pedido. En los próximos minutos te va a escribir por acá para coordinar los detalles.`;
+    await sendText(ticket.phone_number, messageToClient);
+
+    console.log('[Assignment] Ticket asignado.', { ticketId, providerId, providerNoticeDeferred: !!notification.whatsapp?.deferred });
+    return { success: true, ticket: updatedTicket };
+}
+
+module.exports = { assignTicketToProvider };
@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Canales de conversación del bot de tickets: WhatsApp, Telegram y SMS.
+ *
+ * Cada conversación se identifica con una identidad canal+dirección, que es la clave usada en
+ * users.phone_number, chat_logs.phone_number y tickets.phone_number:
+ *   whatsapp → el número canónico (E.164 sin "+", ver utils/phoneNumber; 549... en AR)
+ *   telegram → "tg:<chat_id>"
+ *   sms      → "sms:<número canónico>"
+ *
+ * Las respuestas se envían siempre por el canal de origen de la identidad (sendText, sendButtons).
+ * Telegram usa botones inline; SMS no tiene botones, así que las opciones se numeran y la respuesta
+ * ("1", "2" o el título) se traduce al id del botón con resolveButtonReply.
+ *
+ * Las preferencias de comunicación (opt-out) y el horario de mensajes proactivos se aplican en cada
+ * envío: para WhatsApp dentro de whatsapp.service (diferido vía outbox), para Telegram/SMS acá
+ * (checkSendPolicy). Telegram/SMS no tienen outbox: fuera de horario el envío proactivo no sale y
+ * devuelve deferred=true para que el caller (crons) lo reintente en la ventana.
+ */
+
+const {
+    formatWhatsAppNumber,
+    sendWhatsAppText,
+    sendWhatsAppButtons,
+    sendTermsInteractiveMessage,
+    sendGhostCheckInteractiveMessage,
+    sendMatchResultsMessage,
+    buildMatchResultsText,
+    TERMS_PROMPT,
+    GHOST_CHECK_BODY,
+    ghostCheckButtons,
+} = require('./whatsapp.service');
+const { sendTelegramMessage } = require('./telegram.service');
+const { sendSms } = require('./sms.service');
+const { saveChatLog } = require('./db.service');
+const { MESSAGE_PURPOSES, isSendAllowed, optedOutResult } = require('./communication-preferences.service');
+const { getDeferral } = require('../utils/quietHours');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
+
+const CHANNELS = ['whatsapp', 'telegram', 'sms'];
+const PREFIXES = { telegram: 'tg', sms: 'sms' };
+const PENDING_OPTIONS_TTL_MS = 24 * 60 * 60 * 1000;
+
+// identidad SMS → { buttons, expiresAt }: última lista de opciones numeradas enviada.
+const pendingOptions = new Map();
+
+/**
+ * Arma la identidad de una conversación.
+ * @param {'whatsapp'|'telegram'|'sms'} channel
+ * @param {string|number} address - Número (whatsapp/sms) o chat_id (telegram).
+ * @returns {string|null}
+ */
+function toIdentity(channel, address) {
+    if (address == null || address === '') return null;
+    switch (channel) {
+        case 'whatsapp':
+            return formatWhatsAppNumber(address) || String(address);
+        case 'telegram':
+            return `${PREFIXES.telegram}:${String(address).trim()}`;
+        case 'sms': {
+            const number = toCanonicalPhone(address) || String(address).replace(/\D/g, '');
+            return number ? `${PREFIXES.sms}:${number}` : null;
+        }
+        default:
+            throw new Error(`Unknown channel: ${channel}`);
+    }
+}
+
+/**
+ * Separa una identidad en canal y dirección. Sin prefijo conocido → WhatsApp.
+ * @param {string} identity
+ * @returns {{ channel: string, address: string }}
+ */
+function parseIdentity(identity) {
+    const value = String(identity || '');
+    const sep = value.indexOf(':');
+    if (sep > 0) {
+        const prefix = value.slice(0, sep);
+        const channel = Object.keys(PREFIXES).find((c) => PREFIXES[c] === prefix);
+        if (channel) return { channel, address: value.slice(sep + 1) };
+    }
+    return { channel: 'whatsapp', address: value };
+}
+
+function getChannel(identity) {
+    return parseIdentity(identity).channel;
+}
+
+function isWhatsAppIdentity(identity) {
+    return getChannel(identity) === 'whatsapp';
+}
+
+/**
+ * Link para que un profesional le escriba al cliente (wa.me / tel:). Telegram no expone uno → null.
+ * @param {string} identity
+ * @returns {string|null}
+ */
+function contactLinkFor(identity) {
+    const { channel, address } = parseIdentity(identity);
+    const digits = address.replace(/\D/g, '');
+    if (channel === 'whatsapp') return digits ? `https://wa.me/${digits}` : null;
+    if (channel === 'sms') return digits ? `tel:+${digits}` : null;
+    return null;
+}
+
+async function logOutbound(identity, body, result, logRole) {
+    if (!result.success) return;
+    await saveChatLog(identity, logRole || 'BOT', body, {
+        metadata: { channel: getChannel(identity), message_id: result.messageId || null }
+    }).catch(e => console.error('[ChatLogs] save channel log error:', e.message));
+}
+
+/**
+ * Preferencia de comunicación y horario proactivo para Telegram/SMS.
+ * @returns {Promise<object|null>} Resultado de envío fallido (optedOut / deferred) o null si se puede enviar.
+ */
+async function checkSendPolicy(identity, { purpose, proactive, urgent } = {}) {
+    const preference = await isSendAllowed(identity, purpose);
+    if (!preference.allowed) {
+        console.log('[Channel] Envío omitido por preferencia de comunicación.', { identity, level: preference.level, purpose: purpose || 'transactional' });
+        return optedOutResult(preference.level);
+    }
+    const notBefore = proactive && !urgent ? getDeferral() : null;
+    if (notBefore) {
+        console.log('[Channel] Envío proactivo fuera de horario, queda para la ventana.', { identity, scheduledFor: notBefore.toISOString() });
+        return { success: false, deferred: true, scheduledFor: notBefore, error: 'Outside delivery window' };
+    }
+    return null;
+}
+
+/**
+ * Envía texto por el canal de la identidad y lo registra en chat_logs.
+ * @param {string} identity
+ * @param {string} text
+ * @param {object} [opts]
+ * @param {string} [opts.logRole] - sender_role (default BOT).
+ * @param {string} [opts.purpose] - Propósito para las preferencias de comunicación (default transactional).
+ * @param {boolean} [opts.proactive] - Respeta el horario de entrega (utils/quietHours).
+ * @param {boolean} [opts.urgent] - Exento del horario.
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string, channel: string, optedOut?: boolean }>}
+ */
+async function sendText(identity, text, opts = {}) {
+    const { channel, address } = parseIdentity(identity);
+    let result;
+    if (channel === 'whatsapp') {
+        result = await sendWhatsAppText(address, text, {
+            logRole: opts.logRole, purpose: opts.purpose, proactive: opts.proactive, urgent: opts.urgent
+        });
+    } else {
+        const blocked = await checkSendPolicy(identity, opts);
+        if (blocked) {
+            return { ...blocked, channel };
+        }
+        result = channel === 'telegram'
+            ? await sendTelegramMessage(address, text)
+            : await sendSms(address, text);
+        await logOutbound(identity, text, result, opts.logRole);
+    }
+    if (!result.success) {
+        console.error(`[Channel] Error enviando por ${channel}:`, result.error, { identity });
+    }
+    return { ...result, channel };
+}
+
+function numberedOptionsText(text, buttons) {
+    const lines = buttons.map((b, i) => `${i + 1}. ${b.title}`);
+    return `${text}\n\n${lines.join('\n')}\n\nRespondé con el número de la opción.`;
+}
+
+/**
+ * Envía un mensaje con opciones (botones en WhatsApp/Telegram, lista numerada por SMS).
+ * @param {string} identity
+ * @param {string} text
+ * @param {Array<{ id: string, title: string }>} buttons
+ * @param {object} [opts]
+ * @param {string} [opts.footer] - Solo WhatsApp lo muestra aparte; el resto lo agrega al texto.
+ * @param {string} [opts.logRole]
+ * @param {string} [opts.purpose]
+ * @param {boolean} [opts.proactive]
+ * @param {boolean} [opts.urgent]
+ */
+async function sendButtons(identity, text, buttons, opts = {}) {
+    const { channel, address } = parseIdentity(identity);
+    if (channel === 'whatsapp') {
+        const result = await sendWhatsAppButtons(address, text, buttons, {
+            footer: opts.footer, purpose: opts.purpose, proactive: opts.proactive, urgent: opts.urgent
+        });
+        return { ...result, channel };
+    }
+    const blocked = await checkSendPolicy(identity, opts);
+    if (blocked) {
+        return { ...blocked, channel };
+    }
+
+    const fullText = opts.footer ? `${text}\n${opts.footer}` : text;
+    let result;
+    let logBody = fullText;
+    if (channel === 'telegram') {
+        result = await sendTelegramMessage(address, fullText, buttons);
+    } else {
+        logBody = numberedOptionsText(fullText, buttons);
+        result = await sendSms(address, logBody);
+        if (result.success) {
+            pendingOptions.set(identity, { buttons, expiresAt: Date.now() + PENDING_OPTIONS_TTL_MS });
+        }
+    }
+    await logOutbound(identity, logBody, result, opts.logRole);
+    if (!result.success) {
+        console.error(`[Channel] Error enviando opciones por ${channel}:`, result.error, { identity });
+    }
+    return { ...result, channel };
+}
+
+/**
+ * Traduce una respuesta de texto a la última lista de opciones enviada por SMS ("1", "2" o el título).
+ * La lista se consume al resolverse.
+ * @param {string} identity
+ * @param {string} text
+ * @returns {{ id: string, title: string } | null}
+ */
+function resolveButtonReply(identity, text) {
+    const pending = pendingOptions.get(identity);
+    if (!pending) return null;
+    if (pending.expiresAt < Date.now()) {
+        pendingOptions.delete(identity);
+        return null;
+    }
+    const normalized = String(text || '').trim().toLowerCase();
+    const index = /^\d+$/.test(normalized) ? Number(normalized) - 1 : -1;
+    const button = pending.buttons[index]
+        || pending.buttons.find((b) => b.title.toLowerCase().replace(/[^\p{L}\p{N} ]/gu, '').trim() === normalized);
+    if (!button) return null;
+    pendingOptions.delete(identity);
+    return button;
+}
+
+/** Gatekeeper legal (aceptación de términos) por el canal de la identidad. */
+async function sendTermsPrompt(identity) {
+    if (isWhatsAppIdentity(identity)) {
+        return sendTermsInteractiveMessage(parseIdentity(identity).address);
+    }
+    return sendButtons(identity, TERMS_PROMPT.body, TERMS_PROMPT.buttons, { footer: TERMS_PROMPT.footer });
+}
+
+/** Magic Link con los profesionales encontrados. */
+async function sendMatchResults(identity, matchCount, ticketId) {
+    if (isWhatsAppIdentity(identity)) {
+        return sendMatchResultsMessage(parseIdentity(identity).address, matchCount, ticketId);
+    }
+    return sendText(identity, buildMatchResultsText(matchCount, ticketId));
+}
+
+/**
+ * Pregunta anti-ghosting (botones GHOST_YES_ / GHOST_NO_). Es proactiva: respeta el horario de entrega.
+ * @param {string} identity
+ * @param {number|string} ticketId
+ * @param {{ urgent?: boolean }} [opts]
+ */
+async function sendGhostCheck(identity, ticketId, opts = {}) {
+    if (isWhatsAppIdentity(identity)) {
+        return sendGhostCheckInteractiveMessage(parseIdentity(identity).address, ticketId, opts);
+    }
+    return sendButtons(identity, GHOST_CHECK_BODY, ghostCheckButtons(ticketId), {
+        purpose: MESSAGE_PURPOSES.ENGAGEMENT,
+        proactive: true,
+        urgent: opts.urgent
+    });
+}
+
+module.exports = {
+    CHANNELS,
+    toIdentity,
+    parseIdentity,
+    getChannel,
+    isWhatsAppIdentity,
+    contactLinkFor,
+    sendText,
+    sendButtons,
+    resolveButtonReply,
+    sendTermsPrompt,
+    sendMatchResults,
+    sendGhostCheck,
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Registro de preferencias de comunicación (opt-out) por número o identidad de canal.
+ *
+ * Niveles:
+ *   all           → todo (default si no hay registro).
+ *   transactional → solo mensajes de un pedido en curso y respuestas; sin ghost checks,
+ *                   follow-ups ni pedidos de reseña.
+ *   none          → nada, salvo la confirmación del propio cambio de preferencia.
+ *
+ * Cada envío declara su propósito (MESSAGE_PURPOSES); whatsapp.service y channel.service consultan
+ * isSendAllowed antes de encolar. La clave es el número 549... de chat_logs o la identidad tg:/sms:.
+ */
+
+const { getCommunicationPreference, setCommunicationPreference } = require('./db.service');
+
+const PREFERENCE_LEVELS = ['all', 'transactional', 'none'];
+
+const MESSAGE_PURPOSES = {
+    TRANSACTIONAL: 'transactional',
+    ENGAGEMENT: 'engagement',
+    PREFERENCE: 'preference',
+};
+
+const ALLOWED_PURPOSES = {
+    all: [MESSAGE_PURPOSES.TRANSACTIONAL, MESSAGE_PURPOSES.ENGAGEMENT, MESSAGE_PURPOSES.PREFERENCE],
+    transactional: [MESSAGE_PURPOSES.TRANSACTIONAL, MESSAGE_PURPOSES.PREFERENCE],
+    none: [MESSAGE_PURPOSES.PREFERENCE],
+};
+
+// Se consulta en cada envío: cache corto para no ir a la DB por mensaje.
+const CACHE_TTL_MS = 60_000;
+const levelCache = new Map();
+
+/**
+ * Nivel vigente para un destinatario. Ante error de DB se asume "all" (no frenar pedidos en curso).
+ * @param {string} key - 549... o tg:/sms:...
+ * @returns {Promise<'all'|'transactional'|'none'>}
+ */
+async function getPreferenceLevel(key) {
+    if (!key) return 'all';
+    const cached = levelCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.level;
+    try {
+        const row = await getCommunicationPreference(key);
+        const level = row?.level || 'all';
+        levelCache.set(key, { level, expiresAt: Date.now() + CACHE_TTL_MS });
+        return level;
+    } catch (err) {
+        console.error('[CommPrefs] No se pudo leer la preferencia, se asume "all":', err.message);
+        return 'all';
+    }
+}
+
+/**
+ * @param {string} key
+ * @param {'all'|'transactional'|'none'} level
+ * @param {string} [source] - keyword | button | admin
+ */
+async function setPreferenceLevel(key, level, source) {
+    if (!PREFERENCE_LEVELS.includes(level)) {
+        throw new Error(`Invalid communication preference: ${level}`);
+    }
+    const row = await setCommunicationPreference(key, level, source || null);
+    levelCache.set(key, { level, expiresAt: Date.now() + CACHE_TTL_MS });
+    console.log('[CommPrefs] Preferencia actualizada.', { key, level, source });
+    return row;
+}
+
+/**
+ * ¿Se puede enviar un mensaje con este propósito?
+ * @param {string} key
+ * @param {string} [purpose] - Default transactional.
+ * @returns {Promise<{ allowed: boolean, level: string }>}
+ */
+async function isSendAllowed(key, purpose = MESSAGE_PURPOSES.TRANSACTIONAL) {
+    const level = await getPreferenceLevel(key);
+    const allowed = (ALLOWED_PURPOSES[level] || ALLOWED_PURPOSES.all).includes(purpose);
+    return { allowed, level };
+}
+
+/** Resultado estándar de un envío bloqueado por preferencia (misma forma que un error de envío). */
+function optedOutResult(level) {
+    return { success: false, optedOut: true, preference: level, error: 'Recipient opted out' };
+}
+
+module.exports = {
+    PREFERENCE_LEVELS,
+    MESSAGE_PURPOSES,
+    getPreferenceLevel,
+    setPreferenceLevel,
+    isSendAllowed,
+    optedOutResult,
+};
@@ -0,0 +1,277 @@
+'use strict';
+
+/**
+ * Motor de conversación del bot de tickets, independiente del canal.
+ *
+ * Recibe mensajes ya normalizados por cada webhook (WhatsApp, Telegram, SMS) con la identidad
+ * canal+dirección (ver channel.service) y aplica: botones anti-ghosting, selección de profesional,
+ * botones de términos, Legal Gatekeeper, pausa del admin, alta de profesionales por WhatsApp
+ * (ver provider-onboarding.service), consultas sobre pedidos existentes (estado / cancelar / reprogramar,
+ * ver ticket-inquiry.service) y debounce → Gemini → ticket → matchmaking → Magic Link (o lista de
+ * profesionales en WhatsApp, ver provider-picker.service).
+ * Las respuestas salen por el canal de origen.
+ *
+ * Los interceptores del Shadow Ledger, reseñas y follow-up de contacto directo siguen siendo
+ * propios de WhatsApp y corren en el webhook de Meta antes de llegar acá.
+ */
+
+const { analyzeMessage, clearUserSession } = require('./ai.service');
+const { linkLlmCallsToTicket } = require('./llm-usage.service');
+const { saveTicket, getUser, createUser, acceptTerms, CURRENT_TERMS_VERSION, getTicketById, reopenTicketAfterGhost, isBotPaused } = require('./db.service');
+const { findMatchingProviders } = require('./matchmaking.service');
+const { getProviderWhatsAppNumber } = require('./provider-client.service');
+const { emitCreditEvent } = require('./credit.service');
+const { sendWhatsAppText } = require('./whatsapp.service');
+const { getChannel, isWhatsAppIdentity, sendText, sendTermsPrompt, sendMatchResults } = require('./channel.service');
+const { isProviderPickerEnabled, sendProviderPicker, handleProviderPick } = require('./provider-picker.service');
+const { handleTicketInquiry } = require('./ticket-inquiry.service');
+const { handleProviderOnboarding, startProviderOnboarding } = require('./provider-onboarding.service');
+
+const DEBOUNCE_MS = 2_000;
+const messageBuffers = new Map();
+const messageTimers = new Map();
+const inFlightUsers = new Set();
+
+function enqueueDebouncedMessage(from, text) {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        return;
+    }
+
+    const currentBuffer = messageBuffers.get(from);
+    const nextBuffer = currentBuffer ? `${currentBuffer}\n${text}` : text;
+    messageBuffers.set(from, nextBuffer);
+
+    const activeTimer = messageTimers.get(from);
+    if (activeTimer) {
+        clearTimeout(activeTimer);
+    }
+
+    const timer = setTimeout(() => {
+        messageTimers.delete(from);
+        flushBufferedMessages(from).catch((err) => {
+            console.error('[Debounce] Error al procesar buffer:', err.message);
+        });
+    }, DEBOUNCE_MS);
+    messageTimers.set(from, timer);
+}
+
+async function flushBufferedMessages(from) {
+    if (inFlightUsers.has(from)) {
+        return;
+    }
+
+    const fullText = messageBuffers.get(from);
+    if (!fullText) {
+        return;
+    }
+
+    messageBuffers.delete(from);
+    inFlightUsers.add(from);
+
+    try {
+        const result = await analyzeMessage(from, fullText);
+        console.log('[Gemini] Análisis completado.', JSON.stringify(result));
+
+        // Fase 3.2: Persistencia en PostgreSQL si el ticket está completo
+        if (result && result.isComplete && result.extractedData) {
+            try {
+                console.log('[Conversation] Ticket completo detectado, guardando en DB...');
+                const ticketId = await saveTicket(from, result.extractedData, getChannel(from));
+                await linkLlmCallsToTicket(from, ticketId);
+
+                // --- Motor de Matchmaking ---
+                console.log('[Conversation] Iniciando Matchmaking...');
+                const matches = await findMatchingProviders(result.extractedData, ticketId);
+
+                if (matches && matches.length > 0) {
+                    console.log(`[Matchmaking] ¡Éxito! Se encontraron ${matches.length} profesionales:`,
+                        matches.map(m => `${m.name} (${m.is_pro ? 'PRO' : 'Normal'})`).join(', ')
+                    );
+
+                    // WhatsApp con WA_MATCH_PRESENTATION=list: lista para elegir ahí mismo; si no, el Magic Link
+                    const picker = isProviderPickerEnabled() && isWhatsAppIdentity(from)
+                        ? await sendProviderPicker(from, matches, ticketId)
+                        : null;
+                    if (picker?.success) {
+                        console.log('[Conversation] Lista de profesionales enviada.', { to: from });
+                    } else {
+                        await sendMatchResults(from, matches.length, ticketId);
+                        console.log('[Conversation] Magic Link enviado.', { to: from });
+                    }
+                    await clearUserSession(from);
+                    return; // Importante: No enviar la respuesta genérica de Gemini si ya enviamos el link
+                } else {
+                    console.log('[Matchmaking] No se encontraron profesionales que coincidan exactamente.');
+                    const noMatchesMsg = "Perdón, por el momento no tenemos profesionales verificados disponibles para ese rubro en tu zona.";
+                    await sendText(from, noMatchesMsg);
+                    return; // No enviar respuesta genérica
+                }
+                // --- FIN Matchmaking ---
+
+            } catch (dbErr) {
+                console.error('[Conversation] Error en persistencia o matchmaking:', dbErr.message);
+            }
+        }
+
+        // Regla 4 del prompt (intent provider_signup): en WhatsApp, alta por chat en vez del link a /registro
+        if (result && !result.error && result.intent === 'provider_signup' && isWhatsAppIdentity(from)) {
+            try {
+                await startProviderOnboarding(from, fullText);
+                await clearUserSession(from);
+                return;
+            } catch (onboardingErr) {
+                console.error('[Conversation] No se pudo iniciar el alta de profesional, se envía el link:', onboardingErr.message);
+            }
+        }
+
+        // Fase 2: Responder al usuario por su canal
+        if (result && !result.error && result.replyToClient) {
+            try {
+                await sendText(from, result.replyToClient);
+                console.log('[Conversation] Respuesta enviada a:', from);
+            } catch (sendErr) {
+                console.error('[Conversation] Error enviando respuesta:', sendErr.message);
+            }
+        }
+    } finally {
+        inFlightUsers.delete(from);
+        if (messageBuffers.has(from) && !messageTimers.has(from)) {
+            const timer = setTimeout(() => {
+                messageTimers.delete(from);
+                flushBufferedMessages(from).catch((err) => {
+                    console.error('[Debounce] Error al reprocesar buffer:', err.message);
+                });
+            }, DEBOUNCE_MS);
+            messageTimers.set(from, timer);
+        }
+    }
+}
+
+/**
+ * Botones anti-ghosting (GHOST_YES_ / GHOST_NO_<ticketId>).
+ * @returns {Promise<boolean>} true si el botón era de ghosting.
+ */
+async function handleGhostButton(from, buttonId) {
+    if (buttonId.startsWith('GHOST_YES_')) {
+        await sendText(from, '¡Genial! Te dejo en buenas manos. ¡Avisame cuando terminen el trabajo!');
+        console.log('[Conversation] Cliente confirmó contacto (GHOST_YES).', { from });
+        return true;
+    }
+
+    if (buttonId.startsWith('GHOST_NO_')) {
+        const ticketId = buttonId.replace(/^GHOST_NO_/, '');
+        const ticket = ticketId ? await getTicketById(ticketId) : null;
+        if (ticket) {
+            // Credit History: JOB_GHOSTED (before clearing provider_id)
+            if (ticket.provider_id) {
+                emitCreditEvent(ticket.provider_id, 'JOB_GHOSTED', {
+                    metadata: { ticket_id: ticket.id, category: ticket.category },
+                    source: getChannel(from)
+                }).catch(err => console.error('[Credit] Error emitting JOB_GHOSTED:', err.message));
+            }
+
+            await reopenTicketAfterGhost(ticketId);
+            const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+            await sendText(from, `Te pido mil disculpas. Evidentemente el profesional tuvo un contratiempo. Te vuelvo a mandar el enlace para que elijas a otra persona disponible: ${FRONTEND_URL}/pedidos/match/${ticketId}`);
+            const providerPhone = ticket.provider_phone || (ticket.provider_id ? await getProviderWhatsAppNumber(ticket.provider_id) : null);
+            if (providerPhone) {
+                // Los profesionales siempre se contactan por WhatsApp.
+                await sendWhatsAppText(providerPhone, 'Hola. Como no contactaste al cliente a tiempo, el pedido fue devuelto a la bolsa de trabajo. Recordá que la rapidez es clave en miservicio.');
+            }
+            console.log('[Conversation] Ticket reabierto por ghosting (GHOST_NO).', { ticketId, from });
+        }
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Procesa un mensaje entrante ya registrado en chat_logs.
+ *
+ * @param {string} from - Identidad canal+dirección (549..., tg:..., sms:...).
+ * @param {object} input
+ * @param {string} [input.text] - Texto para la conversación (transcripciones y descripciones incluidas).
+ * @param {string} [input.buttonId] - Id del botón tocado (o resuelto desde una opción numerada).
+ */
+async function handleConversationMessage(from, { text, buttonId } = {}) {
+    // --- Interceptor Anti-Ghosting ---
+    if (buttonId && await handleGhostButton(from, buttonId)) {
+        return;
+    }
+
+    // --- Selección de profesional desde la lista de WhatsApp ---
+    if (buttonId && await handleProviderPick(from, buttonId)) {
+        return;
+    }
+
+    // --- Legal Gatekeeper ---
+
+    // 1. Respuestas a los botones de términos
+    if (buttonId === 'accept_terms') {
+        await acceptTerms(from);
+        await sendText(from, "¡Gracias! Ya estás registrado. ¿Qué servicio estás necesitando hoy?");
+        return; // Corta el flujo
+    }
+
+    if (buttonId === 'reject_terms') {
+        await sendText(from, "Entendemos. Para usar miservicio es necesario aceptar las políticas. ¡Te esperamos cuando gustes!");
+        return; // Corta el flujo
+    }
+
+    // 2. Verificación de Usuario y Términos para mensajes normales
+    let user = await getUser(from);
+    if (!user) {
+        console.log('[Conversation] Usuario nuevo detectado, creando registro...', from);
+        user = await createUser(from);
+        if (!user) {
+            user = await getUser(from);
+        }
+    }
+
+    if (!user) {
+        console.error('[Conversation] No se pudo obtener/crear usuario para gatekeeper.', { from });
+        return;
+    }
+
+    if (!user.terms_accepted || user.terms_version !== CURRENT_TERMS_VERSION) {
+        console.log('[Conversation] Usuario sin términos aceptados o versión antigua, enviando gatekeeper...', { from, current: CURRENT_TERMS_VERSION, userVer: user.terms_version });
+        try {
+            const gatekeeperResult = await sendTermsPrompt(from);
+            if (!gatekeeperResult.success) {
+                console.error('[Gatekeeper] Envío fallido (respuesta de servicio).', {
+                    from,
+                    error: gatekeeperResult.error,
+                    metaError: gatekeeperResult.metaError
+                });
+            }
+        } catch (gatekeeperErr) {
+            console.error('[Gatekeeper] Excepción inesperada al enviar términos:', gatekeeperErr.message);
+        }
+        return; // Frena el flujo, NO pasa a Gemini
+    }
+
+    // --- FIN Legal Gatekeeper ---
+
+    // Si el admin pausó el bot para este usuario, no enviar a Gemini
+    const paused = await isBotPaused(from);
+    if (paused) {
+        console.log('[Conversation] Bot pausado para', from, '— mensaje NO enviado a Gemini (esperando admin).');
+        return;
+    }
+
+    // --- Alta de profesionales por WhatsApp ---
+    if (await handleProviderOnboarding(from, { text, buttonId })) {
+        return;
+    }
+
+    // --- Pedidos existentes: estado, cancelación y reprogramación ---
+    if (await handleTicketInquiry(from, { text, buttonId })) {
+        return;
+    }
+
+    enqueueDebouncedMessage(from, text);
+}
+
+module.exports = {
+    handleConversationMessage,
+};
@@ -2,6 +2,7 @@
 
 const db = require('./db.service');
 const { isReputationConsentGranted } = require('./reputation-consent.service');
+const { notifyProvider, notifyAdmins } = require('./provider-notification.service');
 
 // ══════════════════════════════════════════════════════════════════════════════
 // Score Weights – Configurable impact per event type.
@@ -170,8 +171,14 @@ async function calculateAndSaveScore(providerId) {
             }
         };
 
+        const previous = await db.getLatestCreditScore(providerId);
         const saved = await db.insertCreditScore(providerId, scoreData);
         console.log(`[Credit] Score calculated for provider ${providerId}: ${finalScore} (${scoreData.level})`);
+
+        if (previous && previous.level && previous.level !== scoreData.level) {
+            notifyLevelChange(providerId, previous.level, scoreData.level, finalScore)
+                .catch(err => console.error(`[Credit] Error notifying level change for provider ${providerId}:`, err.message));
+        }
         return saved;
     } catch (err) {
         console.error(`[Credit] Error calculating score for provider ${providerId}:`, err.message);
@@ -183,6 +190,26 @@ async function calculateAndSaveScore(providerId) {
 // Batch recalculation – Called by cron to update scores for active providers.
 // ══════════════════════════════════════════════════════════════════════════════
 
+function levelRank(level) {
+    return SCORE_LEVELS.findIndex(l => l.level === level);
+}
+
+/**
+ * Emails the provider (if they opted into email) and admins when the level moves.
+ * WhatsApp is intentionally not used here: a level change is not worth a paid template.
+ */
+async function notifyLevelChange(providerId, previousLevel, newLevel, score) {
+    const context = {
+        previousLevel,
+        newLevel,
+        score,
+        direction: levelRank(newLevel) > levelRank(previousLevel) ? 'up' : 'down'
+    };
+    console.log(`[Credit] Level change for provider ${providerId}: ${previousLevel} -> ${newLevel}`);
+    await notifyProvider(providerId, { email: { template: 'credit_level_change', context } });
+    await notifyAdmins('credit_level_change', { ...context, providerName: `#${providerId}` });
+}
+
 async function recalculateAllActiveScores() {
     try {
         const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -1,6 +1,7 @@
 'use strict';
 
 const { Pool } = require('pg');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
 
 /**
  * Configuración del Pool de conexiones a PostgreSQL.
@@ -22,7 +23,7 @@ const initDB = async () => {
     const query = `
         CREATE TABLE IF NOT EXISTS tickets (
             id SERIAL PRIMARY KEY,
-            phone_number VARCHAR(20) NOT NULL,
+            phone_number VARCHAR(50) NOT NULL,
             category VARCHAR(100),
             description TEXT,
             zone VARCHAR(100),
@@ -89,7 +90,22 @@ const initDB = async () => {
                 IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='tickets' AND column_name='cancellation_reason') THEN
                     ALTER TABLE tickets ADD COLUMN cancellation_reason VARCHAR(255);
                 END IF;
+                -- Quién canceló (CLIENT = el cliente desde el chat); las cancelaciones del cliente no son ghosting.
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='tickets' AND column_name='cancelled_by') THEN
+                    ALTER TABLE tickets ADD COLUMN cancelled_by VARCHAR(20);
+                END IF;
+                -- Profesionales ofrecidos en la lista de WhatsApp: solo esos se pueden elegir desde el chat.
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='tickets' AND column_name='offered_provider_ids') THEN
+                    ALTER TABLE tickets ADD COLUMN offered_provider_ids INTEGER[];
+                END IF;
+                -- Identidades de otros canales (tg:<chat_id>, sms:<número>) no entran en 20 caracteres.
+                IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='tickets' AND column_name='phone_number' AND character_maximum_length < 50) THEN
+                    ALTER TABLE tickets ALTER COLUMN phone_number TYPE VARCHAR(50);
+                END IF;
             END $$;
+            -- Lookups por número canónico exacto (ver utils/phoneNumber).
+            CREATE INDEX IF NOT EXISTS idx_tickets_phone_number ON tickets (phone_number);
+            CREATE INDEX IF NOT EXISTS idx_tickets_provider_phone ON tickets (provider_phone) WHERE provider_phone IS NOT NULL;
         `;
         await pool.query(checkCols);
 
@@ -118,8 +134,201 @@ const initDB = async () => {
             END $$;
         `;
         await pool.query(botPauseCol);
+
+        // Estado de entrega de mensajes salientes (callbacks value.statuses del webhook)
+        const deliveryCols = `
+            DO $$ BEGIN
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='chat_logs' AND column_name='wa_message_id') THEN
+                    ALTER TABLE chat_logs ADD COLUMN wa_message_id VARCHAR(128);
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='chat_logs' AND column_name='delivery_status') THEN
+                    ALTER TABLE chat_logs ADD COLUMN delivery_status VARCHAR(20);
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='chat_logs' AND column_name='delivery_status_at') THEN
+                    ALTER TABLE chat_logs ADD COLUMN delivery_status_at TIMESTAMP;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='chat_logs' AND column_name='delivery_error') THEN
+                    ALTER TABLE chat_logs ADD COLUMN delivery_error TEXT;
+                END IF;
+            END $$;
+            CREATE INDEX IF NOT EXISTS idx_chat_logs_wa_message ON chat_logs (wa_message_id) WHERE wa_message_id IS NOT NULL;
+        `;
+        await pool.query(deliveryCols);
         console.log('[DB] Tabla "chat_logs" y columna "is_bot_paused" verificadas/creadas con éxito.');
 
+        // ── Processed Messages (idempotencia del webhook por wamid) ──
+        const processedMessagesTable = `
+            CREATE TABLE IF NOT EXISTS processed_messages (
+                wamid VARCHAR(128) PRIMARY KEY,
+                phone_number VARCHAR(50),
+                received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                duplicate_count INTEGER NOT NULL DEFAULT 0,
+                last_duplicate_at TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_processed_messages_received ON processed_messages (received_at);
+            -- status: processing (reclamado, todavía en los interceptores) | done (procesado completo)
+            --         | failed (esperando reintento, ver inbound-retry.service) | dead (reintentos agotados).
+            -- payload: el mensaje crudo, para reprocesarlo; se borra al completarse.
+            DO $$
+            BEGIN
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='status') THEN
+                    ALTER TABLE processed_messages ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'done';
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='claimed_at') THEN
+                    ALTER TABLE processed_messages ADD COLUMN claimed_at TIMESTAMP;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='payload') THEN
+                    ALTER TABLE processed_messages ADD COLUMN payload JSONB;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='attempts') THEN
+                    ALTER TABLE processed_messages ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='next_attempt_at') THEN
+                    ALTER TABLE processed_messages ADD COLUMN next_attempt_at TIMESTAMP;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='processed_messages' AND column_name='last_error') THEN
+                    ALTER TABLE processed_messages ADD COLUMN last_error TEXT;
+                END IF;
+            END $$;
+            CREATE INDEX IF NOT EXISTS idx_processed_messages_retry ON processed_messages (next_attempt_at) WHERE status IN ('processing','failed');
+        `;
+        await pool.query(processedMessagesTable);
+        console.log('[DB] Tabla "processed_messages" verificada/creada con éxito.');
+
+        // ── Service Windows (ventana de 24 h de WhatsApp por número) ──
+        const serviceWindowsTable = `
+            CREATE TABLE IF NOT EXISTS service_windows (
+                phone_number VARCHAR(50) PRIMARY KEY,
+                last_inbound_at TIMESTAMP NOT NULL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+        await pool.query(serviceWindowsTable);
+        console.log('[DB] Tabla "service_windows" verificada/creada con éxito.');
+
+        // ── Outbox de mensajes salientes (reintentos + dead-letter) ──
+        const outboxTable = `
+            CREATE TABLE IF NOT EXISTS outbound_messages (
+                id SERIAL PRIMARY KEY,
+                phone_number VARCHAR(50) NOT NULL,
+                payload JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending','sending','sent','dead')),
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 6,
+                next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                last_error TEXT,
+                wa_message_id VARCHAR(128),
+                log_body TEXT,
+                log_role VARCHAR(10),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                sent_at TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_outbound_messages_unsent ON outbound_messages (phone_number, id) WHERE status IN ('pending','sending');
+            CREATE INDEX IF NOT EXISTS idx_outbound_messages_status ON outbound_messages (status, created_at DESC);
+            DO $$
+            BEGIN
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='outbound_messages' AND column_name='last_error_code') THEN
+                    ALTER TABLE outbound_messages ADD COLUMN last_error_code INTEGER;
+                END IF;
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='outbound_messages' AND column_name='last_error_category') THEN
+                    ALTER TABLE outbound_messages ADD COLUMN last_error_category VARCHAR(30);
+                END IF;
+                -- Mensajes proactivos diferidos por horario: no bloquean a los posteriores del mismo número hasta vencer.
+                IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name='outbound_messages' AND column_name='deferred_until') THEN
+                    ALTER TABLE outbound_messages ADD COLUMN deferred_until TIMESTAMP;
+                END IF;
+            END $$;
+        `;
+        await pool.query(outboxTable);
+        console.log('[DB] Tabla "outbound_messages" verificada/creada con éxito.');
+
+        // ── Preferencias de notificación por profesional (WhatsApp, email o ambos) ──
+        const notificationPrefsTable = `
+            CREATE TABLE IF NOT EXISTS notification_preferences (
+                provider_id INTEGER PRIMARY KEY,
+                channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp' CHECK (channel IN ('whatsapp','email','both')),
+                email VARCHAR(255),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+        `;
+        await pool.query(notificationPrefsTable);
+        console.log('[DB] Tabla "notification_preferences" verificada/creada con éxito.');
+
+        // ── Preferencias de comunicación (opt-out BAJA/STOP) por número o identidad de canal ──
+        const communicationPrefsTable = `
+            CREATE TABLE IF NOT EXISTS communication_preferences (
+                phone_number VARCHAR(50) PRIMARY KEY,
+                level VARCHAR(20) NOT NULL DEFAULT 'all' CHECK (level IN ('all','transactional','none')),
+                source VARCHAR(30),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_communication_preferences_level ON communication_preferences (level);
+        `;
+        await pool.query(communicationPrefsTable);
+        console.log('[DB] Tabla "communication_preferences" verificada/creada con éxito.');
+
+        // ── Sesiones de conversación con la IA (historial, datos extraídos, expiración por inactividad) ──
+        const aiSessionsTable = `
+            CREATE TABLE IF NOT EXISTS ai_sessions (
+                phone_number VARCHAR(50) PRIMARY KEY,
+                history JSONB NOT NULL DEFAULT '[]',
+                summary TEXT,
+                extracted_data JSONB NOT NULL DEFAULT '{}',
+                pinned_zone VARCHAR(100),
+                turn_count INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_message_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_ai_sessions_last_message ON ai_sessions (last_message_at);
+        `;
+        await pool.query(aiSessionsTable);
+        console.log('[DB] Tabla "ai_sessions" verificada/creada con éxito.');
+
+        // ── Llamadas a LLM (tokens, latencia, resultado y costo estimado por conversación / ticket) ──
+        const llmCallsTable = `
+            CREATE TABLE IF NOT EXISTS llm_calls (
+                id BIGSERIAL PRIMARY KEY,
+                phone_number VARCHAR(50),
+                ticket_id INTEGER,
+                provider VARCHAR(30) NOT NULL,
+                model VARCHAR(100),
+                task VARCHAR(30) NOT NULL,
+                prompt_version VARCHAR(50),
+                prompt_hash VARCHAR(20),
+                is_repair BOOLEAN NOT NULL DEFAULT false,
+                input_tokens INTEGER NOT NULL DEFAULT 0,
+                output_tokens INTEGER NOT NULL DEFAULT 0,
+                latency_ms INTEGER NOT NULL DEFAULT 0,
+                outcome VARCHAR(20) NOT NULL CHECK (outcome IN ('ok','safety','parse_error','error')),
+                error TEXT,
+                cost_usd NUMERIC(12,6),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_llm_calls_created_at ON llm_calls (created_at);
+            CREATE INDEX IF NOT EXISTS idx_llm_calls_ticket ON llm_calls (ticket_id) WHERE ticket_id IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_llm_calls_phone_unlinked ON llm_calls (phone_number, created_at) WHERE ticket_id IS NULL;
+        `;
+        await pool.query(llmCallsTable);
+        console.log('[DB] Tabla "llm_calls" verificada/creada con éxito.');
+
+        // ── Alta conversacional de profesionales por WhatsApp (paso actual, datos y resultado; sirve de lead) ──
+        const providerOnboardingTable = `
+            CREATE TABLE IF NOT EXISTS provider_onboarding (
+                phone_number VARCHAR(50) PRIMARY KEY,
+                step VARCHAR(20) NOT NULL,
+                data JSONB NOT NULL DEFAULT '{}',
+                status VARCHAR(20) NOT NULL DEFAULT 'in_progress'
+                    CHECK (status IN ('in_progress','completed','out_of_area','failed','abandoned')),
+                provider_id INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE INDEX IF NOT EXISTS idx_provider_onboarding_status ON provider_onboarding (status, updated_at);
+        `;
+        await pool.query(providerOnboardingTable);
+        console.log('[DB] Tabla "provider_onboarding" verificada/creada con éxito.');
+
         // ── Credit History Tables (Fintech Infrastructure) ──
         const creditTables = `
             CREATE TABLE IF NOT EXISTS credit_events (
@@ -218,7 +427,7 @@ async function acceptTerms(phone) {
  * Guarda un ticket en la base de datos.
  * @param {string} phone - Número de teléfono del remitente.
  * @param {object} ticketData - Datos extraídos por la IA o recibidos por la web.
- * @param {string} source - Origen del ticket ('whatsapp' o 'web').
+ * @param {string} source - Origen del ticket ('whatsapp', 'telegram', 'sms' o 'web').
  */
 async function saveTicket(phone, ticketData, source) {
     const { category, description, zone, urgency } = ticketData;
@@ -299,13 +508,13 @@ async function updateTicketStatus(id, newStatus) {
  * @param {number|string} ticketId - ID del ticket.
  * @param {number|string} providerId - ID del proveedor asignado.
  * @param {string} providerName - Nombre del proveedor (para mostrar en dashboard).
- * @param {string} [providerPhone] - Teléfono WhatsApp del profesional (para anti-ghosting y reasignación).
+ * @param {string} [providerPhone] - Teléfono WhatsApp del profesional (para anti-ghosting y reasignación); se guarda canónico.
  * @returns {Promise<object|null>} Ticket actualizado o null si no existe.
  */
 async function assignTicket(ticketId, providerId, providerName, providerPhone) {
     const query = `UPDATE tickets SET status = $1, provider_id = $2, provider_name = $3, provider_phone = $4, assigned_at = NOW(), ghost_check_sent = false WHERE id = $5 RETURNING *;`;
     try {
-        const res = await pool.query(query, ['ASIGNADO', providerId, providerName || null, providerPhone || null, ticketId]);
+        const res = await pool.query(query, ['ASIGNADO', providerId, providerName || null, canonicalOrRaw(providerPhone), ticketId]);
         return res.rows[0] || null;
     } catch (err) {
         console.error('[DB] Error al asignar ticket:', err.message);
@@ -313,6 +522,22 @@ async function assignTicket(ticketId, providerId, providerName, providerPhone) {
     }
 }
 
+/**
+ * Como assignTicket, pero solo si el ticket sigue ABIERTO (selección desde la lista de WhatsApp):
+ * dos selecciones simultáneas no pueden asignar (ni notificar) a dos profesionales.
+ * @returns {Promise<object|null>} Ticket actualizado o null si no existe o ya no está ABIERTO.
+ */
+async function assignOpenTicket(ticketId, providerId, providerName, providerPhone) {
+    const query = `UPDATE tickets SET status = $1, provider_id = $2, provider_name = $3, provider_phone = $4, assigned_at = NOW(), ghost_check_sent = false WHERE id = $5 AND status = 'ABIERTO' RETURNING *;`;
+    try {
+        const res = await pool.query(query, ['ASIGNADO', providerId, providerName || null, canonicalOrRaw(providerPhone), ticketId]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[DB] Error al asignar ticket abierto:', err.message);
+        throw err;
+    }
+}
+
 /**
  * Tickets ASIGNADOS con más de 30 minutos desde assigned_at y sin haber enviado ghost check.
  * @returns {Promise<Array>}
@@ -369,17 +594,106 @@ async function reopenTicketAfterGhost(ticketId) {
     }
 }
 
+/**
+ * Tickets en curso (ABIERTO / ASIGNADO) de un cliente, del más reciente al más viejo.
+ * @param {string} phoneNumber - Identidad del cliente (549..., tg:..., sms:...).
+ * @param {number} [limit=5]
+ * @returns {Promise<Array>}
+ */
+async function getOpenTicketsByPhone(phoneNumber, limit = 5) {
+    const query = `
+        SELECT * FROM tickets
+        WHERE phone_number = $1 AND status IN ('ABIERTO', 'ASIGNADO')
+        ORDER BY created_at DESC
+        LIMIT $2;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, limit]);
+        return res.rows;
+    } catch (err) {
+        console.error('[DB] Error al obtener tickets abiertos del cliente:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Último ticket de un cliente (cualquier estado) creado en los últimos `days` días.
+ * @param {string} phoneNumber
+ * @param {number} [days=30]
+ * @returns {Promise<object|null>}
+ */
+async function getLatestTicketByPhone(phoneNumber, days = 30) {
+    const query = `
+        SELECT * FROM tickets
+        WHERE phone_number = $1 AND created_at >= NOW() - ($2::int * INTERVAL '1 day')
+        ORDER BY created_at DESC
+        LIMIT 1;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, days]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[DB] Error al obtener último ticket del cliente:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Cancelación pedida por el cliente: solo si el ticket es suyo y sigue ABIERTO / ASIGNADO.
+ * @param {number|string} ticketId
+ * @param {string} phoneNumber - Identidad del cliente dueño del ticket.
+ * @param {string} reason - Se guarda en cancellation_reason (máx. 255 caracteres).
+ * Queda con cancelled_by = 'CLIENT' para que no cuente como ghosting del profesional asignado.
+ * @returns {Promise<object|null>} Ticket cancelado o null si no correspondía.
+ */
+async function cancelTicketByClient(ticketId, phoneNumber, reason) {
+    const query = `
+        UPDATE tickets SET status = 'CANCELADO', cancellation_reason = $3, cancelled_by = 'CLIENT'
+        WHERE id = $1 AND phone_number = $2 AND status IN ('ABIERTO', 'ASIGNADO')
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [ticketId, phoneNumber, String(reason || '').slice(0, 255) || null]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[DB] Error al cancelar ticket por el cliente:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Cambia la urgencia de un ticket ABIERTO del cliente (reprogramación antes de elegir profesional).
+ * @param {number|string} ticketId
+ * @param {string} phoneNumber
+ * @param {string} urgency - alta | media | baja.
+ * @returns {Promise<object|null>}
+ */
+async function updateTicketUrgencyByClient(ticketId, phoneNumber, urgency) {
+    const query = `
+        UPDATE tickets SET urgency = $3
+        WHERE id = $1 AND phone_number = $2 AND status = 'ABIERTO'
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [ticketId, phoneNumber, urgency]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[DB] Error al actualizar urgencia del ticket:', err.message);
+        throw err;
+    }
+}
+
 /**
  * Marca un ticket como COMPLETADO y guarda el teléfono del profesional para el Shadow Ledger.
  * Setea completed_at = NOW() para scoring.
  * @param {number|string} ticketId - ID del ticket.
- * @param {string} providerPhone - Teléfono WhatsApp del profesional (E.164).
+ * @param {string} providerPhone - Teléfono WhatsApp del profesional (cualquier formato; se guarda canónico).
  * @returns {Promise<object|null>} Ticket actualizado o null.
  */
 async function completeTicket(ticketId, providerPhone) {
     const query = 'UPDATE tickets SET status = $1, provider_phone = $2, completed_at = NOW() WHERE id = $3 RETURNING *;';
     try {
-        const res = await pool.query(query, ['COMPLETADO', providerPhone || null, ticketId]);
+        const res = await pool.query(query, ['COMPLETADO', canonicalOrRaw(providerPhone), ticketId]);
         return res.rows[0] || null;
     } catch (err) {
         console.error('[DB] Error al completar ticket:', err.message);
@@ -388,23 +702,21 @@ async function completeTicket(ticketId, providerPhone) {
 }
 
 /**
- * Obtiene un ticket COMPLETADO con final_amount pendiente (NULL) cuyo provider_phone termina en los últimos 10 dígitos dados.
- * Inmune a prefijos de país y códigos de área.
- * @param {string} phoneSuffixLast10 - Últimos 10 dígitos del teléfono (solo dígitos, longitud 10).
+ * Obtiene el último ticket COMPLETADO con final_amount pendiente (NULL) del profesional con ese número.
+ * @param {string} phoneNumber - Teléfono del profesional (cualquier formato; se compara el canónico).
  * @returns {Promise<object|null>} Ticket o null.
  */
-async function getPendingAmountTicketByProviderPhone(phoneSuffixLast10) {
-    const suffix = String(phoneSuffixLast10).replace(/\D/g, '').slice(-10);
-    if (suffix.length !== 10) return null;
+async function getPendingAmountTicketByProviderPhone(phoneNumber) {
+    const canonical = toCanonicalPhone(phoneNumber);
+    if (!canonical) return null;
 
     const query = `
         SELECT * FROM tickets
-        WHERE status = 'COMPLETADO' AND final_amount IS NULL AND provider_phone IS NOT NULL
-          AND REGEXP_REPLACE(provider_phone, '[^0-9]', '', 'g') LIKE '%' || $1
-        ORDER BY id DESC LIMIT 50;
+        WHERE status = 'COMPLETADO' AND final_amount IS NULL AND provider_phone = $1
+        ORDER BY id DESC LIMIT 1;
     `;
     try {
-        const res = await pool.query(query, [suffix]);
+        const res = await pool.query(query, [canonical]);
         return res.rows[0] || null;
     } catch (err) {
         console.error('[DB] Error al buscar ticket pendiente de monto:', err.message);
@@ -429,32 +741,28 @@ async function updateTicketFinalAmount(ticketId, amount) {
     }
 }
 
-/** Normaliza teléfono para comparación (solo dígitos; Argentina 549 -> 54). */
-function normalizePhoneForLedger(phone) {
-    if (!phone) return '';
-    let digits = String(phone).replace(/\D/g, '');
-    if (digits.startsWith('549')) digits = '54' + digits.slice(3);
-    return digits;
+/** Teléfono canónico para guardar (ver utils/phoneNumber); si no se reconoce, tal cual. */
+function canonicalOrRaw(phone) {
+    if (!phone) return null;
+    return toCanonicalPhone(phone) || String(phone);
 }
 
 /**
- * Obtiene un ticket COMPLETADO con final_amount y client_rating pendiente (NULL) cuyo phone_number termina en los últimos 10 dígitos dados.
- * Inmune a prefijos de país y códigos de área.
- * @param {string} phoneSuffixLast10 - Últimos 10 dígitos del teléfono del cliente (solo dígitos, longitud 10).
+ * Obtiene el último ticket COMPLETADO con final_amount y client_rating pendiente (NULL) del cliente con ese número.
+ * @param {string} phoneNumber - Teléfono del cliente (cualquier formato; se compara el canónico).
  * @returns {Promise<object|null>} Ticket o null.
  */
-async function getPendingReviewTicketByClientPhone(phoneSuffixLast10) {
-    const suffix = String(phoneSuffixLast10).replace(/\D/g, '').slice(-10);
-    if (suffix.length !== 10) return null;
+async function getPendingReviewTicketByClientPhone(phoneNumber) {
+    const canonical = toCanonicalPhone(phoneNumber);
+    if (!canonical) return null;
 
     const query = `
         SELECT * FROM tickets
-        WHERE status = 'COMPLETADO' AND final_amount IS NOT NULL AND client_rating IS NULL
-          AND REGEXP_REPLACE(phone_number, '[^0-9]', '', 'g') LIKE '%' || $1
-        ORDER BY id DESC LIMIT 50;
+        WHERE status = 'COMPLETADO' AND final_amount IS NOT NULL AND client_rating IS NULL AND phone_number = $1
+        ORDER BY id DESC LIMIT 1;
     `;
     try {
-        const res = await pool.query(query, [suffix]);
+        const res = await pool.query(query, [canonical]);
         return res.rows[0] || null;
     } catch (err) {
         console.error('[DB] Error al buscar ticket pendiente de reseña:', err.message);
@@ -496,6 +804,27 @@ async function updateTicketCategorySlug(ticketId, categorySlug) {
     }
 }
 
+/**
+ * Guarda los profesionales ofrecidos al cliente en la lista de WhatsApp (provider-picker.service).
+ * @param {number|string} ticketId
+ * @param {Array<number|string>} providerIds
+ */
+async function setTicketOfferedProviders(ticketId, providerIds) {
+    const ids = (providerIds || []).map(Number).filter(Number.isInteger);
+    const query = 'UPDATE tickets SET offered_provider_ids = $1 WHERE id = $2;';
+    try {
+        await pool.query(query, [ids, ticketId]);
+    } catch (err) {
+        console.error('[DB] Error al guardar profesionales ofrecidos:', err.message);
+        throw err;
+    }
+}
+
+/** Ticket cancelado por el cliente (ticket-inquiry.service): no cuenta para el ghosting del profesional. */
+function isClientCancellation(ticket) {
+    return (ticket.status || '').toUpperCase() === 'CANCELADO' && ticket.cancelled_by === 'CLIENT';
+}
+
 /**
  * Métricas de comportamiento (últimos 30 días).
  * Calculadas en memoria a partir de los tickets recientes.
@@ -510,7 +839,8 @@ async function getBehavioralMetrics() {
             assigned_at,
             provider_responded_at,
             completed_at,
-            amount_reported_at
+            amount_reported_at,
+            cancelled_by
         FROM tickets
         WHERE created_at >= $1
     `;
@@ -537,8 +867,8 @@ async function getBehavioralMetrics() {
                   )
                 : null;
 
-        // Ghosting Rate
-        const ticketsWithAssigned = tickets.filter(t => t.assigned_at);
+        // Ghosting Rate (sin los pedidos que canceló el cliente)
+        const ticketsWithAssigned = tickets.filter(t => t.assigned_at && !isClientCancellation(t));
         const totalWithAssigned = ticketsWithAssigned.length;
 
         const ghostedCount = ticketsWithAssigned.filter(t => {
@@ -671,7 +1001,8 @@ async function getIndividualWorkerScoring(providerId) {
             final_amount,
             completed_at,
             assigned_at,
-            provider_responded_at
+            provider_responded_at,
+            cancelled_by
         FROM tickets
         WHERE provider_id = $1
     `;
@@ -706,7 +1037,7 @@ async function getIndividualWorkerScoring(providerId) {
         }
 
         /* ── Comportamiento ── */
-        const assigned = tickets.filter(t => t.assigned_at);
+        const assigned = tickets.filter(t => t.assigned_at && !isClientCancellation(t));
         const totalAssigned = assigned.length;
 
         // Ghosting estricto: solo cuenta como fantasma si el ticket fue CANCELADO
@@ -1022,10 +1353,10 @@ async function getWorkerAchievementCounts(providerId) {
 // Chat Logs – DB operations (WhatsApp message audit trail)
 // ══════════════════════════════════════════════════════════════════════════════
 
-async function saveChatLog(phoneNumber, senderRole, messageBody, { ticketId, metadata } = {}) {
+async function saveChatLog(phoneNumber, senderRole, messageBody, { ticketId, metadata, waMessageId } = {}) {
     const query = `
-        INSERT INTO chat_logs (phone_number, sender_role, message_body, ticket_id, metadata)
-        VALUES ($1, $2, $3, $4, $5)
+        INSERT INTO chat_logs (phone_number, sender_role, message_body, ticket_id, metadata, wa_message_id, delivery_status, delivery_status_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7::varchar, CASE WHEN $7::varchar IS NULL THEN NULL ELSE NOW() END)
         RETURNING *;
     `;
     try {
@@ -1035,6 +1366,9 @@ async function saveChatLog(phoneNumber, senderRole, messageBody, { ticketId, met
             messageBody,
             ticketId ?? null,
             JSON.stringify(metadata || {}),
+            waMessageId || null,
+            // Los salientes con wamid nacen como "accepted" por Meta; los callbacks los avanzan.
+            waMessageId && senderRole !== 'USER' ? 'accepted' : null,
         ]);
         return res.rows[0];
     } catch (err) {
@@ -1042,6 +1376,93 @@ async function saveChatLog(phoneNumber, senderRole, messageBody, { ticketId, met
     }
 }
 
+/**
+ * Orden de los estados de entrega de Meta. Los callbacks pueden llegar desordenados
+ * (ej. read antes que delivered): nunca se retrocede a un estado de menor rango.
+ * failed siempre gana.
+ */
+const DELIVERY_STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+/**
+ * Aplica un callback de estado (value.statuses[i]) al mensaje saliente con ese wamid.
+ * @param {string} waMessageId - wamid del mensaje saliente.
+ * @param {string} status - sent | delivered | read | failed.
+ * @param {Date} [statusAt] - Momento informado por Meta.
+ * @param {string} [errorText] - Motivo de fallo (código + título de Meta).
+ * @returns {Promise<object|null>} chat_log actualizado o null si no aplica.
+ */
+async function updateChatLogDeliveryStatus(waMessageId, status, statusAt, errorText) {
+    const rank = DELIVERY_STATUS_RANK[status];
+    if (!waMessageId || rank === undefined) return null;
+
+    const query = `
+        UPDATE chat_logs
+        SET delivery_status = $2,
+            delivery_status_at = COALESCE($3, NOW()),
+            delivery_error = COALESCE($4, delivery_error)
+        WHERE wa_message_id = $1
+          AND (
+            $5 = 4
+            OR COALESCE(CASE delivery_status
+                WHEN 'accepted' THEN 0 WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2
+                WHEN 'read' THEN 3 WHEN 'failed' THEN 4 END, -1) < $5
+          )
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [waMessageId, status, statusAt || null, errorText || null, rank]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[ChatLogs] Error al actualizar delivery_status:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Actualiza el último mensaje entrante de un número (nunca retrocede si llegan reintentos viejos).
+ * @param {string} phoneNumber - Número normalizado (549...).
+ * @param {Date} at - Timestamp del mensaje informado por Meta.
+ */
+async function touchServiceWindow(phoneNumber, at) {
+    const query = `
+        INSERT INTO service_windows (phone_number, last_inbound_at, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (phone_number) DO UPDATE
+        SET last_inbound_at = GREATEST(service_windows.last_inbound_at, EXCLUDED.last_inbound_at),
+            updated_at = NOW()
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, at]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[ServiceWindow] Error al actualizar service_windows:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Último mensaje entrante de un número. Usa service_windows y, para números sin registro
+ * previo a esa tabla, el último chat_log USER.
+ * @param {string} phoneNumber - Número normalizado (549...).
+ * @returns {Promise<Date|null>}
+ */
+async function getLastInboundAt(phoneNumber) {
+    const query = `
+        SELECT GREATEST(
+            (SELECT last_inbound_at FROM service_windows WHERE phone_number = $1),
+            (SELECT MAX(created_at) FROM chat_logs WHERE phone_number = $1 AND sender_role = 'USER')
+        ) AS last_inbound_at;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber]);
+        return res.rows[0]?.last_inbound_at || null;
+    } catch (err) {
+        console.error('[ServiceWindow] Error al obtener último mensaje entrante:', err.message);
+        throw err;
+    }
+}
+
 async function getChatLogsByPhone(phoneNumber, { limit = 100, offset = 0 } = {}) {
     const query = `
         SELECT * FROM chat_logs
@@ -1106,6 +1527,789 @@ async function isBotPaused(phoneNumber) {
     }
 }
 
+// ══════════════════════════════════════════════════════════════════════════════
+// Processed Messages – Idempotencia del webhook (Meta reintenta entregas)
+// ══════════════════════════════════════════════════════════════════════════════
+
+// Un claim en processing más viejo que esto es de un proceso que murió a mitad de camino: se reintenta.
+const PROCESSED_MESSAGE_LEASE_MINUTES = 5;
+
+/**
+ * Reclama un wamid para procesarlo (status processing) y guarda el payload para poder reintentarlo.
+ * Al terminar los interceptores se marca con completeProcessedMessage; si fallan, failProcessedMessage
+ * lo deja para el reintento (inbound-retry.service).
+ * Si ya existía, incrementa duplicate_count y devuelve false.
+ * Ante error de DB devuelve true (fail-open: preferimos procesar a perder el mensaje).
+ * @param {string} wamid - ID del mensaje de WhatsApp (messages[i].id) o id externo prefijado por canal.
+ * @param {string} phoneNumber - Remitente normalizado.
+ * @param {object} [payload] - { source, ... } para reprocesar el mensaje.
+ * @returns {Promise<boolean>} true si este proceso tiene que procesar el mensaje.
+ */
+async function claimProcessedMessage(wamid, phoneNumber, payload = null) {
+    const claimQuery = `
+        INSERT INTO processed_messages (wamid, phone_number, status, claimed_at, payload)
+        VALUES ($1, $2, 'processing', NOW(), $3)
+        ON CONFLICT (wamid) DO NOTHING
+        RETURNING wamid;
+    `;
+    try {
+        const res = await pool.query(claimQuery, [wamid, phoneNumber || null, payload ? JSON.stringify(payload) : null]);
+        if (res.rows.length > 0) return true;
+
+        await pool.query(
+            'UPDATE processed_messages SET duplicate_count = duplicate_count + 1, last_duplicate_at = NOW() WHERE wamid = $1;',
+            [wamid]
+        );
+        return false;
+    } catch (err) {
+        console.error('[DB] Error al registrar processed_message:', err.message);
+        return true;
+    }
+}
+
+/**
+ * Marca un wamid reclamado como procesado (best-effort).
+ * @param {string} wamid
+ */
+async function completeProcessedMessage(wamid) {
+    try {
+        await pool.query(
+            `UPDATE processed_messages SET status = 'done', payload = NULL, last_error = NULL WHERE wamid = $1;`,
+            [wamid]
+        );
+    } catch (err) {
+        console.error('[DB] Error al completar processed_message:', err.message);
+    }
+}
+
+/**
+ * Registra un intento fallido: failed con backoff (30 s, 1 min, 2 min... tope 1 h) o dead al llegar
+ * a maxAttempts (best-effort).
+ * @param {string} wamid
+ * @param {string} errorMessage
+ * @param {number} maxAttempts
+ * @returns {Promise<{ status: string, attempts: number }|null>}
+ */
+async function failProcessedMessage(wamid, errorMessage, maxAttempts) {
+    const query = `
+        UPDATE processed_messages SET
+            attempts = attempts + 1,
+            last_error = $2,
+            status = CASE WHEN attempts + 1 >= $3 THEN 'dead' ELSE 'failed' END,
+            next_attempt_at = NOW() + LEAST(30 * POWER(2, attempts), 3600) * INTERVAL '1 second'
+        WHERE wamid = $1
+        RETURNING status, attempts;
+    `;
+    try {
+        const res = await pool.query(query, [wamid, String(errorMessage || '').slice(0, 1000), maxAttempts]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[DB] Error al registrar el fallo de processed_message:', err.message);
+        return null;
+    }
+}
+
+/**
+ * Reclama los mensajes entrantes para reintentar: failed con el backoff vencido y claims en processing
+ * de un proceso que murió (lease vencido; cuentan como un intento). Orden de llegada.
+ * @param {number} limit
+ * @param {number} maxAttempts
+ * @returns {Promise<Array<{ wamid: string, phone_number: string, payload: object, attempts: number }>>}
+ */
+async function claimInboundRetries(limit, maxAttempts) {
+    const query = `
+        UPDATE processed_messages SET
+            status = 'processing',
+            claimed_at = NOW(),
+            attempts = attempts + CASE WHEN status = 'processing' THEN 1 ELSE 0 END
+        WHERE wamid IN (
+            SELECT wamid FROM processed_messages
+            WHERE payload IS NOT NULL
+              AND attempts < $2
+              AND ((status = 'failed' AND next_attempt_at <= NOW())
+                OR (status = 'processing' AND claimed_at < NOW() - ($3 || ' minutes')::interval))
+            ORDER BY received_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING wamid, phone_number, payload, attempts, received_at;
+    `;
+    try {
+        const res = await pool.query(query, [limit, maxAttempts, PROCESSED_MESSAGE_LEASE_MINUTES]);
+        return res.rows.sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+    } catch (err) {
+        console.error('[DB] Error al reclamar reintentos de processed_messages:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Elimina wamids procesados más antiguos que la ventana de retención.
+ * @param {number} retentionDays
+ * @returns {Promise<number>} Filas eliminadas.
+ */
+async function purgeProcessedMessages(retentionDays) {
+    const query = `DELETE FROM processed_messages WHERE received_at < NOW() - ($1 || ' days')::interval;`;
+    try {
+        const res = await pool.query(query, [retentionDays]);
+        return res.rowCount || 0;
+    } catch (err) {
+        console.error('[DB] Error al purgar processed_messages:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Resumen de deduplicación y reintentos dentro de la ventana de retención.
+ * @returns {Promise<{ trackedMessages: number, duplicatesDropped: number, duplicatesLast24h: number, pendingRetries: number, deadMessages: number }>}
+ */
+async function getProcessedMessagesStats() {
+    const query = `
+        SELECT
+            COUNT(*)::int AS tracked_messages,
+            COALESCE(SUM(duplicate_count), 0)::int AS duplicates_dropped,
+            COALESCE(SUM(duplicate_count) FILTER (WHERE last_duplicate_at >= NOW() - INTERVAL '24 hours'), 0)::int AS duplicates_last_24h,
+            COUNT(*) FILTER (WHERE status = 'failed')::int AS pending_retries,
+            COUNT(*) FILTER (WHERE status = 'dead')::int AS dead_messages
+        FROM processed_messages;
+    `;
+    try {
+        const res = await pool.query(query);
+        const r = res.rows[0] || {};
+        return {
+            trackedMessages: r.tracked_messages ?? 0,
+            duplicatesDropped: r.duplicates_dropped ?? 0,
+            duplicatesLast24h: r.duplicates_last_24h ?? 0,
+            pendingRetries: r.pending_retries ?? 0,
+            deadMessages: r.dead_messages ?? 0
+        };
+    } catch (err) {
+        console.error('[DB] Error en getProcessedMessagesStats:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// Outbox – Mensajes salientes de WhatsApp con reintentos y dead-letter
+// ══════════════════════════════════════════════════════════════════════════════
+
+async function insertOutboundMessage({ phoneNumber, payload, logBody, logRole, maxAttempts, notBefore = null }) {
+    const query = `
+        INSERT INTO outbound_messages (phone_number, payload, log_body, log_role, max_attempts, next_attempt_at, deferred_until)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, NOW()), $6)
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, JSON.stringify(payload), logBody, logRole, maxAttempts, notBefore]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[Outbox] Error al insertar outbound_message:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Reclama un mensaje para enviarlo ya, solo si está vencido y es el más antiguo sin enviar de su número.
+ * @returns {Promise<object|null>} Fila en estado sending o null.
+ */
+async function claimOutboundMessage(id) {
+    const query = `
+        UPDATE outbound_messages o
+        SET status = 'sending', updated_at = NOW()
+        WHERE o.id = $1
+          AND o.status = 'pending'
+          AND o.next_attempt_at <= NOW()
+          AND NOT EXISTS (
+              SELECT 1 FROM outbound_messages p
+              WHERE p.phone_number = o.phone_number AND p.id < o.id AND p.status IN ('pending','sending')
+                AND (p.deferred_until IS NULL OR p.deferred_until <= NOW())
+          )
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [id]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Outbox] Error al reclamar outbound_message:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Reclama la cabeza (mensaje sin enviar más antiguo) de cada número, si está vencida.
+ * @param {number} limit
+ * @returns {Promise<Array>} Filas en estado sending, ordenadas por id.
+ */
+async function claimDueOutboundMessages(limit = 50) {
+    const query = `
+        UPDATE outbound_messages o
+        SET status = 'sending', updated_at = NOW()
+        WHERE o.id IN (
+            SELECT heads.id FROM (
+                SELECT DISTINCT ON (phone_number) id, status, next_attempt_at
+                FROM outbound_messages
+                WHERE status IN ('pending','sending')
+                  AND (deferred_until IS NULL OR deferred_until <= NOW())
+                ORDER BY phone_number, id
+            ) heads
+            WHERE heads.status = 'pending' AND heads.next_attempt_at <= NOW()
+            ORDER BY heads.next_attempt_at ASC
+            LIMIT $1
+        )
+        AND o.status = 'pending'
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [limit]);
+        return res.rows.sort((a, b) => a.id - b.id);
+    } catch (err) {
+        console.error('[Outbox] Error al reclamar mensajes vencidos:', err.message);
+        throw err;
+    }
+}
+
+/** Devuelve a pending los mensajes que quedaron en sending (proceso caído a mitad de envío). */
+async function releaseStaleOutboundMessages() {
+    const query = `
+        UPDATE outbound_messages SET status = 'pending', updated_at = NOW()
+        WHERE status = 'sending' AND updated_at < NOW() - INTERVAL '5 minutes';
+    `;
+    try {
+        const res = await pool.query(query);
+        return res.rowCount || 0;
+    } catch (err) {
+        console.error('[Outbox] Error al liberar mensajes trabados:', err.message);
+        throw err;
+    }
+}
+
+async function markOutboundSent(id, attempts, waMessageId) {
+    const query = `
+        UPDATE outbound_messages
+        SET status = 'sent', attempts = $2, wa_message_id = $3, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+        WHERE id = $1 RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [id, attempts, waMessageId || null]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Outbox] Error al marcar enviado:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * @param {object} [errorInfo] - Clasificación del error de Meta: { code, category }.
+ */
+async function markOutboundRetry(id, attempts, nextAttemptAt, lastError, errorInfo = {}) {
+    const query = `
+        UPDATE outbound_messages
+        SET status = 'pending', attempts = $2, next_attempt_at = $3, last_error = $4,
+            last_error_code = $5, last_error_category = $6, updated_at = NOW()
+        WHERE id = $1 RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [id, attempts, nextAttemptAt, lastError || null, errorInfo.code ?? null, errorInfo.category || null]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Outbox] Error al reprogramar mensaje:', err.message);
+        throw err;
+    }
+}
+
+async function markOutboundDead(id, attempts, lastError, errorInfo = {}) {
+    const query = `
+        UPDATE outbound_messages
+        SET status = 'dead', attempts = $2, last_error = $3,
+            last_error_code = $4, last_error_category = $5, updated_at = NOW()
+        WHERE id = $1 RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [id, attempts, lastError || null, errorInfo.code ?? null, errorInfo.category || null]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Outbox] Error al mover a dead-letter:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Destinatario imposible de alcanzar (ej. número sin WhatsApp): manda a dead-letter todo lo pendiente para él.
+ * @returns {Promise<number>} Cantidad de mensajes afectados.
+ */
+async function deadLetterPendingForPhone(phoneNumber, lastError, errorInfo = {}) {
+    const query = `
+        UPDATE outbound_messages
+        SET status = 'dead', last_error = $2, last_error_code = $3, last_error_category = $4, updated_at = NOW()
+        WHERE phone_number = $1 AND status = 'pending';
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, lastError || null, errorInfo.code ?? null, errorInfo.category || null]);
+        return res.rowCount || 0;
+    } catch (err) {
+        console.error('[Outbox] Error al descartar pendientes del destinatario:', err.message);
+        throw err;
+    }
+}
+
+async function listOutboundMessages({ status, phoneNumber, limit = 50, offset = 0 } = {}) {
+    const query = `
+        SELECT * FROM outbound_messages
+        WHERE ($1::varchar IS NULL OR status = $1)
+          AND ($2::varchar IS NULL OR phone_number = $2)
+        ORDER BY created_at DESC
+        LIMIT $3 OFFSET $4;
+    `;
+    try {
+        const res = await pool.query(query, [status || null, phoneNumber || null, limit, offset]);
+        return res.rows;
+    } catch (err) {
+        console.error('[Outbox] Error al listar outbound_messages:', err.message);
+        throw err;
+    }
+}
+
+async function getOutboundStatusCounts() {
+    const query = 'SELECT status, COUNT(*)::int AS count FROM outbound_messages GROUP BY status;';
+    try {
+        const res = await pool.query(query);
+        const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+        for (const r of res.rows) counts[r.status] = r.count;
+        return counts;
+    } catch (err) {
+        console.error('[Outbox] Error al contar outbound_messages:', err.message);
+        throw err;
+    }
+}
+
+/** Re-encola un mensaje dead (o pendiente) para reintento inmediato, con intentos en cero. */
+async function resetOutboundMessage(id) {
+    const query = `
+        UPDATE outbound_messages
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND status IN ('dead','pending')
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [id]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Outbox] Error al re-encolar outbound_message:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// Notification Preferences – Canal elegido por cada profesional (WhatsApp / email / ambos)
+// ══════════════════════════════════════════════════════════════════════════════
+
+async function getNotificationPreferences(providerId) {
+    const query = 'SELECT * FROM notification_preferences WHERE provider_id = $1;';
+    try {
+        const res = await pool.query(query, [providerId]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[NotificationPrefs] Error al obtener preferencias:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Crea o actualiza las preferencias. Campos no enviados (undefined) conservan su valor.
+ * @param {number} providerId
+ * @param {{ channel?: 'whatsapp'|'email'|'both', email?: string|null }} prefs
+ */
+async function upsertNotificationPreferences(providerId, { channel, email } = {}) {
+    const query = `
+        INSERT INTO notification_preferences (provider_id, channel, email)
+        VALUES ($1, COALESCE($2, 'whatsapp'), $3)
+        ON CONFLICT (provider_id) DO UPDATE SET
+            channel = COALESCE($2, notification_preferences.channel),
+            email = CASE WHEN $4 THEN $3 ELSE notification_preferences.email END,
+            updated_at = NOW()
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [providerId, channel || null, email ?? null, email !== undefined]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[NotificationPrefs] Error al guardar preferencias:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Trabajos completados con monto informado entre dos fechas, agrupados por profesional.
+ * @param {Date} from - Inicio (inclusive).
+ * @param {Date} to - Fin (exclusive).
+ * @returns {Promise<Array<{ provider_id: number, provider_name: string, job_count: number, total_amount: number, average_rating: number|null }>>}
+ */
+async function getEarningsByProvider(from, to) {
+    const query = `
+        SELECT provider_id,
+               MAX(provider_name) AS provider_name,
+               COUNT(*)::int AS job_count,
+               COALESCE(SUM(final_amount), 0)::float AS total_amount,
+               AVG(client_rating)::float AS average_rating
+        FROM tickets
+        WHERE status = 'COMPLETADO'
+          AND provider_id IS NOT NULL
+          AND final_amount IS NOT NULL
+          AND COALESCE(amount_reported_at, completed_at) >= $1
+          AND COALESCE(amount_reported_at, completed_at) < $2
+        GROUP BY provider_id
+        ORDER BY provider_id;
+    `;
+    try {
+        const res = await pool.query(query, [from, to]);
+        return res.rows;
+    } catch (err) {
+        console.error('[DB] Error al obtener ingresos por profesional:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// Communication Preferences – Opt-out (all / transactional / none) por número
+// ══════════════════════════════════════════════════════════════════════════════
+
+async function getCommunicationPreference(phoneNumber) {
+    const query = 'SELECT * FROM communication_preferences WHERE phone_number = $1;';
+    try {
+        const res = await pool.query(query, [phoneNumber]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[CommPrefs] Error al obtener preferencia:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * @param {string} phoneNumber
+ * @param {'all'|'transactional'|'none'} level
+ * @param {string} [source] - Origen del cambio (keyword, button, admin).
+ */
+async function setCommunicationPreference(phoneNumber, level, source = null) {
+    const query = `
+        INSERT INTO communication_preferences (phone_number, level, source)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (phone_number) DO UPDATE SET level = $2, source = $3, updated_at = NOW()
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, level, source]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[CommPrefs] Error al guardar preferencia:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Números con preferencias restringidas (por defecto, todo lo que no sea "all").
+ * @param {{ level?: string|null, limit?: number, offset?: number }} [opts]
+ */
+async function listCommunicationPreferences({ level = null, limit = 50, offset = 0 } = {}) {
+    const query = `
+        SELECT * FROM communication_preferences
+        WHERE ($1::text IS NULL AND level <> 'all') OR level = $1
+        ORDER BY updated_at DESC
+        LIMIT $2 OFFSET $3;
+    `;
+    try {
+        const res = await pool.query(query, [level, limit, offset]);
+        return res.rows;
+    } catch (err) {
+        console.error('[CommPrefs] Error al listar preferencias:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// AI Sessions – Conversación con la IA por identidad (historial, datos extraídos, TTL)
+// ══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {string} phoneNumber - Identidad de la conversación (549..., tg:..., sms:...).
+ * @returns {Promise<object|null>}
+ */
+async function getAiSession(phoneNumber) {
+    const query = 'SELECT * FROM ai_sessions WHERE phone_number = $1;';
+    try {
+        const res = await pool.query(query, [phoneNumber]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[AISession] Error al obtener sesión:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Crea o reemplaza el estado de la sesión y marca last_message_at = NOW().
+ * @param {string} phoneNumber
+ * @param {{ history: Array<object>, summary?: string|null, extractedData?: object, pinnedZone?: string|null, turnCount?: number }} session
+ */
+async function saveAiSession(phoneNumber, { history, summary = null, extractedData = {}, pinnedZone = null, turnCount = 0 }) {
+    const query = `
+        INSERT INTO ai_sessions (phone_number, history, summary, extracted_data, pinned_zone, turn_count)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (phone_number) DO UPDATE
+        SET history = $2, summary = $3, extracted_data = $4, pinned_zone = $5, turn_count = $6, last_message_at = NOW()
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [
+            phoneNumber,
+            JSON.stringify(history || []),
+            summary,
+            JSON.stringify(extractedData || {}),
+            pinnedZone,
+            turnCount
+        ]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[AISession] Error al guardar sesión:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * @param {string} phoneNumber
+ * @returns {Promise<boolean>} true si había sesión.
+ */
+async function deleteAiSession(phoneNumber) {
+    const query = 'DELETE FROM ai_sessions WHERE phone_number = $1;';
+    try {
+        const res = await pool.query(query, [phoneNumber]);
+        return (res.rowCount || 0) > 0;
+    } catch (err) {
+        console.error('[AISession] Error al borrar sesión:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Borra las sesiones sin mensajes en los últimos ttlMinutes.
+ * @param {number} ttlMinutes
+ * @returns {Promise<number>} Sesiones borradas.
+ */
+async function purgeExpiredAiSessions(ttlMinutes) {
+    const query = `DELETE FROM ai_sessions WHERE last_message_at < NOW() - ($1 || ' minutes')::interval;`;
+    try {
+        const res = await pool.query(query, [ttlMinutes]);
+        return res.rowCount || 0;
+    } catch (err) {
+        console.error('[AISession] Error al purgar sesiones:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// LLM Calls – Tokens, latencia y costo de cada llamada al modelo
+// ══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Registra una llamada a un proveedor de LLM.
+ * @param {object} call - { phoneNumber, ticketId, provider, model, task, promptVersion, promptHash, isRepair,
+ *   inputTokens, outputTokens, latencyMs, outcome: 'ok'|'safety'|'parse_error'|'error', error, costUsd }
+ * @returns {Promise<object>} Fila insertada.
+ */
+async function insertLlmCall({
+    phoneNumber = null, ticketId = null, provider, model = null, task, promptVersion = null, promptHash = null,
+    isRepair = false, inputTokens = 0, outputTokens = 0, latencyMs = 0, outcome, error = null, costUsd = null
+}) {
+    const query = `
+        INSERT INTO llm_calls (phone_number, ticket_id, provider, model, task, prompt_version, prompt_hash, is_repair,
+            input_tokens, output_tokens, latency_ms, outcome, error, cost_usd)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [
+            phoneNumber, ticketId, provider, model, task, promptVersion, promptHash, isRepair,
+            inputTokens, outputTokens, latencyMs, outcome, error, costUsd
+        ]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[LLMUsage] Error al registrar llamada:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Asocia al ticket las llamadas de la conversación que lo generó: las de esa identidad sin ticket,
+ * posteriores al ticket anterior de la misma identidad.
+ * @param {string} phoneNumber - Identidad de la conversación (549..., tg:..., sms:...).
+ * @param {number} ticketId
+ * @returns {Promise<number>} Llamadas asociadas.
+ */
+async function attachLlmCallsToTicket(phoneNumber, ticketId) {
+    const query = `
+        UPDATE llm_calls SET ticket_id = $2
+        WHERE phone_number = $1
+          AND ticket_id IS NULL
+          AND created_at > COALESCE(
+              (SELECT MAX(created_at) FROM tickets WHERE phone_number = $1 AND id <> $2),
+              '-infinity'::timestamp
+          );
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, ticketId]);
+        return res.rowCount || 0;
+    } catch (err) {
+        console.error('[LLMUsage] Error al asociar llamadas al ticket:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Totales por día de los últimos `days` días (incluye hoy).
+ * @param {number} days
+ * @returns {Promise<Array<object>>}
+ */
+async function getLlmUsageByDay(days) {
+    const query = `
+        SELECT
+            TO_CHAR(DATE(created_at), 'YYYY-MM-DD') AS day,
+            COUNT(*)::int AS calls,
+            COUNT(*) FILTER (WHERE outcome = 'ok')::int AS ok,
+            COUNT(*) FILTER (WHERE outcome = 'safety')::int AS safety,
+            COUNT(*) FILTER (WHERE outcome = 'parse_error')::int AS parse_error,
+            COUNT(*) FILTER (WHERE outcome = 'error')::int AS error,
+            COUNT(*) FILTER (WHERE is_repair)::int AS repairs,
+            COALESCE(SUM(input_tokens), 0)::bigint AS input_tokens,
+            COALESCE(SUM(output_tokens), 0)::bigint AS output_tokens,
+            COALESCE(SUM(cost_usd), 0)::float AS cost_usd,
+            COUNT(*) FILTER (WHERE cost_usd IS NULL)::int AS unpriced_calls,
+            ROUND(AVG(latency_ms))::int AS avg_latency_ms,
+            ROUND(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY latency_ms))::int AS p95_latency_ms,
+            COUNT(DISTINCT phone_number)::int AS conversations,
+            COUNT(DISTINCT ticket_id)::int AS tickets
+        FROM llm_calls
+        WHERE created_at >= CURRENT_DATE - (($1::int - 1) * INTERVAL '1 day')
+        GROUP BY DATE(created_at)
+        ORDER BY DATE(created_at) DESC;
+    `;
+    try {
+        const res = await pool.query(query, [days]);
+        return res.rows.map((r) => ({
+            day: r.day,
+            calls: r.calls,
+            outcomes: { ok: r.ok, safety: r.safety, parse_error: r.parse_error, error: r.error },
+            repairs: r.repairs,
+            inputTokens: Number(r.input_tokens),
+            outputTokens: Number(r.output_tokens),
+            costUsd: r.cost_usd,
+            unpricedCalls: r.unpriced_calls,
+            avgLatencyMs: r.avg_latency_ms,
+            p95LatencyMs: r.p95_latency_ms,
+            conversations: r.conversations,
+            tickets: r.tickets
+        }));
+    } catch (err) {
+        console.error('[DB] Error en getLlmUsageByDay:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Costo de LLM de los tickets COMPLETADOS en los últimos `days` días (incluye hoy), total y por categoría.
+ * @param {number} days
+ * @returns {Promise<{ summary: object, byCategory: Array<object> }>}
+ */
+async function getLlmCostPerCompletedTicket(days) {
+    const query = `
+        WITH completed AS (
+            SELECT id, category FROM tickets
+            WHERE status = 'COMPLETADO' AND completed_at >= CURRENT_DATE - (($1::int - 1) * INTERVAL '1 day')
+        ),
+        per_ticket AS (
+            SELECT c.id, c.category,
+                   COUNT(l.id)::int AS calls,
+                   COALESCE(SUM(l.input_tokens + l.output_tokens), 0)::bigint AS tokens,
+                   COALESCE(SUM(l.cost_usd), 0)::float AS cost_usd
+            FROM completed c
+            LEFT JOIN llm_calls l ON l.ticket_id = c.id
+            GROUP BY c.id, c.category
+        )
+        SELECT
+            GROUPING(category) = 1 AS is_total,
+            category,
+            COUNT(*)::int AS completed_tickets,
+            COUNT(*) FILTER (WHERE calls > 0)::int AS tickets_with_llm,
+            COALESCE(SUM(calls), 0)::int AS calls,
+            COALESCE(SUM(tokens), 0)::bigint AS tokens,
+            COALESCE(SUM(cost_usd), 0)::float AS cost_usd,
+            COALESCE(AVG(cost_usd), 0)::float AS avg_cost_usd,
+            COALESCE(PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY cost_usd), 0)::float AS p95_cost_usd
+        FROM per_ticket
+        GROUP BY ROLLUP (category)
+        ORDER BY is_total DESC, cost_usd DESC;
+    `;
+    try {
+        const res = await pool.query(query, [days]);
+        const toStats = (r) => ({
+            completedTickets: r.completed_tickets,
+            ticketsWithLlm: r.tickets_with_llm,
+            calls: r.calls,
+            tokens: Number(r.tokens),
+            costUsd: r.cost_usd,
+            avgCostUsd: r.avg_cost_usd,
+            p95CostUsd: r.p95_cost_usd
+        });
+        const total = res.rows.find((r) => r.is_total);
+        return {
+            summary: total ? toStats(total) : toStats({ completed_tickets: 0, tickets_with_llm: 0, calls: 0, tokens: 0, cost_usd: 0, avg_cost_usd: 0, p95_cost_usd: 0 }),
+            byCategory: res.rows.filter((r) => !r.is_total).map((r) => ({ category: r.category, ...toStats(r) }))
+        };
+    } catch (err) {
+        console.error('[DB] Error en getLlmCostPerCompletedTicket:', err.message);
+        throw err;
+    }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// Provider Onboarding – Alta conversacional de profesionales (WhatsApp)
+// ══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {string} phoneNumber - Número canónico del profesional (549...).
+ * @returns {Promise<object|null>}
+ */
+async function getProviderOnboarding(phoneNumber) {
+    const query = 'SELECT * FROM provider_onboarding WHERE phone_number = $1;';
+    try {
+        const res = await pool.query(query, [phoneNumber]);
+        return res.rows[0] || null;
+    } catch (err) {
+        console.error('[Onboarding] Error al obtener alta en curso:', err.message);
+        throw err;
+    }
+}
+
+/**
+ * Crea o actualiza el alta de un profesional y marca updated_at = NOW().
+ * @param {string} phoneNumber
+ * @param {{ step: string, data?: object, status?: string, providerId?: number|null }} onboarding
+ * @returns {Promise<object>}
+ */
+async function saveProviderOnboarding(phoneNumber, { step, data = {}, status = 'in_progress', providerId = null }) {
+    const query = `
+        INSERT INTO provider_onboarding (phone_number, step, data, status, provider_id)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (phone_number) DO UPDATE
+        SET step = $2, data = $3, status = $4, provider_id = COALESCE($5, provider_onboarding.provider_id), updated_at = NOW()
+        RETURNING *;
+    `;
+    try {
+        const res = await pool.query(query, [phoneNumber, step, JSON.stringify(data || {}), status, providerId]);
+        return res.rows[0];
+    } catch (err) {
+        console.error('[Onboarding] Error al guardar alta:', err.message);
+        throw err;
+    }
+}
+
 module.exports = {
     getBehavioralMetrics,
     getActiveWorkersList,
@@ -1115,15 +2319,20 @@ module.exports = {
     getTicketById,
     updateTicketStatus,
     assignTicket,
+    assignOpenTicket,
+    setTicketOfferedProviders,
     completeTicket,
     getPendingAmountTicketByProviderPhone,
     updateTicketFinalAmount,
     getPendingReviewTicketByClientPhone,
     updateTicketClientRating,
-    normalizePhoneForLedger,
     getTicketsForGhostCheck,
     setGhostCheckSent,
     reopenTicketAfterGhost,
+    getOpenTicketsByPhone,
+    getLatestTicketByPhone,
+    cancelTicketByClient,
+    updateTicketUrgencyByClient,
     updateTicketCategorySlug,
     getShadowLedgerHealthMetrics,
     getUser,
@@ -1148,8 +2357,52 @@ module.exports = {
     getWorkerAchievementCounts,
     // Chat Logs
     saveChatLog,
+    updateChatLogDeliveryStatus,
     getChatLogsByPhone,
     getConversationsList,
     setBotPaused,
-    isBotPaused
+    isBotPaused,
+    // Processed Messages
+    claimProcessedMessage,
+    completeProcessedMessage,
+    failProcessedMessage,
+    claimInboundRetries,
+    purgeProcessedMessages,
+    getProcessedMessagesStats,
+    // Service Windows
+    touchServiceWindow,
+    getLastInboundAt,
+    // Outbox
+    insertOutboundMessage,
+    claimOutboundMessage,
+    claimDueOutboundMessages,
+    releaseStaleOutboundMessages,
+    markOutboundSent,
+    markOutboundRetry,
+    markOutboundDead,
+    deadLetterPendingForPhone,
+    // Notification Preferences
+    getNotificationPreferences,
+    upsertNotificationPreferences,
+    getEarningsByProvider,
+    // Communication Preferences
+    getCommunicationPreference,
+    setCommunicationPreference,
+    listCommunicationPreferences,
+    listOutboundMessages,
+    getOutboundStatusCounts,
+    resetOutboundMessage,
+    // AI Sessions
+    getAiSession,
+    saveAiSession,
+    deleteAiSession,
+    purgeExpiredAiSessions,
+    // LLM Calls
+    insertLlmCall,
+    attachLlmCallsToTicket,
+    getLlmUsageByDay,
+    getLlmCostPerCompletedTicket,
+    // Provider Onboarding
+    getProviderOnboarding,
+    saveProviderOnboarding
 };
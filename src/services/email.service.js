@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * Envío de emails (notificaciones a profesionales y admins).
+ *
+ * EMAIL_TRANSPORT — "smtp" o "file" (default: smtp si hay SMTP_HOST; si no, file fuera de producción; en
+ *   producción sin SMTP_HOST ni EMAIL_TRANSPORT los envíos fallan en vez de quedar escritos en disco).
+ * EMAIL_FROM — remitente (default "miservicio <no-reply@miservicio.ar>").
+ * SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" para 465), SMTP_USER, SMTP_PASS.
+ * EMAIL_MAILDIR — carpeta del transporte file, en formato maildir (default "tmp/maildir", ignorada por git):
+ *   cada mensaje se escribe como .eml en tmp/ y se mueve a new/, así cualquier cliente maildir lo puede abrir.
+ *
+ * Un transporte es un objeto { send(message) → Promise<{ messageId, location? }> } donde message es
+ * { from, to, subject, text, html }. Otros (SES, Postmark...) se registran con registerEmailTransport.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { renderEmailTemplate } = require('../config/emailTemplates');
+
+const DEFAULT_FROM = 'miservicio <no-reply@miservicio.ar>';
+
+let smtpTransporter = null;
+
+const smtpTransport = {
+    async send(message) {
+        if (!smtpTransporter) {
+            const user = (process.env.SMTP_USER || '').trim();
+            smtpTransporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: Number(process.env.SMTP_PORT) || 587,
+                secure: String(process.env.SMTP_SECURE || '').toLowerCase() === 'true',
+                auth: user ? { user, pass: process.env.SMTP_PASS || '' } : undefined,
+            });
+        }
+        const info = await smtpTransporter.sendMail(message);
+        return { messageId: info.messageId };
+    },
+};
+
+// Solo arma el MIME; no envía nada.
+const mimeBuilder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+const fileTransport = {
+    async send(message) {
+        const baseDir = process.env.EMAIL_MAILDIR || path.join('tmp', 'maildir');
+        const info = await mimeBuilder.sendMail(message);
+        const name = `${Date.now()}.${crypto.randomBytes(6).toString('hex')}.${os.hostname()}.eml`;
+        const tmpPath = path.join(baseDir, 'tmp', name);
+        const newPath = path.join(baseDir, 'new', name);
+        await fs.promises.mkdir(path.dirname(tmpPath), { recursive: true });
+        await fs.promises.mkdir(path.dirname(newPath), { recursive: true });
+        await fs.promises.mkdir(path.join(baseDir, 'cur'), { recursive: true });
+        await fs.promises.writeFile(tmpPath, info.message);
+        await fs.promises.rename(tmpPath, newPath);
+        return { messageId: info.messageId, location: newPath };
+    },
+};
+
+const transports = new Map([
+    ['smtp', smtpTransport],
+    ['file', fileTransport],
+]);
+
+/**
+ * Registra (o reemplaza) un transporte de email.
+ * @param {string} name
+ * @param {{ send: Function }} transport
+ */
+function registerEmailTransport(name, transport) {
+    if (!name || !transport || typeof transport.send !== 'function') {
+        throw new Error('Email transport must implement send()');
+    }
+    transports.set(name, transport);
+}
+
+/** Transporte a usar, o null si no hay ninguno configurado en producción. */
+function getTransportName() {
+    const configured = (process.env.EMAIL_TRANSPORT || '').trim().toLowerCase();
+    if (configured) return configured;
+    if (process.env.SMTP_HOST) return 'smtp';
+    return process.env.NODE_ENV === 'production' ? null : 'file';
+}
+
+function isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+/**
+ * Envía un email ya armado.
+ * @param {{ to: string|string[], subject: string, text: string, html?: string }} message
+ * @returns {Promise<{ success: boolean, messageId?: string, transport: string|null, error?: string }>}
+ */
+async function sendEmail({ to, subject, text, html }) {
+    const name = getTransportName();
+    if (!name) {
+        console.error('[Email] Sin transporte: definí SMTP_HOST o EMAIL_TRANSPORT en producción.', { to, subject });
+        return { success: false, transport: null, error: 'Email transport not configured' };
+    }
+    const recipients = (Array.isArray(to) ? to : [to]).filter(isValidEmail);
+    if (recipients.length === 0) {
+        return { success: false, transport: name, error: 'Invalid recipient' };
+    }
+    const transport = transports.get(name);
+    if (!transport) {
+        return { success: false, transport: name, error: `Unknown EMAIL_TRANSPORT: ${name}` };
+    }
+    try {
+        const result = await transport.send({
+            from: process.env.EMAIL_FROM || DEFAULT_FROM,
+            to: recipients.join(', '),
+            subject,
+            text,
+            html,
+        });
+        console.log('[Email] Enviado.', { transport: name, to: recipients, subject, location: result.location });
+        return { success: true, transport: name, messageId: result.messageId };
+    } catch (err) {
+        console.error('[Email] Error al enviar:', err.message, { transport: name, to: recipients, subject });
+        return { success: false, transport: name, error: err.message };
+    }
+}
+
+/**
+ * Renderiza una plantilla de config/emailTemplates y la envía.
+ * @param {string|string[]} to
+ * @param {string} templateKey
+ * @param {object} context
+ */
+async function sendTemplateEmail(to, templateKey, context = {}) {
+    const rendered = renderEmailTemplate(templateKey, context);
+    if (!rendered) {
+        return { success: false, transport: getTransportName(), error: `Unknown email template: ${templateKey}` };
+    }
+    return sendEmail({ to, ...rendered });
+}
+
+/** Destinatarios admin (ADMIN_NOTIFICATION_EMAILS, separados por coma). */
+function getAdminEmails() {
+    return (process.env.ADMIN_NOTIFICATION_EMAILS || '')
+        .split(',')
+        .map((e) => e.trim())
+        .filter(isValidEmail);
+}
+
+module.exports = {
+    sendEmail,
+    sendTemplateEmail,
+    registerEmailTransport,
+    getAdminEmails,
+    isValidEmail,
+};
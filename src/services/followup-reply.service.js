@@ -10,6 +10,9 @@
  *   sent + "4" → no_agreement → cierre (no penaliza)
  *   completed (esperando monto) + número → guarda amount_paid → envía link reseña
  *   completed (esperando monto) + "no"   → envía link reseña directamente
+ *
+ * Las respuestas desde la lista interactiva (list_reply / button_reply con id FOLLOWUP_<n>) entran
+ * como si se hubiera tipeado <n>, salvo que nunca se toman como monto.
  */
 
 const axios = require('axios');
@@ -21,6 +24,7 @@ const {
     sendGhostedClosure,
     sendNoAgreementClosure,
     sendWhatsAppText,
+    FOLLOWUP_REPLY_PREFIX,
 } = require('./whatsapp.service');
 
 const REVIEWS_SERVICE_URL = (process.env.REVIEWS_SERVICE_URL || '').replace(/\/+$/, '');
@@ -111,18 +115,35 @@ async function patchAmount(id, amount) {
     );
 }
 
+/**
+ * Respuesta canónica ("1".."4") de un id de opción interactiva, o null si no es del follow-up.
+ * @param {string} replyId
+ */
+function answerFromReplyId(replyId) {
+    if (typeof replyId !== 'string' || !replyId.startsWith(FOLLOWUP_REPLY_PREFIX)) return null;
+    const answer = replyId.slice(FOLLOWUP_REPLY_PREFIX.length);
+    return ['1', '2', '3', '4'].includes(answer) ? answer : null;
+}
+
 /**
  * @param {string} from  - Número normalizado (549...) del remitente.
  * @param {string} text  - Texto del mensaje.
+ * @param {object} [opts]
+ * @param {string} [opts.replyId] - Id de list_reply / button_reply (FOLLOWUP_<n>); tiene prioridad sobre text.
  * @returns {Promise<boolean>} true si se interceptó, false si no aplica.
  */
-async function checkAndProcessFollowupReply(from, text) {
-    if (!from || typeof text !== 'string' || !REVIEWS_SERVICE_URL) return false;
+async function checkAndProcessFollowupReply(from, text, { replyId } = {}) {
+    if (!from || !REVIEWS_SERVICE_URL) return false;
+
+    const replyAnswer = answerFromReplyId(replyId);
+    if (replyId && !replyAnswer) return false;
+    if (!replyAnswer && typeof text !== 'string') return false;
 
-    const trimmed = text.trim();
+    const trimmed = replyAnswer || text.trim();
 
     // ── Fase 2: el cliente está en el flujo de "¿cuánto cobró?" ──────────────
-    if (awaitingAmount.has(from)) {
+    // Una opción de la lista tocada tarde no es un monto: sigue a la Fase 1.
+    if (!replyAnswer && awaitingAmount.has(from)) {
         const { ciId, providerId, providerName } = awaitingAmount.get(from);
         awaitingAmount.delete(from);
 
@@ -204,4 +225,4 @@ async function checkAndProcessFollowupReply(from, text) {
     return true;
 }
 
-module.exports = { checkAndProcessFollowupReply };
+module.exports = { checkAndProcessFollowupReply, answerFromReplyId };
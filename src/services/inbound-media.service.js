@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Contenido entrante que no es texto: audio, imagen, ubicación y contactos.
+ * Convierte cada tipo en texto apto para la conversación con Gemini y en metadata para chat_logs.
+ * La media se descarga vía Graph API (GET /{media-id} → url temporal → binario) y se persiste con media-storage.
+ */
+
+const axios = require('axios');
+const { META_GRAPH_BASE } = require('./whatsapp-api.service');
+const { saveMedia } = require('./media-storage.service');
+const { transcribeAudio, describeImage } = require('./ai.service');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
+
+const token = process.env.META_WA_TOKEN;
+const DEFAULT_MAX_MEDIA_BYTES = 16 * 1024 * 1024; // límite de Meta para audio/video
+
+const SUPPORTED_TYPES = ['audio', 'image', 'location', 'contacts'];
+
+function getMaxMediaBytes() {
+    const v = Number(process.env.MEDIA_MAX_BYTES);
+    return Number.isFinite(v) && v > 0 ? v : DEFAULT_MAX_MEDIA_BYTES;
+}
+
+/**
+ * Indica si el mensaje trae contenido no textual que sabemos convertir.
+ * @param {object} message - Mensaje crudo de Meta.
+ */
+function isSupportedRichMessage(message) {
+    return SUPPORTED_TYPES.includes(message?.type);
+}
+
+/**
+ * Descarga un archivo de WhatsApp por media id.
+ * @param {string} mediaId
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, sha256?: string, fileSize?: number }>}
+ */
+async function downloadWhatsAppMedia(mediaId) {
+    if (!token) {
+        throw new Error('META_WA_TOKEN not configured');
+    }
+    const headers = { Authorization: `Bearer ${token}` };
+    const { data: info } = await axios.get(`${META_GRAPH_BASE}/${mediaId}`, { headers, timeout: 10_000 });
+    if (!info?.url) {
+        throw new Error('Media URL not returned by Graph API');
+    }
+    if (info.file_size && Number(info.file_size) > getMaxMediaBytes()) {
+        throw new Error(`Media too large (${info.file_size} bytes)`);
+    }
+
+    const { data } = await axios.get(info.url, {
+        headers,
+        responseType: 'arraybuffer',
+        timeout: 30_000,
+        maxContentLength: getMaxMediaBytes(),
+    });
+    return {
+        buffer: Buffer.from(data),
+        mimeType: info.mime_type,
+        sha256: info.sha256,
+        fileSize: info.file_size != null ? Number(info.file_size) : undefined,
+    };
+}
+
+/**
+ * Descarga y guarda la media del mensaje. Devuelve la metadata a registrar + el buffer para IA.
+ */
+async function fetchAndStoreMedia(media, type) {
+    const file = await downloadWhatsAppMedia(media.id);
+    const mimeType = file.mimeType || media.mime_type;
+    const stored = await saveMedia({ buffer: file.buffer, mimeType, mediaId: media.id });
+    return {
+        buffer: file.buffer,
+        mimeType,
+        metadata: {
+            id: media.id,
+            type,
+            mime_type: mimeType,
+            sha256: file.sha256 || media.sha256 || null,
+            file_size: file.fileSize ?? null,
+            storage: stored,
+        },
+    };
+}
+
+async function resolveAudio(message) {
+    const audio = message.audio || {};
+    try {
+        const { buffer, mimeType, metadata } = await fetchAndStoreMedia(audio, 'audio');
+        const transcript = await transcribeAudio(buffer, mimeType, { phoneNumber: toCanonicalPhone(message.from) || message.from });
+        metadata.voice = !!audio.voice;
+        metadata.transcript = transcript;
+        if (!transcript) {
+            return {
+                text: '[El cliente envió un audio que no se pudo transcribir. Pedile amablemente que lo escriba.]',
+                logBody: '[audio]',
+                metadata: { media: metadata },
+            };
+        }
+        return { text: transcript, logBody: `[audio] ${transcript}`, metadata: { media: metadata } };
+    } catch (err) {
+        console.error('[InboundMedia] Error procesando audio:', err.message, { mediaId: audio.id });
+        return {
+            text: '[El cliente envió un audio que no se pudo procesar. Pedile amablemente que lo escriba.]',
+            logBody: '[audio]',
+            metadata: { media: { id: audio.id || null, type: 'audio', error: err.message } },
+        };
+    }
+}
+
+async function resolveImage(message) {
+    const image = message.image || {};
+    const caption = image.caption ? String(image.caption).trim() : '';
+    try {
+        const { buffer, mimeType, metadata } = await fetchAndStoreMedia(image, 'image');
+        const description = await describeImage(buffer, mimeType, caption, { phoneNumber: toCanonicalPhone(message.from) || message.from });
+        metadata.caption = caption || null;
+        metadata.description = description;
+        const parts = [];
+        if (caption) parts.push(caption);
+        if (description) parts.push(`[Foto enviada por el cliente: ${description}]`);
+        if (parts.length === 0) parts.push('[El cliente envió una foto sin texto. Preguntale qué necesita.]');
+        return {
+            text: parts.join('\n'),
+            logBody: caption ? `[image] ${caption}` : '[image]',
+            metadata: { media: metadata },
+        };
+    } catch (err) {
+        console.error('[InboundMedia] Error procesando imagen:', err.message, { mediaId: image.id });
+        return {
+            text: caption || '[El cliente envió una foto que no se pudo procesar. Preguntale qué necesita.]',
+            logBody: caption ? `[image] ${caption}` : '[image]',
+            metadata: { media: { id: image.id || null, type: 'image', caption: caption || null, error: err.message } },
+        };
+    }
+}
+
+function resolveLocation(message) {
+    const loc = message.location || {};
+    const lat = Number(loc.latitude);
+    const lng = Number(loc.longitude);
+    const hasCoords = Number.isFinite(lat) && Number.isFinite(lng);
+    const label = [loc.name, loc.address].filter(Boolean).join(', ');
+    const coords = hasCoords ? `${lat.toFixed(5)}, ${lng.toFixed(5)}` : '';
+    const zone = label || (coords ? `Ubicación ${coords}` : '');
+    return {
+        text: zone ? `📍 Ubicación compartida: ${zone}` : '[El cliente compartió una ubicación vacía.]',
+        logBody: zone ? `[location] ${zone}` : '[location]',
+        zone: zone || null,
+        metadata: {
+            location: {
+                latitude: hasCoords ? lat : null,
+                longitude: hasCoords ? lng : null,
+                name: loc.name || null,
+                address: loc.address || null,
+                url: loc.url || null,
+            },
+        },
+    };
+}
+
+function resolveContacts(message) {
+    const contacts = Array.isArray(message.contacts) ? message.contacts : [];
+    const summarized = contacts.map((c) => ({
+        name: c?.name?.formatted_name || [c?.name?.first_name, c?.name?.last_name].filter(Boolean).join(' ') || null,
+        phones: (Array.isArray(c?.phones) ? c.phones : []).map((ph) => ph.phone || ph.wa_id).filter(Boolean),
+    }));
+    const lines = summarized.map((c) => [c.name, c.phones.join(' / ')].filter(Boolean).join(' '));
+    const joined = lines.filter(Boolean).join('; ');
+    return {
+        text: joined ? `[Contacto compartido por el cliente: ${joined}]` : '[El cliente compartió un contacto vacío.]',
+        logBody: joined ? `[contacts] ${joined}` : '[contacts]',
+        metadata: { contacts: summarized },
+    };
+}
+
+/**
+ * Convierte un mensaje no textual en el texto que alimenta a la conversación.
+ * Nunca lanza: ante errores devuelve un texto que le indica al bot pedir que lo escriban.
+ *
+ * @param {object} message - Mensaje crudo de Meta (audio | image | location | contacts).
+ * @returns {Promise<{ text: string, logBody: string, metadata: object, zone?: string|null }>}
+ */
+async function resolveInboundContent(message) {
+    switch (message?.type) {
+        case 'audio':
+            return resolveAudio(message);
+        case 'image':
+            return resolveImage(message);
+        case 'location':
+            return resolveLocation(message);
+        case 'contacts':
+            return resolveContacts(message);
+        default:
+            return { text: '', logBody: `[${message?.type}]`, metadata: {} };
+    }
+}
+
+module.exports = {
+    isSupportedRichMessage,
+    resolveInboundContent,
+    downloadWhatsAppMedia,
+};
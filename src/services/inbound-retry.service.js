@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Reintentos de mensajes entrantes (WhatsApp, Telegram, SMS).
+ *
+ * Los webhooks responden 200 antes de procesar (Meta y Telegram piden respuesta rápida), así que el
+ * proveedor nunca vuelve a entregar un mensaje cuyo procesamiento falló. El reintento es nuestro: el
+ * mensaje se reclama en processed_messages con su payload; si un interceptor lanza queda en failed con
+ * backoff y el cron lo vuelve a procesar; tras INBOUND_MAX_ATTEMPTS intentos (default 5) queda en dead.
+ * Un claim de un proceso que murió a mitad de camino (processing con el lease vencido) también se retoma.
+ * Un mensaje reintentado puede procesarse después de otros posteriores del mismo remitente.
+ *
+ * Cada canal registra cómo reprocesar su payload: registerInboundHandler(payload.source, handler).
+ */
+
+const db = require('./db.service');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BATCH_SIZE = 20;
+
+const handlers = new Map();
+
+function getMaxAttempts() {
+    const v = Number(process.env.INBOUND_MAX_ATTEMPTS);
+    return Number.isFinite(v) && v > 0 ? v : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * @param {string} source - Valor de payload.source ('whatsapp', 'channel').
+ * @param {(payload: object) => Promise<void>} handler - Procesa el mensaje; lanza si falla.
+ */
+function registerInboundHandler(source, handler) {
+    handlers.set(source, handler);
+}
+
+/**
+ * Procesa un mensaje ya reclamado (claimProcessedMessage) con el handler de su canal y deja el resultado
+ * en processed_messages: done, o failed / dead si el handler lanzó.
+ * @param {string} messageId - wamid o id externo prefijado por canal.
+ * @param {{ source: string }} payload
+ * @returns {Promise<boolean>} true si se procesó completo.
+ */
+async function runClaimedInbound(messageId, payload) {
+    try {
+        const handler = handlers.get(payload?.source);
+        if (!handler) throw new Error(`No hay handler registrado para "${payload?.source}"`);
+        await handler(payload);
+        await db.completeProcessedMessage(messageId);
+        return true;
+    } catch (err) {
+        const row = await db.failProcessedMessage(messageId, err.message, getMaxAttempts());
+        if (row?.status === 'dead') {
+            console.error('[InboundRetry] Mensaje entrante descartado tras agotar los reintentos.', { id: messageId, attempts: row.attempts, error: err.message });
+        } else {
+            console.warn('[InboundRetry] Mensaje entrante fallido, se reintentará.', { id: messageId, attempts: row?.attempts, error: err.message });
+        }
+        return false;
+    }
+}
+
+let running = false;
+
+/**
+ * Reprocesa los mensajes entrantes vencidos, en orden de llegada.
+ * Llamado por el cron de processed_messages; no corre en paralelo consigo mismo.
+ * @returns {Promise<{ processed: number, succeeded: number }>}
+ */
+async function processInboundRetries() {
+    if (running) return { processed: 0, succeeded: 0 };
+    running = true;
+    let processed = 0;
+    let succeeded = 0;
+    try {
+        const rows = await db.claimInboundRetries(RETRY_BATCH_SIZE, getMaxAttempts());
+        for (const row of rows) {
+            if (await runClaimedInbound(row.wamid, row.payload)) succeeded++;
+            processed++;
+        }
+    } finally {
+        running = false;
+    }
+    return { processed, succeeded };
+}
+
+module.exports = {
+    registerInboundHandler,
+    runClaimedInbound,
+    processInboundRetries,
+};
@@ -1,8 +1,12 @@
 'use strict';
 
 const { getPendingAmountTicketByProviderPhone, updateTicketFinalAmount } = require('./db.service');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
 const { sendWhatsAppText } = require('./whatsapp.service');
+const { isWhatsAppIdentity } = require('./channel.service');
+const { MESSAGE_PURPOSES } = require('./communication-preferences.service');
 const { emitCreditEvent } = require('./credit.service');
+const { notifyProvider, notifyAdmins } = require('./provider-notification.service');
 
 const MSG_ASK_AMOUNT = 'Por favor, respondeme solo con el número del monto que cobraste (ej: 15000).';
 const MSG_CONFIRM_TEMPLATE = (amount) => `¡Excelente! 💸 Ya registramos tu ingreso de $${amount}. Esto te ayuda a construir tu historial financiero en miservicio. ¡A seguir creciendo!`;
@@ -20,12 +24,11 @@ const MSG_ASK_CLIENT_RATING = '¡Hola! Vimos que el servicio con tu profesional
 async function checkAndProcessProviderAmount(phoneNumber, messageText) {
     if (!phoneNumber || typeof messageText !== 'string') return false;
 
-    const digits = String(phoneNumber).replace(/\D/g, '');
-    const phoneSuffix = digits.slice(-10);
-    if (phoneSuffix.length !== 10) return false;
+    const canonicalPhone = toCanonicalPhone(phoneNumber);
+    if (!canonicalPhone) return false;
 
-    // Paso A + B: Ticket pendiente de cobro para este profesional (búsqueda por últimos 10 dígitos)
-    const ticket = await getPendingAmountTicketByProviderPhone(phoneSuffix);
+    // Paso A + B: Ticket pendiente de cobro para este profesional (match exacto por número canónico)
+    const ticket = await getPendingAmountTicketByProviderPhone(canonicalPhone);
     if (!ticket) return false;
 
     const text = messageText.trim();
@@ -57,12 +60,28 @@ async function checkAndProcessProviderAmount(phoneNumber, messageText) {
     await sendWhatsAppText(phoneNumber, MSG_CONFIRM_TEMPLATE(formattedAmount));
 
     // Paso F: Pedir calificación al cliente (Shadow Ledger - validación)
+    // El interceptor de reseñas solo escucha WhatsApp: a clientes de otros canales no se les pide la nota.
     const clientPhone = ticket.phone_number;
-    if (clientPhone) {
-        await sendWhatsAppText(clientPhone, MSG_ASK_CLIENT_RATING);
+    if (clientPhone && isWhatsAppIdentity(clientPhone)) {
+        // Proactivo para el cliente (lo dispara el mensaje del profesional): respeta el horario de entrega.
+        await sendWhatsAppText(clientPhone, MSG_ASK_CLIENT_RATING, { purpose: MESSAGE_PURPOSES.ENGAGEMENT, proactive: true });
     }
 
-    console.log('[Ledger] GMV registrado.', { ticketId: ticket.id, amount: formattedAmount, providerSuffix: phoneSuffix });
+    console.log('[Ledger] GMV registrado.', { ticketId: ticket.id, amount: formattedAmount, provider: canonicalPhone });
+
+    // Paso G: Comprobante por email (si el profesional lo eligió) y copia a admins
+    if (ticket.provider_id) {
+        const receipt = {
+            providerName: ticket.provider_name,
+            ticketId: ticket.id,
+            category: ticket.category,
+            amount
+        };
+        notifyProvider(ticket.provider_id, { email: { template: 'ticket_completion_receipt', context: receipt } })
+            .catch(err => console.error('[Ledger] Error enviando comprobante:', err.message));
+        notifyAdmins('ticket_completion_receipt', receipt)
+            .catch(err => console.error('[Ledger] Error enviando copia a admins:', err.message));
+    }
 
     // Credit History: PAYMENT_REPORTED
     if (ticket.provider_id) {
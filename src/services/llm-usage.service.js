@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Contabilidad de llamadas a LLM: tokens, latencia, resultado y costo estimado, en la tabla llm_calls.
+ *
+ * Cada llamada a un proveedor (incluidos los reintentos de repair y las que fallan) queda registrada con
+ * la identidad de la conversación; al guardarse el ticket se le asocian las llamadas que lo generaron.
+ *
+ * LLM_USAGE_TRACKING — "off" desactiva el registro (default on; la evaluación offline lo apaga).
+ * LLM_PRICING — JSON con precios en USD por millón de tokens, que se suma a (y pisa) los defaults:
+ *   {"gemini-2.5-flash": {"input": 0.30, "output": 2.50}}. El modelo se busca por prefijo más largo
+ *   ("gpt-4o-mini-2024-07-18" usa "gpt-4o-mini"). Un modelo sin precio se guarda con cost_usd NULL.
+ *   Audio e imágenes se estiman con el precio de texto.
+ */
+
+const { insertLlmCall, attachLlmCallsToTicket, getLlmUsageByDay, getLlmCostPerCompletedTicket } = require('./db.service');
+
+const OUTCOMES = ['ok', 'safety', 'parse_error', 'error'];
+const MAX_ERROR_LENGTH = 500;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 365;
+
+// USD por millón de tokens (precios de lista, sin caché de contexto).
+const DEFAULT_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    rules: { input: 0, output: 0 },
+};
+
+const warnedUnpricedModels = new Set();
+
+function isTrackingEnabled() {
+    const value = (process.env.LLM_USAGE_TRACKING || '').trim().toLowerCase();
+    return !['off', 'false', '0'].includes(value);
+}
+
+/** Precios vigentes: defaults + LLM_PRICING (un JSON inválido se ignora con un warning). */
+function getLlmPricing() {
+    const raw = (process.env.LLM_PRICING || '').trim();
+    if (!raw) return { ...DEFAULT_PRICING };
+    try {
+        const overrides = JSON.parse(raw);
+        const pricing = { ...DEFAULT_PRICING };
+        for (const [model, price] of Object.entries(overrides || {})) {
+            const input = Number(price?.input);
+            const output = Number(price?.output);
+            if (Number.isFinite(input) && Number.isFinite(output)) pricing[model] = { input, output };
+            else console.warn(`[LLMUsage] Precio inválido en LLM_PRICING para "${model}", se ignora.`);
+        }
+        return pricing;
+    } catch (err) {
+        console.warn('[LLMUsage] LLM_PRICING no es JSON válido, se usan los precios por defecto:', err.message);
+        return { ...DEFAULT_PRICING };
+    }
+}
+
+/**
+ * Costo estimado en USD de una llamada.
+ * @param {string|null} model
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number|null} null si el modelo no tiene precio configurado.
+ */
+function estimateCostUsd(model, inputTokens, outputTokens) {
+    if (!model) return null;
+    const pricing = getLlmPricing();
+    const key = Object.keys(pricing)
+        .filter((name) => model === name || model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    if (!key) {
+        if (!warnedUnpricedModels.has(model)) {
+            warnedUnpricedModels.add(model);
+            console.warn(`[LLMUsage] Modelo sin precio configurado (agregarlo a LLM_PRICING): ${model}`);
+        }
+        return null;
+    }
+    const { input, output } = pricing[key];
+    return Number((((inputTokens || 0) * input + (outputTokens || 0) * output) / 1_000_000).toFixed(6));
+}
+
+function toTokenCount(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+/**
+ * Registra una llamada (best-effort: un error de DB se loguea y no corta la conversación).
+ * @param {object} call
+ * @param {string} call.provider
+ * @param {string|null} [call.model]
+ * @param {string} call.task - 'intake' | 'summary' | 'transcription' | 'image'.
+ * @param {'ok'|'safety'|'parse_error'|'error'} call.outcome
+ * @param {{ inputTokens?: number, outputTokens?: number }} [call.usage]
+ * @param {number} [call.latencyMs]
+ * @param {{ phoneNumber?: string, ticketId?: number, promptVersion?: string, promptHash?: string }} [call.meta]
+ * @param {boolean} [call.isRepair]
+ * @param {string|null} [call.error]
+ */
+async function recordLlmCall({ provider, model = null, task, outcome, usage = {}, latencyMs = 0, meta = {}, isRepair = false, error = null }) {
+    if (!isTrackingEnabled()) return;
+    if (!OUTCOMES.includes(outcome)) {
+        console.warn(`[LLMUsage] Resultado desconocido "${outcome}", se registra como error.`);
+        outcome = 'error';
+    }
+    const inputTokens = toTokenCount(usage?.inputTokens);
+    const outputTokens = toTokenCount(usage?.outputTokens);
+    try {
+        await insertLlmCall({
+            phoneNumber: meta?.phoneNumber || null,
+            ticketId: meta?.ticketId || null,
+            provider,
+            model,
+            task: task || 'unknown',
+            promptVersion: meta?.promptVersion || null,
+            promptHash: meta?.promptHash || null,
+            isRepair: Boolean(isRepair),
+            inputTokens,
+            outputTokens,
+            latencyMs: Math.max(0, Math.round(latencyMs || 0)),
+            outcome,
+            error: error ? String(error).slice(0, MAX_ERROR_LENGTH) : null,
+            costUsd: estimateCostUsd(model, inputTokens, outputTokens),
+        });
+    } catch (err) {
+        console.error('[LLMUsage] No se pudo registrar la llamada:', err.message);
+    }
+}
+
+/**
+ * Asocia al ticket recién creado las llamadas de la conversación (best-effort).
+ * @param {string} phoneNumber - Identidad de la conversación.
+ * @param {number} ticketId
+ */
+async function linkLlmCallsToTicket(phoneNumber, ticketId) {
+    if (!isTrackingEnabled() || !phoneNumber || !ticketId) return 0;
+    try {
+        const linked = await attachLlmCallsToTicket(phoneNumber, ticketId);
+        console.log('[LLMUsage] Llamadas asociadas al ticket.', { ticketId, linked });
+        return linked;
+    } catch (err) {
+        console.error('[LLMUsage] No se pudieron asociar las llamadas al ticket:', err.message);
+        return 0;
+    }
+}
+
+function clampDays(value) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) return DEFAULT_REPORT_DAYS;
+    return Math.min(n, MAX_REPORT_DAYS);
+}
+
+/**
+ * Reporte para presupuestar el bot: totales por día y costo por ticket completado.
+ * fullyLoadedCostPerCompletedTicketUsd reparte todo el gasto del período (incluidas las charlas
+ * que no terminaron en ticket) entre los tickets completados.
+ * @param {{ days?: number }} [opts]
+ */
+async function getLlmUsageReport({ days } = {}) {
+    const windowDays = clampDays(days);
+    const [daily, completed] = await Promise.all([
+        getLlmUsageByDay(windowDays),
+        getLlmCostPerCompletedTicket(windowDays),
+    ]);
+    const totals = daily.reduce((acc, d) => {
+        acc.calls += d.calls;
+        acc.inputTokens += d.inputTokens;
+        acc.outputTokens += d.outputTokens;
+        acc.costUsd += d.costUsd;
+        acc.unpricedCalls += d.unpricedCalls;
+        for (const outcome of OUTCOMES) acc.outcomes[outcome] += d.outcomes[outcome];
+        return acc;
+    }, { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0, outcomes: Object.fromEntries(OUTCOMES.map((o) => [o, 0])) });
+    totals.costUsd = Number(totals.costUsd.toFixed(6));
+
+    const completedTickets = completed.summary.completedTickets;
+    return {
+        days: windowDays,
+        currency: 'USD',
+        totals,
+        perCompletedTicket: {
+            ...completed.summary,
+            fullyLoadedCostPerCompletedTicketUsd: completedTickets ? Number((totals.costUsd / completedTickets).toFixed(6)) : null,
+            byCategory: completed.byCategory,
+        },
+        daily,
+        pricing: getLlmPricing(),
+    };
+}
+
+module.exports = {
+    getLlmPricing,
+    estimateCostUsd,
+    recordLlmCall,
+    linkLlmCallsToTicket,
+    getLlmUsageReport,
+};
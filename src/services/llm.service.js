@@ -0,0 +1,370 @@
+'use strict';
+
+/**
+ * Proveedores de LLM para el bot de tickets, con orden primario → fallbacks.
+ *
+ * LLM_PROVIDERS — orden separado por comas (default "gemini,rules"). Se usa el primero configurado;
+ *   si falla (error de red/API o respuesta que no pasa el parse del caller) se prueba el siguiente.
+ *   Un bloqueo de safety no pasa al siguiente proveedor: se respeta.
+ * GEMINI_API_KEY / GEMINI_MODEL (default gemini-2.5-flash).
+ * OPENAI_API_KEY / OPENAI_BASE_URL (default https://api.openai.com/v1) / OPENAI_MODEL (default gpt-4o-mini):
+ *   cualquier endpoint compatible con POST /chat/completions (OpenAI, OpenRouter, vLLM, Ollama...).
+ *   Con OPENAI_BASE_URL propio la key es opcional.
+ * "rules" — extractor determinístico sin red (rule-based-intake.service): siempre configurado.
+ *
+ * OPENAI_RESPONSE_FORMAT — "json_schema" (default) o "json_object" para endpoints sin salida estructurada.
+ *
+ * Un proveedor es { isConfigured() → boolean, generate(request) → Promise<{ text, model, usage? }> },
+ * con usage = { inputTokens, outputTokens }.
+ * request: { task: 'intake' | 'summary', systemInstruction, contents (formato Gemini: { role, parts }),
+ *   responseSchema (JSON Schema de la salida estructurada, opcional), context,
+ *   meta ({ phoneNumber, promptVersion, promptHash }, para la contabilidad; opcional) }.
+ *
+ * Si la salida no pasa opts.parse, se reintenta una vez con el mismo proveedor pasándole el error
+ * (repair); si vuelve a fallar se lanza LlmOutputError y el caller decide la respuesta segura.
+ *
+ * Cada llamada a un proveedor (repairs y fallidas incluidas) se registra en llm-usage.service con
+ * tokens, latencia y resultado (ok / safety / parse_error / error).
+ */
+
+const axios = require('axios');
+const { GoogleGenAI } = require('@google/genai');
+const { generateRuleBasedTurn } = require('./rule-based-intake.service');
+const { recordLlmCall } = require('./llm-usage.service');
+
+const DEFAULT_PROVIDER_ORDER = 'gemini,rules';
+const OPENAI_TIMEOUT_MS = 30000;
+
+const GEMINI_SAFETY_SETTINGS = [
+    { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+    { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+const SAFETY_FINISH_REASONS = ['SAFETY', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+/** El proveedor rechazó el contenido (safety): no se reintenta con otro. */
+class LlmSafetyError extends Error {
+    constructor(message, { provider, model, usage } = {}) {
+        super(message);
+        this.name = 'LlmSafetyError';
+        this.provider = provider || null;
+        this.model = model || null;
+        this.usage = usage || null;
+    }
+}
+
+/** La salida no pasó la validación ni después del intento de repair. */
+class LlmOutputError extends Error {
+    constructor(message, { provider, output } = {}) {
+        super(message);
+        this.name = 'LlmOutputError';
+        this.provider = provider || null;
+        this.output = output || null;
+    }
+}
+
+// ── Gemini ──
+
+let geminiClient = null;
+
+function getGeminiClient() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) return null;
+    if (!geminiClient) geminiClient = new GoogleGenAI({ apiKey });
+    return geminiClient;
+}
+
+function getGeminiModel() {
+    return (process.env.GEMINI_MODEL || '').trim() || 'gemini-2.5-flash';
+}
+
+/** usageMetadata de Gemini → { inputTokens, outputTokens } (los tokens de razonamiento se facturan como salida). */
+function getGeminiUsage(response) {
+    const usage = response?.usageMetadata || {};
+    return {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+    };
+}
+
+/** Errores del SDK que corresponden a contenido bloqueado (prompt o respuesta). */
+function looksLikeSafetyBlock(err) {
+    const raw = `${err?.message || ''} ${JSON.stringify(err || {})}`.toLowerCase();
+    return (
+        raw.includes('safety') ||
+        raw.includes('blocked') ||
+        raw.includes('harm') ||
+        raw.includes('prompt_feedback') ||
+        raw.includes('finishreason')
+    );
+}
+
+const geminiProvider = {
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    async generate({ systemInstruction, contents, responseSchema }) {
+        const model = getGeminiModel();
+        const config = { systemInstruction, safetySettings: GEMINI_SAFETY_SETTINGS };
+        if (responseSchema) {
+            config.responseMimeType = 'application/json';
+            config.responseJsonSchema = responseSchema;
+        }
+        let response;
+        try {
+            response = await getGeminiClient().models.generateContent({ model, contents, config });
+        } catch (err) {
+            if (looksLikeSafetyBlock(err)) throw new LlmSafetyError(err.message, { provider: 'gemini', model });
+            throw err;
+        }
+        const usage = getGeminiUsage(response);
+        const text = (response.text || '').trim();
+        if (!text) {
+            const finishReason = response.candidates?.[0]?.finishReason;
+            const reason = response.promptFeedback?.blockReason || (SAFETY_FINISH_REASONS.includes(finishReason) ? finishReason : null);
+            if (reason) throw new LlmSafetyError(`Gemini blocked the response: ${reason}`, { provider: 'gemini', model, usage });
+            const err = new Error('Gemini returned an empty response');
+            err.model = model;
+            err.usage = usage;
+            throw err;
+        }
+        return { text, model, usage };
+    },
+};
+
+// ── OpenAI-compatible ──
+
+function getOpenAiConfig() {
+    return {
+        baseUrl: ((process.env.OPENAI_BASE_URL || '').trim() || 'https://api.openai.com/v1').replace(/\/$/, ''),
+        apiKey: (process.env.OPENAI_API_KEY || '').trim(),
+        model: (process.env.OPENAI_MODEL || '').trim() || 'gpt-4o-mini',
+        responseFormat: (process.env.OPENAI_RESPONSE_FORMAT || '').trim().toLowerCase() || 'json_schema',
+    };
+}
+
+/** contents de Gemini → messages de chat/completions. */
+function toChatMessages(systemInstruction, contents) {
+    const messages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+    for (const item of contents || []) {
+        messages.push({
+            role: item.role === 'model' ? 'assistant' : 'user',
+            content: (item.parts || []).map((p) => p.text || '').join('\n')
+        });
+    }
+    return messages;
+}
+
+const openAiProvider = {
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+    async generate({ task, systemInstruction, contents, responseSchema }) {
+        const { baseUrl, apiKey, model, responseFormat } = getOpenAiConfig();
+        const body = { model, messages: toChatMessages(systemInstruction, contents) };
+        if (responseSchema && responseFormat === 'json_schema') {
+            body.response_format = { type: 'json_schema', json_schema: { name: `${task || 'response'}_output`, schema: responseSchema, strict: true } };
+        } else if (responseSchema || task === 'intake') {
+            body.response_format = { type: 'json_object' };
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const res = await axios.post(`${baseUrl}/chat/completions`, body, { headers, timeout: OPENAI_TIMEOUT_MS });
+        const choice = res.data?.choices?.[0];
+        const usage = {
+            inputTokens: res.data?.usage?.prompt_tokens || 0,
+            outputTokens: res.data?.usage?.completion_tokens || 0,
+        };
+        const responseModel = res.data?.model || model;
+        if (choice?.finish_reason === 'content_filter') {
+            throw new LlmSafetyError('OpenAI-compatible provider filtered the response', { provider: 'openai', model: responseModel, usage });
+        }
+        const text = String(choice?.message?.content || '').trim();
+        if (!text) {
+            const err = new Error('OpenAI-compatible provider returned an empty response');
+            err.model = responseModel;
+            err.usage = usage;
+            throw err;
+        }
+        return { text, model: responseModel, usage };
+    },
+};
+
+// ── Rule-based ──
+
+const rulesProvider = {
+    isConfigured: () => true,
+    async generate(request) {
+        return { text: generateRuleBasedTurn(request), model: 'rules', usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+};
+
+const providers = new Map([
+    ['gemini', geminiProvider],
+    ['openai', openAiProvider],
+    ['rules', rulesProvider],
+]);
+
+/**
+ * Registra (o reemplaza) un proveedor.
+ * @param {string} name
+ * @param {{ isConfigured: Function, generate: Function }} provider
+ */
+function registerLlmProvider(name, provider) {
+    if (!name || !provider || typeof provider.generate !== 'function' || typeof provider.isConfigured !== 'function') {
+        throw new Error('LLM provider must implement isConfigured() and generate()');
+    }
+    providers.set(name, provider);
+}
+
+/** Proveedor registrado por nombre (o undefined). */
+function getLlmProvider(name) {
+    return providers.get(name);
+}
+
+/** Orden configurado (nombres desconocidos se ignoran con un warning). */
+function getProviderOrder() {
+    const names = (process.env.LLM_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+        .split(',')
+        .map((n) => n.trim().toLowerCase())
+        .filter(Boolean);
+    return names.filter((name) => {
+        if (providers.has(name)) return true;
+        console.warn(`[LLM] Proveedor desconocido en LLM_PROVIDERS: ${name}`);
+        return false;
+    });
+}
+
+/** Proveedores del orden configurado que pueden usarse ahora. */
+function getAvailableProviders() {
+    return getProviderOrder().filter((name) => providers.get(name).isConfigured());
+}
+
+/** Registra una llamada en la contabilidad de uso. */
+function track(name, request, { model, usage, latencyMs, outcome, error }) {
+    return recordLlmCall({
+        provider: name,
+        model: model || null,
+        task: request.task,
+        outcome,
+        usage,
+        latencyMs,
+        meta: request.meta,
+        isRepair: Boolean(request.repair),
+        error: error ? error.message || String(error) : null,
+    });
+}
+
+/**
+ * Llama al proveedor midiendo la latencia. Los errores se registran acá (safety / error);
+ * las respuestas las registra el caller una vez que sabe si el parse pasó.
+ * @returns {Promise<{ text: string, model: string, usage: object|null, latencyMs: number }>}
+ */
+async function callProvider(name, request) {
+    const startedAt = Date.now();
+    try {
+        const result = await providers.get(name).generate(request);
+        return { ...result, usage: result.usage || null, latencyMs: Date.now() - startedAt };
+    } catch (err) {
+        await track(name, request, {
+            model: err.model,
+            usage: err.usage,
+            latencyMs: Date.now() - startedAt,
+            outcome: err instanceof LlmSafetyError ? 'safety' : 'error',
+            error: err,
+        });
+        throw err;
+    }
+}
+
+/**
+ * Parsea la salida; si falla, pide al mismo proveedor una corrección con el error como contexto.
+ * @returns {Promise<{ text: string, parsed: any }>}
+ */
+async function parseWithRepair(name, request, result, opts) {
+    const { text } = result;
+    try {
+        const parsed = opts.parse(text);
+        await track(name, request, { ...result, outcome: 'ok' });
+        return { text, parsed };
+    } catch (firstErr) {
+        await track(name, request, { ...result, outcome: 'parse_error', error: firstErr });
+        if (!opts.repairPrompt) throw firstErr;
+        console.warn(`[LLM] Salida inválida de "${name}", se pide corrección.`, { task: request.task, error: firstErr.message });
+        const repairRequest = {
+            ...request,
+            contents: [
+                ...(request.contents || []),
+                { role: 'model', parts: [{ text }] },
+                { role: 'user', parts: [{ text: opts.repairPrompt(firstErr) }] }
+            ],
+            repair: true
+        };
+        const repaired = await callProvider(name, repairRequest);
+        try {
+            const parsed = opts.parse(repaired.text);
+            await track(name, repairRequest, { ...repaired, outcome: 'ok' });
+            return { text: repaired.text, parsed };
+        } catch (secondErr) {
+            await track(name, repairRequest, { ...repaired, outcome: 'parse_error', error: secondErr });
+            throw new LlmOutputError(`Invalid output after repair: ${secondErr.message}`, { provider: name, output: repaired.text });
+        }
+    }
+}
+
+/**
+ * Genera con el primer proveedor disponible y cae al siguiente ante error.
+ * @param {object} request - { task, systemInstruction, contents, responseSchema, context, meta }
+ * @param {object} [opts]
+ * @param {(text: string) => any} [opts.parse] - Valida/parsea la salida (lanza si no sirve).
+ * @param {(err: Error) => string} [opts.repairPrompt] - Con parse: mensaje para el reintento de corrección.
+ *   Sin repairPrompt, una salida inválida pasa al siguiente proveedor.
+ * @returns {Promise<{ text: string, parsed: any, provider: string, model: string }>}
+ * @throws {LlmSafetyError} si un proveedor bloqueó el contenido.
+ * @throws {LlmOutputError} si la salida siguió inválida después del repair.
+ * @throws {Error} si no hay proveedores disponibles o fallaron todos (err.attempts con el detalle).
+ */
+async function generate(request, opts = {}) {
+    const available = getAvailableProviders();
+    if (available.length === 0) {
+        const err = new Error('No LLM provider configured');
+        err.code = 'ai_not_configured';
+        throw err;
+    }
+
+    const attempts = [];
+    for (const name of available) {
+        try {
+            const result = await callProvider(name, request);
+            const { model } = result;
+            let text = result.text;
+            let parsed = result.text;
+            if (opts.parse) {
+                ({ text, parsed } = await parseWithRepair(name, request, result, opts));
+            } else {
+                await track(name, request, { ...result, outcome: 'ok' });
+            }
+            if (attempts.length > 0) {
+                console.warn(`[LLM] Respuesta obtenida con fallback "${name}".`, { task: request.task, failed: attempts.map((a) => a.provider) });
+            }
+            return { text, parsed, provider: name, model };
+        } catch (err) {
+            if (err instanceof LlmSafetyError || err instanceof LlmOutputError) throw err;
+            console.error(`[LLM] Error con proveedor "${name}":`, err.message);
+            attempts.push({ provider: name, error: err.message });
+        }
+    }
+    const err = new Error(`All LLM providers failed: ${attempts.map((a) => `${a.provider}: ${a.error}`).join('; ')}`);
+    err.attempts = attempts;
+    throw err;
+}
+
+module.exports = {
+    LlmSafetyError,
+    LlmOutputError,
+    registerLlmProvider,
+    getLlmProvider,
+    getProviderOrder,
+    getAvailableProviders,
+    getGeminiClient,
+    generate,
+};
@@ -273,6 +273,7 @@ async function findMatchingProviders(ticketData, ticketId) {
             avatar_url: p.avatar_url,
             whatsapp_e164: p.whatsapp_e164,
             is_pro: p.is_pro,
+            rating: p.average_rating ?? p.rating ?? null,
             identity_status: p.identity_status,
             emergency_available: p.emergency_available
         }));
@@ -286,4 +287,4 @@ async function findMatchingProviders(ticketData, ticketId) {
     }
 }
 
-module.exports = { findMatchingProviders };
+module.exports = { findMatchingProviders, CATEGORY_SLUG_MAP, normalizeCategoryForApi };
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Almacenamiento de media entrante de WhatsApp (audios, fotos, documentos).
+ *
+ * MEDIA_STORAGE_DRIVER — driver activo (default "local").
+ * MEDIA_LOCAL_DIR — carpeta base del driver local (default "uploads/whatsapp", ignorada por git).
+ *
+ * Un driver es un objeto { save({ buffer, mimeType, mediaId }) → Promise<{ key, url? }> }.
+ * Otros destinos (S3, R2, GCS) se registran con registerMediaStorageDriver sin tocar el webhook.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/amr': 'amr',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'video/mp4': 'mp4',
+    'application/pdf': 'pdf',
+};
+
+function extensionFor(mimeType) {
+    const base = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    return MIME_EXTENSIONS[base] || 'bin';
+}
+
+const localDriver = {
+    async save({ buffer, mimeType, mediaId }) {
+        const baseDir = process.env.MEDIA_LOCAL_DIR || path.join('uploads', 'whatsapp');
+        const month = new Date().toISOString().slice(0, 7);
+        const safeId = String(mediaId).replace(/[^a-zA-Z0-9_-]/g, '');
+        const key = path.join(month, `${safeId}.${extensionFor(mimeType)}`);
+        const fullPath = path.join(baseDir, key);
+        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.promises.writeFile(fullPath, buffer);
+        return { key };
+    },
+};
+
+const drivers = new Map([['local', localDriver]]);
+
+/**
+ * Registra (o reemplaza) un driver de almacenamiento.
+ * @param {string} name
+ * @param {{ save: Function }} driver
+ */
+function registerMediaStorageDriver(name, driver) {
+    if (!name || !driver || typeof driver.save !== 'function') {
+        throw new Error('Media storage driver must implement save()');
+    }
+    drivers.set(name, driver);
+}
+
+/**
+ * Guarda un archivo con el driver configurado.
+ * @param {{ buffer: Buffer, mimeType: string, mediaId: string }} file
+ * @returns {Promise<{ driver: string, key: string, url?: string }>}
+ */
+async function saveMedia(file) {
+    const name = (process.env.MEDIA_STORAGE_DRIVER || 'local').trim();
+    const driver = drivers.get(name);
+    if (!driver) {
+        throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${name}`);
+    }
+    const stored = await driver.save(file);
+    return { driver: name, ...stored };
+}
+
+module.exports = {
+    saveMedia,
+    registerMediaStorageDriver,
+};
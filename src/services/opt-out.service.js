@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Interceptor de baja / alta de mensajes (corre antes que cualquier otro interceptor).
+ *
+ *   "BAJA", "STOP", "no me escriban más"  → nivel none + confirmación con botón "Solo avisos"
+ *   botón PREF_TRANSACTIONAL               → nivel transactional (solo avisos de pedidos)
+ *   "ALTA", "START"                        → nivel all
+ *
+ * Con nivel none cualquier otro mensaje se corta acá: el bot no responde, salvo un recordatorio
+ * de cómo volver (como mucho uno cada 24 h).
+ */
+
+const {
+    MESSAGE_PURPOSES,
+    getPreferenceLevel,
+    setPreferenceLevel,
+} = require('./communication-preferences.service');
+const { sendText, sendButtons } = require('./channel.service');
+const { normalizeKeywordText, containsPhrase } = require('../utils/keywordText');
+
+const OPT_OUT_WORDS = ['baja', 'stop', 'unsubscribe', 'darme de baja'];
+const OPT_OUT_PHRASES = ['no me escriban mas', 'no me escribas mas', 'no quiero recibir mas mensajes', 'no me manden mas mensajes'];
+const OPT_IN_WORDS = ['alta', 'start', 'darme de alta'];
+
+const PREF_TRANSACTIONAL_BUTTON = 'PREF_TRANSACTIONAL';
+
+const REMINDER_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const lastReminderAt = new Map();
+
+const MSG_OPTED_OUT = 'Listo, no te vamos a escribir más. 👋\n\nSi querés seguir recibiendo solo los avisos de tus pedidos en curso, tocá el botón. Para volver a recibir todo, escribí ALTA.';
+const MSG_TRANSACTIONAL = 'Perfecto: solo te vamos a escribir por pedidos en curso. Nada de recordatorios ni encuestas. Para volver a recibir todo, escribí ALTA.';
+const MSG_OPTED_IN = '¡Qué bueno tenerte de vuelta! 🙌 Ya podés volver a recibir nuestros mensajes. ¿En qué te puedo ayudar?';
+const MSG_REMINDER = 'Este chat está dado de baja y no te vamos a responder por acá. Si querés volver a usar miservicio por este chat, escribí ALTA.';
+
+/**
+ * Detecta palabras de baja / alta. Las palabras sueltas deben ser el mensaje completo
+ * ("stop" dentro de una frase no cuenta); las frases pueden estar dentro de un mensaje más largo.
+ * @param {string} text
+ * @returns {'opt_out'|'opt_in'|null}
+ */
+function detectPreferenceKeyword(text) {
+    const normalized = normalizeKeywordText(text);
+    if (!normalized) return null;
+    if (OPT_OUT_WORDS.includes(normalized) || OPT_OUT_PHRASES.some((p) => containsPhrase(normalized, p))) {
+        return 'opt_out';
+    }
+    if (OPT_IN_WORDS.includes(normalized)) return 'opt_in';
+    return null;
+}
+
+async function applyPreference(identity, level, source, reply) {
+    await setPreferenceLevel(identity, level, source);
+    lastReminderAt.delete(identity);
+    if (typeof reply === 'function') {
+        await reply();
+    } else {
+        await sendText(identity, reply, { purpose: MESSAGE_PURPOSES.PREFERENCE });
+    }
+}
+
+/**
+ * @param {string} identity - 549... o tg:/sms:...
+ * @param {object} input
+ * @param {string} [input.text]
+ * @param {string} [input.buttonId]
+ * @returns {Promise<boolean>} true si el mensaje se consumió acá (no sigue a otros interceptores).
+ */
+async function handlePreferenceMessage(identity, { text, buttonId } = {}) {
+    if (buttonId === PREF_TRANSACTIONAL_BUTTON) {
+        await applyPreference(identity, 'transactional', 'button', MSG_TRANSACTIONAL);
+        return true;
+    }
+
+    const keyword = buttonId ? null : detectPreferenceKeyword(text);
+    if (keyword === 'opt_out') {
+        await applyPreference(identity, 'none', 'keyword', () => sendButtons(identity, MSG_OPTED_OUT, [
+            { id: PREF_TRANSACTIONAL_BUTTON, title: 'Solo avisos' }
+        ], { purpose: MESSAGE_PURPOSES.PREFERENCE }));
+        return true;
+    }
+    if (keyword === 'opt_in') {
+        await applyPreference(identity, 'all', 'keyword', MSG_OPTED_IN);
+        return true;
+    }
+
+    if (await getPreferenceLevel(identity) !== 'none') return false;
+
+    const last = lastReminderAt.get(identity) || 0;
+    if (Date.now() - last > REMINDER_INTERVAL_MS) {
+        lastReminderAt.set(identity, Date.now());
+        await sendText(identity, MSG_REMINDER, { purpose: MESSAGE_PURPOSES.PREFERENCE });
+    }
+    console.log('[OptOut] Mensaje de un usuario dado de baja, no se procesa.', { identity });
+    return true;
+}
+
+module.exports = {
+    detectPreferenceKeyword,
+    handlePreferenceMessage,
+};
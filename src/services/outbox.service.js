@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Outbox de mensajes salientes de WhatsApp (Postgres: outbound_messages).
+ *
+ * Todo envío se persiste antes de llamar al transporte (Graph o sandbox, ver transport.service).
+ * Si el envío falla por un error transitorio (timeout, red, 5xx, 429) queda pendiente con backoff
+ * exponencial y lo reintenta el cron del outbox; tras OUTBOX_MAX_ATTEMPTS intentos (o ante un error
+ * permanente) pasa a "dead" y se puede reenviar desde el admin. El orden por destinatario se respeta:
+ * un mensaje no sale mientras haya otro anterior pendiente para el mismo número.
+ *
+ * Estados: pending → sending → sent | pending (reintento) | dead.
+ *
+ * Según la clasificación del error de Meta (whatsapp-api.service): los límites de throughput y por
+ * destinatario se reintentan con la espera que corresponda; si el destinatario es imposible de
+ * alcanzar, este mensaje y todo lo pendiente para ese número pasa a dead.
+ *
+ * Los mensajes proactivos fuera de horario (utils/quietHours) se insertan con next_attempt_at en el
+ * próximo inicio de ventana (deferred_until) y los envía el cron; mientras tanto no bloquean las
+ * respuestas posteriores al mismo número.
+ */
+
+const db = require('./db.service');
+const { sendPayload } = require('./transport.service');
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30_000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+function getMaxAttempts() {
+    const v = Number(process.env.OUTBOX_MAX_ATTEMPTS);
+    return Number.isFinite(v) && v > 0 ? v : DEFAULT_MAX_ATTEMPTS;
+}
+
+/** 30 s, 1 min, 2 min, 4 min... con tope de 1 h. */
+function backoffMs(attempts, retryAfterMs) {
+    const exp = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+    return Math.max(exp, retryAfterMs || 0);
+}
+
+/** Demora del próximo intento: backoff exponencial, o más si Meta pidió esperar (Retry-After / límite por destinatario). */
+function retryDelayMs(attempts, err) {
+    return Math.max(backoffMs(attempts, err.retryAfterMs), err.classification?.delayMs || 0);
+}
+
+/**
+ * Intenta entregar una fila ya reclamada (status = sending).
+ * @param {object} row - Fila de outbound_messages.
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, error?: string, metaError?: object, classification?: object, outboxId: number }>}
+ */
+async function attemptDelivery(row) {
+    const attempts = (row.attempts || 0) + 1;
+    try {
+        const { messageId } = await sendPayload(row.payload);
+        await db.markOutboundSent(row.id, attempts, messageId);
+        if (row.log_body && row.log_role) {
+            db.saveChatLog(row.phone_number, row.log_role, row.log_body, { waMessageId: messageId })
+                .catch(e => console.error('[ChatLogs] save outbox log error:', e.message));
+        }
+        return { success: true, messageId, outboxId: row.id };
+    } catch (err) {
+        const maxAttempts = row.max_attempts || getMaxAttempts();
+        const classification = err.classification || null;
+        const errorInfo = { code: classification?.code, category: classification?.category };
+        if (err.retryable && attempts < maxAttempts) {
+            const delay = retryDelayMs(attempts, err);
+            await db.markOutboundRetry(row.id, attempts, new Date(Date.now() + delay), err.message, errorInfo);
+            console.warn('[Outbox] Envío fallido, se reintentará.', {
+                id: row.id, attempts, inMs: delay, code: errorInfo.code, category: errorInfo.category, error: err.message
+            });
+            return { success: true, queued: true, error: err.message, classification, outboxId: row.id };
+        }
+        await db.markOutboundDead(row.id, attempts, err.message, errorInfo);
+        console.error('[Outbox] Mensaje a dead-letter.', {
+            id: row.id, attempts, status: err.status, code: errorInfo.code, category: errorInfo.category, error: err.message
+        });
+        if (classification?.action === 'undeliverable') {
+            const dropped = await db.deadLetterPendingForPhone(row.phone_number, err.message, errorInfo)
+                .catch(e => { console.error('[Outbox] Error descartando pendientes:', e.message); return 0; });
+            if (dropped > 0) {
+                console.warn('[Outbox] Destinatario imposible de alcanzar, pendientes descartados.', { phone: row.phone_number, dropped });
+            }
+        }
+        return { success: false, error: err.message, metaError: err.metaError, classification, outboxId: row.id };
+    }
+}
+
+/**
+ * Persiste el mensaje en el outbox y lo intenta enviar de inmediato si no hay otro anterior
+ * pendiente para el mismo destinatario.
+ *
+ * Resultado: success=true también cuando queda encolado (queued=true): el outbox garantiza el reintento.
+ * success=false solo ante error permanente (dead-letter) o falla al persistir.
+ *
+ * @param {object} message
+ * @param {string} message.phoneNumber - Destinatario en formato chat_logs (549...), clave de orden.
+ * @param {object} message.payload - Body completo de POST /{phone-number-id}/messages.
+ * @param {string} [message.logBody] - Texto a registrar en chat_logs al enviarse.
+ * @param {string} [message.logRole] - sender_role del chat_log (BOT por defecto si hay logBody).
+ * @param {Date} [message.notBefore] - Diferir el envío hasta esta fecha (no se intenta ahora).
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, deferred?: boolean, scheduledFor?: Date, error?: string, metaError?: object, classification?: object, outboxId?: number }>}
+ */
+async function sendViaOutbox({ phoneNumber, payload, logBody, logRole, notBefore }) {
+    let row;
+    try {
+        row = await db.insertOutboundMessage({
+            phoneNumber,
+            payload,
+            logBody: logBody || null,
+            logRole: logBody ? (logRole || 'BOT') : null,
+            maxAttempts: getMaxAttempts(),
+            notBefore: notBefore || null
+        });
+    } catch (err) {
+        if (notBefore) {
+            // Sin outbox no hay dónde guardarlo: mejor que el caller lo reintente a que salga de noche.
+            console.error('[Outbox] No se pudo persistir un mensaje diferido:', err.message);
+            return { success: false, error: `Outbox unavailable: ${err.message}` };
+        }
+        // Sin outbox (DB caída) no hay durabilidad, pero tampoco perdemos el intento inmediato.
+        console.error('[Outbox] No se pudo persistir, envío directo sin reintentos:', err.message);
+        try {
+            const { messageId } = await sendPayload(payload);
+            if (logBody) {
+                db.saveChatLog(phoneNumber, logRole || 'BOT', logBody, { waMessageId: messageId })
+                    .catch(e => console.error('[ChatLogs] save BOT error:', e.message));
+            }
+            return { success: true, messageId };
+        } catch (sendErr) {
+            return { success: false, error: sendErr.message, metaError: sendErr.metaError, classification: sendErr.classification || null };
+        }
+    }
+
+    if (notBefore) {
+        console.log('[Outbox] Mensaje proactivo diferido por horario.', { id: row.id, phoneNumber, scheduledFor: notBefore.toISOString() });
+        return { success: true, queued: true, deferred: true, scheduledFor: notBefore, outboxId: row.id };
+    }
+
+    const claimed = await db.claimOutboundMessage(row.id);
+    if (!claimed) {
+        console.log('[Outbox] Mensaje encolado detrás de otro pendiente para el mismo número.', { id: row.id, phoneNumber });
+        return { success: true, queued: true, outboxId: row.id };
+    }
+    return attemptDelivery(claimed);
+}
+
+let running = false;
+
+/**
+ * Procesa los mensajes vencidos (uno por destinatario, el más antiguo), en orden.
+ * Llamado por el cron del outbox; no corre en paralelo consigo mismo.
+ * @returns {Promise<{ processed: number, sent: number }>}
+ */
+async function processDueOutbox(limit = 50) {
+    if (running) return { processed: 0, sent: 0 };
+    running = true;
+    let processed = 0;
+    let sent = 0;
+    try {
+        await db.releaseStaleOutboundMessages();
+        // Varias pasadas: al enviarse la cabeza de un número, la siguiente puede salir en la misma corrida.
+        for (let pass = 0; pass < 5; pass++) {
+            const rows = await db.claimDueOutboundMessages(limit);
+            if (rows.length === 0) break;
+            for (const row of rows) {
+                const result = await attemptDelivery(row);
+                processed++;
+                if (result.success && !result.queued) sent++;
+            }
+        }
+    } finally {
+        running = false;
+    }
+    return { processed, sent };
+}
+
+/**
+ * Vuelve a poner en cola un mensaje dead (o pendiente) con contador de intentos en cero.
+ * @param {number|string} id
+ * @returns {Promise<object|null>} Fila actualizada o null si no existe / ya se envió.
+ */
+async function replayOutboundMessage(id) {
+    const row = await db.resetOutboundMessage(id);
+    if (row) {
+        console.log('[Outbox] Mensaje re-encolado por admin.', { id: row.id, phone: row.phone_number });
+        processDueOutbox().catch(err => console.error('[Outbox] Error procesando tras replay:', err.message));
+    }
+    return row;
+}
+
+module.exports = {
+    sendViaOutbox,
+    processDueOutbox,
+    replayOutboundMessage,
+    backoffMs,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const axios = require('axios');
+const { getInternalApiKey } = require('../middlewares/access.middleware');
 
 /**
  * Base URL del provider-service (directo, gateway o local).
@@ -44,4 +45,47 @@ async function getProviderWhatsAppNumber(providerId) {
     return phone && String(phone).trim() ? String(phone).trim() : null;
 }
 
-module.exports = { getProviderById, getProviderWhatsAppNumber, getProviderBaseUrl };
+/**
+ * Crea un profesional en borrador (status draft, identidad sin verificar) en el provider-service,
+ * vía la API interna (x-internal-key, la misma clave que valida access.middleware). Sin clave configurada
+ * no se llama. Si ya existe uno con ese WhatsApp, el servicio responde 409.
+ * @param {object} draft
+ * @param {string} draft.first_name
+ * @param {string} [draft.last_name]
+ * @param {string} draft.whatsapp_e164 - "+549...".
+ * @param {string} draft.category_slug - Slug de CATEGORY_SLUG_MAP.
+ * @param {string} draft.city
+ * @param {boolean} draft.emergency_available
+ * @returns {Promise<{ provider: object|null, nextStep: object|string|null, alreadyExists: boolean } | null>}
+ *   null si falló la llamada.
+ */
+async function createDraftProvider(draft) {
+    const internalKey = getInternalApiKey();
+    if (!internalKey) {
+        console.error('[ProviderClient] NOTIFICATION_INTERNAL_API_KEY / CREDIT_EVENTS_INTERNAL_KEY no configurado: no se puede crear el profesional.');
+        return null;
+    }
+    const url = `${getProviderBaseUrl()}/api/v1/internal/providers`;
+    try {
+        const { status, data } = await axios.post(
+            url,
+            { ...draft, status: 'draft', source: 'whatsapp_bot' },
+            {
+                headers: { 'x-internal-key': internalKey },
+                timeout: 10_000,
+                validateStatus: (s) => s === 200 || s === 201 || s === 409
+            }
+        );
+        return {
+            provider: data?.provider || null,
+            nextStep: data?.next_step || data?.nextStep || null,
+            alreadyExists: status === 409
+        };
+    } catch (err) {
+        console.error('[ProviderClient] Error al crear profesional en borrador:', err.message);
+        if (err.response) console.error('[ProviderClient] Status:', err.response.status, err.response.data);
+        return null;
+    }
+}
+
+module.exports = { getProviderById, getProviderWhatsAppNumber, getProviderBaseUrl, createDraftProvider };
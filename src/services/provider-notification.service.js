@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Notificaciones a profesionales respetando su canal preferido (WhatsApp, email o ambos).
+ *
+ * Sin preferencia guardada se usa WhatsApp, como hasta ahora. El email sale de
+ * notification_preferences.email o, si no hay, del perfil en provider-service.
+ * Si el profesional eligió solo email pero no tenemos una dirección válida, se cae a WhatsApp
+ * para que el aviso no se pierda.
+ */
+
+const { getNotificationPreferences, upsertNotificationPreferences } = require('./db.service');
+const { getProviderById } = require('./provider-client.service');
+const { sendTemplateEmail, getAdminEmails, isValidEmail } = require('./email.service');
+
+const NOTIFICATION_CHANNELS = ['whatsapp', 'email', 'both'];
+const DEFAULT_CHANNEL = 'whatsapp';
+
+/**
+ * Preferencias efectivas de un profesional.
+ * @param {number|string} providerId
+ * @returns {Promise<{ channel: string, email: string|null, provider: object|null }>}
+ */
+async function resolveNotificationTarget(providerId) {
+    let prefs = null;
+    try {
+        prefs = await getNotificationPreferences(providerId);
+    } catch (err) {
+        console.error('[ProviderNotify] No se pudieron leer preferencias, se usa WhatsApp:', err.message);
+    }
+    const channel = prefs?.channel || DEFAULT_CHANNEL;
+    let email = prefs?.email || null;
+    let provider = null;
+    if (channel !== 'whatsapp' && !isValidEmail(email)) {
+        provider = await getProviderById(providerId);
+        email = isValidEmail(provider?.email) ? provider.email : null;
+    }
+    return { channel, email, provider };
+}
+
+/**
+ * Envía un aviso al profesional por los canales que eligió.
+ *
+ * @param {number|string} providerId
+ * @param {object} notification
+ * @param {Function} [notification.whatsapp] - Envío por WhatsApp (el caller ya arma texto/plantilla).
+ * @param {{ template: string, context?: object }} [notification.email] - Plantilla de config/emailTemplates.
+ * @returns {Promise<{ channel: string, whatsapp?: object, email?: object }>}
+ */
+async function notifyProvider(providerId, { whatsapp, email } = {}) {
+    const target = await resolveNotificationTarget(providerId);
+    const wantsEmail = target.channel !== 'whatsapp' && email && target.email;
+    const wantsWhatsApp = target.channel !== 'email' || !wantsEmail;
+    const result = { channel: target.channel };
+
+    if (wantsWhatsApp && typeof whatsapp === 'function') {
+        try {
+            result.whatsapp = await whatsapp();
+        } catch (err) {
+            console.error('[ProviderNotify] Error enviando WhatsApp:', err.message, { providerId });
+            result.whatsapp = { success: false, error: err.message };
+        }
+    }
+
+    if (wantsEmail) {
+        const context = { providerName: target.provider?.name, ...email.context };
+        result.email = await sendTemplateEmail(target.email, email.template, context);
+    }
+
+    return result;
+}
+
+/**
+ * Copia a los admins (ADMIN_NOTIFICATION_EMAILS). No-op si no hay ninguno configurado.
+ * @param {string} template
+ * @param {object} context
+ */
+async function notifyAdmins(template, context = {}) {
+    const admins = getAdminEmails();
+    if (admins.length === 0) return null;
+    return sendTemplateEmail(admins, template, context);
+}
+
+async function getProviderNotificationPreferences(providerId) {
+    const prefs = await getNotificationPreferences(providerId);
+    return {
+        provider_id: Number(providerId),
+        channel: prefs?.channel || DEFAULT_CHANNEL,
+        email: prefs?.email || null,
+        updated_at: prefs?.updated_at || null,
+    };
+}
+
+/**
+ * Valida y guarda las preferencias. Lanza Error con .status 400 si algo no cierra.
+ * @param {number|string} providerId
+ * @param {{ channel?: string, email?: string|null }} input
+ */
+async function updateProviderNotificationPreferences(providerId, { channel, email } = {}) {
+    if (channel !== undefined && !NOTIFICATION_CHANNELS.includes(channel)) {
+        const err = new Error(`channel debe ser uno de: ${NOTIFICATION_CHANNELS.join(', ')}`);
+        err.status = 400;
+        throw err;
+    }
+    const normalizedEmail = typeof email === 'string' ? email.trim() || null : email;
+    if (normalizedEmail && !isValidEmail(normalizedEmail)) {
+        const err = new Error('email inválido');
+        err.status = 400;
+        throw err;
+    }
+    return upsertNotificationPreferences(providerId, { channel, email: normalizedEmail });
+}
+
+module.exports = {
+    NOTIFICATION_CHANNELS,
+    notifyProvider,
+    notifyAdmins,
+    getProviderNotificationPreferences,
+    updateProviderNotificationPreferences,
+};
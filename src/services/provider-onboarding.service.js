@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * Alta conversacional de profesionales por WhatsApp (reemplaza el link a /registro de la regla 4 del prompt).
+ *
+ *   nombre → rubro (CATEGORY_SLUG_MAP) → ciudad (getCoveredCities) → urgencias → borrador en provider-service
+ *
+ * Al terminar se le dice al trabajador cuál es el paso de verificación siguiente (el que devuelve
+ * provider-service o, si no viene, la verificación de identidad desde el panel). El progreso queda en
+ * provider_onboarding, así se puede seguir la conversión de estos leads (completed / out_of_area / failed / abandoned).
+ *
+ * Arranca sola solo con frases inequívocas de trabajador ("quiero ofrecer mis servicios"); los casos dudosos
+ * ("busco trabajo", "quiero sumarme") los decide la IA (regla 4, intent provider_signup) y conversation.service arranca el alta.
+ * "cancelar" / "salir" corta el alta; una alta sin respuesta por más de 24 h se da por abandonada.
+ * El paso create es re-entrante: si el proceso se cae a mitad de la creación, el próximo mensaje la
+ * reintenta (provider-service responde 409 si el número ya tiene perfil).
+ * Botones: ONB_CITY_<n>, ONB_CITY_OTHER, ONB_EMERGENCY_YES / ONB_EMERGENCY_NO.
+ */
+
+const { getProviderOnboarding, saveProviderOnboarding } = require('./db.service');
+const { createDraftProvider } = require('./provider-client.service');
+const { isWhatsAppIdentity, sendText, sendButtons } = require('./channel.service');
+const { CATEGORY_NAMES, detectCategorySlug } = require('./rule-based-intake.service');
+const { getCoveredCities } = require('../config/serviceArea');
+const { toE164 } = require('../utils/phoneNumber');
+const { normalizeKeywordText, containsPhrase } = require('../utils/keywordText');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+const BUTTON_PREFIX = 'ONB_';
+const ONBOARDING_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CITY_BUTTONS = 2; // + "Otra ciudad" = 3, el máximo de WhatsApp
+
+// Frases completas (con límite de palabra): un cliente que "busca trabajos de electricidad" no entra acá.
+const AUTO_START_PHRASES = [
+    'ofrecer mis servicios', 'ofrecer mis trabajos', 'registrarme como profesional', 'sumarme como profesional',
+    'darme de alta como profesional', 'quiero ser profesional de miservicio', 'trabajar con ustedes como profesional',
+];
+const EXIT_WORDS = ['cancelar', 'salir', 'dejar el alta'];
+const YES_WORDS = ['si', 'sí', 'dale', 'claro', 'obvio', 'de una'];
+const NO_WORDS = ['no', 'nop', 'solo turnos', 'no hago'];
+
+function isProviderSignupMessage(text) {
+    const normalized = normalizeKeywordText(text);
+    return AUTO_START_PHRASES.some((p) => containsPhrase(normalized, p));
+}
+
+function isExpired(row) {
+    return Date.now() - new Date(row.updated_at).getTime() > ONBOARDING_TTL_MS;
+}
+
+function tradeList() {
+    return Object.values(CATEGORY_NAMES).join(', ');
+}
+
+/** "Juan Carlos Pérez" → { firstName: 'Juan', lastName: 'Carlos Pérez' }; null si no parece un nombre. */
+function parseFullName(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length < 2 || clean.length > 60 || /[\d@]/.test(clean)) return null;
+    const words = clean.split(' ').filter((w) => /\p{L}/u.test(w));
+    if (words.length === 0 || words.length > 5) return null;
+    const capitalize = (w) => w.charAt(0).toUpperCase() + w.slice(1);
+    return { firstName: capitalize(words[0]), lastName: words.slice(1).map(capitalize).join(' ') };
+}
+
+function matchCoveredCity(text) {
+    const normalized = normalizeKeywordText(text);
+    return getCoveredCities().find((city) => containsPhrase(normalized, city)) || null;
+}
+
+async function saveStep(from, step, data) {
+    return saveProviderOnboarding(from, { step, data });
+}
+
+async function askName(from, data) {
+    await saveStep(from, 'name', data);
+    await sendText(from, '¡Qué bueno que quieras sumarte a miservicio como profesional! 💪 Te doy de alta por acá en un minuto. ¿Cuál es tu nombre y apellido?');
+}
+
+async function askTrade(from, data) {
+    await saveStep(from, 'trade', data);
+    await sendText(from, `Gracias, ${data.firstName}. ¿De qué rubro trabajás? Por ejemplo: ${tradeList()}.`);
+}
+
+async function askCity(from, data) {
+    await saveStep(from, 'city', data);
+    const cities = getCoveredCities();
+    if (cities.length <= MAX_CITY_BUTTONS) {
+        const buttons = cities.map((city, i) => ({ id: `ONB_CITY_${i}`, title: city.slice(0, 20) }));
+        buttons.push({ id: 'ONB_CITY_OTHER', title: 'Otra ciudad' });
+        await sendButtons(from, '¿En qué ciudad trabajás?', buttons);
+        return;
+    }
+    await sendText(from, `¿En qué ciudad trabajás? Hoy estamos en: ${cities.join(', ')}.`);
+}
+
+async function askEmergency(from, data) {
+    await saveStep(from, 'emergency', data);
+    await sendButtons(from, '¿Tomás urgencias (trabajos para el mismo día)?', [
+        { id: 'ONB_EMERGENCY_YES', title: 'Sí, tomo urgencias' },
+        { id: 'ONB_EMERGENCY_NO', title: 'No, solo turnos' },
+    ]);
+}
+
+/** Mensaje del paso siguiente: el que manda provider-service (texto o { message, url }) o el default. */
+function formatNextStep(nextStep) {
+    if (typeof nextStep === 'string' && nextStep.trim()) return nextStep.trim();
+    if (nextStep && typeof nextStep === 'object') {
+        const message = nextStep.message || nextStep.description || nextStep.title;
+        if (message) return nextStep.url ? `${message} ${nextStep.url}` : message;
+    }
+    return `Para empezar a recibir trabajos falta verificar tu identidad (foto del DNI y una selfie). Lo hacés desde tu panel: ${FRONTEND_URL}/panel`;
+}
+
+/** Crea el borrador en provider-service. Se puede repetir: un mensaje en el paso create la reintenta. */
+async function finishOnboarding(from, data) {
+    await saveStep(from, 'create', data);
+    const result = await createDraftProvider({
+        first_name: data.firstName,
+        last_name: data.lastName || null,
+        whatsapp_e164: toE164(from),
+        category_slug: data.categorySlug,
+        city: data.city,
+        emergency_available: Boolean(data.emergencyAvailable),
+    });
+
+    if (!result) {
+        await saveProviderOnboarding(from, { step: 'create', data, status: 'failed' });
+        await sendText(from, `Uy, no pude terminar tu alta en este momento 😕 Podés completarla desde la web: ${FRONTEND_URL}/registro`);
+        return;
+    }
+
+    const providerId = result.provider?.id != null ? String(result.provider.id) : null;
+    await saveProviderOnboarding(from, { step: 'done', data, status: 'completed', providerId });
+    console.log('[Onboarding] Profesional en borrador creado.', { from, providerId, alreadyExists: result.alreadyExists });
+
+    const intro = result.alreadyExists
+        ? 'Ya tenías un perfil con este número, así que seguimos desde ahí.'
+        : `¡Listo, ${data.firstName}! Creamos tu perfil de ${CATEGORY_NAMES[data.categorySlug] || data.categorySlug} en ${data.city} ✅`;
+    await sendText(from, `${intro}\n\n${formatNextStep(result.nextStep)}`);
+}
+
+async function handleButton(from, row, buttonId) {
+    const data = row.data || {};
+    if (row.step === 'city' && buttonId.startsWith('ONB_CITY_')) {
+        if (buttonId === 'ONB_CITY_OTHER') {
+            await sendText(from, '¿En qué ciudad trabajás?');
+            return true;
+        }
+        const city = getCoveredCities()[Number(buttonId.slice('ONB_CITY_'.length))];
+        if (!city) return true;
+        await askEmergency(from, { ...data, city });
+        return true;
+    }
+    if (row.step === 'emergency' && (buttonId === 'ONB_EMERGENCY_YES' || buttonId === 'ONB_EMERGENCY_NO')) {
+        await finishOnboarding(from, { ...data, emergencyAvailable: buttonId === 'ONB_EMERGENCY_YES' });
+        return true;
+    }
+    console.warn('[Onboarding] Botón fuera de paso, se ignora.', { from, step: row.step, buttonId });
+    return true;
+}
+
+async function handleText(from, row, text) {
+    const data = row.data || {};
+    const normalized = normalizeKeywordText(text);
+
+    if (EXIT_WORDS.some((w) => containsPhrase(normalized, w))) {
+        await saveProviderOnboarding(from, { step: row.step, data, status: 'abandoned' });
+        await sendText(from, `Listo, dejamos el alta acá. Si querés retomarla, escribime o entrá a ${FRONTEND_URL}/registro`);
+        return;
+    }
+
+    switch (row.step) {
+        case 'name': {
+            const name = parseFullName(text);
+            if (!name) {
+                await sendText(from, 'No me quedó claro tu nombre. ¿Me lo escribís? (ej: Juan Pérez)');
+                return;
+            }
+            const next = { ...data, ...name };
+            if (next.categorySlug) await askCity(from, next);
+            else await askTrade(from, next);
+            return;
+        }
+        case 'trade': {
+            const categorySlug = detectCategorySlug(text);
+            if (!categorySlug) {
+                await sendText(from, `Todavía no tenemos ese rubro. Por ahora trabajamos con: ${tradeList()}. ¿Cuál es el tuyo?`);
+                return;
+            }
+            await askCity(from, { ...data, categorySlug });
+            return;
+        }
+        case 'city': {
+            const city = matchCoveredCity(text);
+            if (city) {
+                await askEmergency(from, { ...data, city });
+                return;
+            }
+            await saveProviderOnboarding(from, { step: 'city', data: { ...data, city: text.trim() }, status: 'out_of_area' });
+            console.log('[Onboarding] Ciudad fuera de cobertura.', { from, city: text.trim() });
+            await sendText(from, `Por ahora solo estamos en ${getCoveredCities().join(', ')}. Guardamos tus datos y te avisamos cuando lleguemos a tu ciudad 🙌`);
+            return;
+        }
+        case 'emergency': {
+            if (YES_WORDS.some((w) => containsPhrase(normalized, w))) {
+                await finishOnboarding(from, { ...data, emergencyAvailable: true });
+            } else if (NO_WORDS.some((w) => containsPhrase(normalized, w))) {
+                await finishOnboarding(from, { ...data, emergencyAvailable: false });
+            } else {
+                await askEmergency(from, data);
+            }
+            return;
+        }
+        case 'create':
+            await finishOnboarding(from, data);
+            return;
+        default:
+            console.warn('[Onboarding] Paso desconocido, se reinicia el alta.', { from, step: row.step });
+            await askName(from, {});
+    }
+}
+
+/**
+ * Arranca el alta (o la retoma desde el principio). El rubro se toma del primer mensaje si lo menciona
+ * ("soy plomero y busco trabajo").
+ * @param {string} from - Identidad de WhatsApp.
+ * @param {string} [text] - Mensaje que disparó el alta.
+ */
+async function startProviderOnboarding(from, text = '') {
+    const categorySlug = detectCategorySlug(text);
+    console.log('[Onboarding] Alta de profesional iniciada.', { from, categorySlug });
+    await askName(from, categorySlug ? { categorySlug } : {});
+}
+
+/**
+ * Interceptor del motor de conversación: consume los mensajes de un alta en curso y arranca una
+ * nueva ante una frase inequívoca de trabajador (AUTO_START_PHRASES). Solo WhatsApp; con la DB caída deja pasar el mensaje.
+ * @param {string} from
+ * @param {object} input
+ * @param {string} [input.text]
+ * @param {string} [input.buttonId]
+ * @returns {Promise<boolean>} true si el mensaje se consumió acá (no sigue a la IA).
+ */
+async function handleProviderOnboarding(from, { text, buttonId } = {}) {
+    if (!isWhatsAppIdentity(from)) return false;
+    try {
+        const row = await getProviderOnboarding(from);
+        const active = row && row.status === 'in_progress' && !isExpired(row);
+        if (row && row.status === 'in_progress' && !active) {
+            await saveProviderOnboarding(from, { step: row.step, data: row.data, status: 'abandoned' });
+            console.log('[Onboarding] Alta vencida, se marca como abandonada.', { from, step: row.step });
+        }
+
+        if (buttonId) {
+            if (!buttonId.startsWith(BUTTON_PREFIX)) return false;
+            if (!active) {
+                await sendText(from, 'Ese paso del alta ya venció. Si querés sumarte como profesional, escribime "quiero ofrecer mis servicios".');
+                return true;
+            }
+            return handleButton(from, row, buttonId);
+        }
+
+        if (active) {
+            await handleText(from, row, text || '');
+            return true;
+        }
+        if (text && isProviderSignupMessage(text)) {
+            await startProviderOnboarding(from, text);
+            return true;
+        }
+        return false;
+    } catch (err) {
+        console.error('[Onboarding] Error en el alta de profesional:', err.message);
+        return false;
+    }
+}
+
+module.exports = {
+    handleProviderOnboarding,
+    startProviderOnboarding,
+};
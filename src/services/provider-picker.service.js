@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Selección del profesional dentro de WhatsApp.
+ *
+ * Con WA_MATCH_PRESENTATION=list, en lugar del CTA al Magic Link el cliente recibe una lista
+ * interactiva con el top de findMatchingProviders (nombre, badge PRO, calificación y nivel
+ * crediticio). Tocar una fila (PICK_<ticketId>_<providerId>) asigna el ticket con la misma lógica
+ * que POST /tickets/:id/assign. El link al frontend sigue en el cuerpo para quien quiera ver perfiles.
+ *
+ * Solo se pueden elegir los profesionales ofrecidos: quedan en memoria 24 h y en tickets.offered_provider_ids;
+ * tras un reinicio los datos de contacto se consultan a provider-service.
+ */
+
+const { getLatestCreditScore, getTicketById, setTicketOfferedProviders } = require('./db.service');
+const { sendWhatsAppList } = require('./whatsapp.service');
+const { sendText } = require('./channel.service');
+const { getProviderById } = require('./provider-client.service');
+const { assignTicketToProvider } = require('./assignment.service');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+const PICK_PREFIX = 'PICK_';
+const CANDIDATES_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ticketId → { providers: Map<providerId, { name, whatsapp_e164 }>, expiresAt }
+const candidatesByTicket = new Map();
+
+function isProviderPickerEnabled() {
+    return (process.env.WA_MATCH_PRESENTATION || '').trim().toLowerCase() === 'list';
+}
+
+function truncate(text, max) {
+    const value = String(text || '').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/** Descripción de la fila (≤ 72 caracteres): PRO · calificación · nivel. */
+function describeProvider(provider, level) {
+    const parts = [];
+    if (provider.is_pro) parts.push('⭐ PRO');
+    if (provider.rating != null && Number(provider.rating) > 0) parts.push(`${Number(provider.rating).toFixed(1)}/5`);
+    if (level) parts.push(`Nivel ${level.replace(/_/g, ' ').toLowerCase()}`);
+    if (provider.emergency_available) parts.push('Urgencias');
+    return truncate(parts.join(' · '), 72);
+}
+
+async function getLevelSafe(providerId) {
+    try {
+        const score = await getLatestCreditScore(providerId);
+        return score?.level || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Envía la lista de profesionales para elegir.
+ * @param {string} phoneNumber - Cliente (549...).
+ * @param {Array<object>} matches - Resultado de findMatchingProviders.
+ * @param {number|string} ticketId
+ * @returns {Promise<{ success: boolean, error?: string }>} success=false si no se envió (el caller manda el Magic Link).
+ */
+async function sendProviderPicker(phoneNumber, matches, ticketId) {
+    const levels = await Promise.all(matches.map((m) => getLevelSafe(m.id)));
+    const rows = matches.map((provider, i) => ({
+        id: `${PICK_PREFIX}${ticketId}_${provider.id}`,
+        title: truncate(provider.name, 24),
+        description: describeProvider(provider, levels[i]) || undefined
+    }));
+
+    candidatesByTicket.set(String(ticketId), {
+        providers: new Map(matches.map((m) => [String(m.id), { name: m.name, whatsapp_e164: m.whatsapp_e164 }])),
+        expiresAt: Date.now() + CANDIDATES_TTL_MS
+    });
+    try {
+        await setTicketOfferedProviders(ticketId, matches.map((m) => m.id));
+    } catch (err) {
+        // Sin la lista guardada no se podría validar la elección tras un reinicio: no se envía.
+        console.error('[Picker] No se pudieron guardar los profesionales ofrecidos, no se envía la lista:', err.message, { ticketId });
+        return { success: false, error: err.message };
+    }
+
+    const body = `¡Buenas noticias! 🚀 Encontré ${matches.length} profesionales disponibles para tu pedido.\n\nElegí uno de la lista y le aviso al toque. Si querés ver sus perfiles y reseñas antes: ${FRONTEND_URL}/pedidos/match/${ticketId}`;
+    return sendWhatsAppList(phoneNumber, body, {
+        buttonText: 'Ver profesionales',
+        sections: [{ title: 'Disponibles', rows }]
+    }, { logTag: '[Picker]' });
+}
+
+function parsePickId(buttonId) {
+    const match = /^PICK_(\d+)_(\d+)$/.exec(buttonId || '');
+    return match ? { ticketId: match[1], providerId: match[2] } : null;
+}
+
+/**
+ * Profesional elegido, solo si estaba entre los ofrecidos para el ticket.
+ * @returns {Promise<{ name: string, whatsapp_e164: string|null }|null>}
+ */
+async function resolveCandidate(ticket, providerId) {
+    const entry = candidatesByTicket.get(String(ticket.id));
+    if (entry && entry.expiresAt > Date.now()) {
+        return entry.providers.get(String(providerId)) || null;
+    }
+    const offered = (ticket.offered_provider_ids || []).map(String);
+    if (!offered.includes(String(providerId))) {
+        console.warn('[Picker] Profesional que no estaba en la lista ofrecida.', { ticketId: ticket.id, providerId });
+        return null;
+    }
+    const provider = await getProviderById(providerId);
+    if (!provider) return null;
+    return {
+        name: [provider.first_name, provider.last_name].filter(Boolean).join(' ') || provider.name || 'el profesional',
+        whatsapp_e164: provider.whatsapp_e164 || provider.phone_e164 || null
+    };
+}
+
+/**
+ * Maneja la selección de un profesional desde la lista.
+ * @param {string} from - Identidad del cliente.
+ * @param {string} buttonId
+ * @returns {Promise<boolean>} true si era una selección (procesada o rechazada).
+ */
+async function handleProviderPick(from, buttonId) {
+    const pick = parsePickId(buttonId);
+    if (!pick) return false;
+
+    const ticket = await getTicketById(pick.ticketId);
+    if (!ticket || ticket.phone_number !== from) {
+        console.warn('[Picker] Selección de un ticket ajeno o inexistente.', { from, ticketId: pick.ticketId });
+        return true;
+    }
+    if (ticket.status !== 'ABIERTO') {
+        const msg = ticket.provider_name
+            ? `Ya elegiste a ${ticket.provider_name} para este pedido. Si no te contacta, avisame por acá.`
+            : 'Este pedido ya no está disponible para elegir profesional.';
+        await sendText(from, msg);
+        return true;
+    }
+
+    const candidate = await resolveCandidate(ticket, pick.providerId);
+    if (!candidate) {
+        await sendText(from, `No pude confirmar a ese profesional. Podés elegir desde acá: ${FRONTEND_URL}/pedidos/match/${pick.ticketId}`);
+        return true;
+    }
+
+    const result = await assignTicketToProvider(pick.ticketId, {
+        providerId: Number(pick.providerId),
+        providerName: candidate.name,
+        providerPhone: candidate.whatsapp_e164
+    }, { onlyIfOpen: true });
+    if (!result.success && result.status === 409) {
+        console.log('[Picker] Selección sobre un ticket que ya se asignó.', { from, ...pick });
+        await sendText(from, 'Ya registré tu elección para este pedido. Si no te contactan, avisame por acá.');
+        return true;
+    }
+    if (!result.success) {
+        console.error('[Picker] Error al asignar desde la lista:', result.error, pick);
+        await sendText(from, 'Hubo un problema al registrar tu elección. Probá de nuevo en unos minutos.');
+        return true;
+    }
+    candidatesByTicket.delete(String(pick.ticketId));
+    console.log('[Picker] Profesional elegido desde WhatsApp.', { from, ...pick });
+    return true;
+}
+
+module.exports = {
+    isProviderPickerEnabled,
+    sendProviderPicker,
+    handleProviderPick,
+};
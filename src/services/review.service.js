@@ -2,6 +2,7 @@
 
 const axios = require('axios');
 const { getPendingReviewTicketByClientPhone, updateTicketClientRating } = require('./db.service');
+const { toCanonicalPhone } = require('../utils/phoneNumber');
 const { sendWhatsAppText } = require('./whatsapp.service');
 const { generateInternalToken } = require('../utils/jwt');
 const { emitCreditEvent } = require('./credit.service');
@@ -25,11 +26,10 @@ const PROVIDER_SERVICE_URL = (process.env.PROVIDER_SERVICE_URL || '').replace(/\
 async function checkAndProcessClientReview(from, text) {
     if (!from || typeof text !== 'string') return false;
 
-    const digits = String(from).replace(/\D/g, '');
-    const phoneSuffix = digits.slice(-10);
-    if (phoneSuffix.length !== 10) return false;
+    const canonicalPhone = toCanonicalPhone(from);
+    if (!canonicalPhone) return false;
 
-    const ticket = await getPendingReviewTicketByClientPhone(phoneSuffix);
+    const ticket = await getPendingReviewTicketByClientPhone(canonicalPhone);
     if (!ticket) return false;
 
     const trimmed = text.trim();
@@ -80,7 +80,7 @@ async function checkAndProcessClientReview(from, text) {
         }).catch(err => console.error('[Credit] Error emitting review event:', err.message));
     }
 
-    console.log('[Review] Calificación registrada.', { ticketId: ticket.id, clientRating: rating, clientSuffix: phoneSuffix });
+    console.log('[Review] Calificación registrada.', { ticketId: ticket.id, clientRating: rating, client: canonicalPhone });
     return true;
 }
 
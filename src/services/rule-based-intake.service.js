@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Extractor determinístico del pedido (sin LLM): fallback cuando Gemini / OpenAI no están disponibles
+ * y motor para correr el flujo en tests sin red.
+ *
+ * Recorre los mensajes del cliente en orden y va completando category / description / zone / urgency:
+ *   category    → sinónimos de CATEGORY_SLUG_MAP (matchmaking) + los del prompt de Gemini.
+ *   zone        → zona fijada por ubicación, ciudad cubierta (serviceArea), "barrio X", "vivo en X"
+ *                 o la respuesta corta a la pregunta por la zona.
+ *   urgency     → palabras clave (urgente, hoy, esta semana, sin apuro...) o alta/media/baja.
+ *   description → el mensaje donde apareció el rubro o la respuesta a la pregunta por el problema.
+ * La salida tiene la misma forma JSON que pide el system prompt (isComplete, extractedData, replyToClient).
+ */
+
+const { CATEGORY_SLUG_MAP } = require('./matchmaking.service');
+const { getCoveredCities, getDefaultServiceCity } = require('../config/serviceArea');
+const { normalizeKeywordText, containsPhrase } = require('../utils/keywordText');
+
+const FIELDS = ['category', 'description', 'zone', 'urgency'];
+const MAX_DESCRIPTION_LENGTH = 300;
+const MAX_SHORT_ANSWER_LENGTH = 60;
+
+const CATEGORY_NAMES = {
+    electricidad: 'Electricidad',
+    plomeria: 'Plomería',
+    gasistas: 'Gasistas',
+    jardineria: 'Jardinería',
+    metalurgia: 'Metalurgía',
+    pintura: 'Pintura',
+    'mantenimiento-limpieza-piletas': 'Mantenimiento y limpieza de piletas',
+    'reparacion-electrodomesticos': 'Reparación de electrodomésticos',
+    'aire-acondicionado': 'Aire acondicionado',
+};
+
+// Sinónimos del prompt de Gemini que no están en CATEGORY_SLUG_MAP.
+const EXTRA_SYNONYMS = {
+    gas: 'gasistas',
+    cano: 'plomeria',
+    canos: 'plomeria',
+    caneria: 'plomeria',
+    canerias: 'plomeria',
+    jardin: 'jardineria',
+    pasto: 'jardineria',
+    poda: 'jardineria',
+    piscina: 'mantenimiento-limpieza-piletas',
+    electrico: 'electricidad',
+};
+
+const URGENCY_KEYWORDS = [
+    // baja primero: "no es urgente" contiene "urgente".
+    ['baja', ['no es urgente', 'sin apuro', 'no hay apuro', 'cuando puedas', 'cuando pueda', 'la semana que viene', 'el mes que viene']],
+    ['alta', ['urgente', 'urgencia', 'emergencia', 'ya mismo', 'cuanto antes', 'lo antes posible', 'inmediato', 'hoy', 'ahora']],
+    ['media', ['esta semana', 'en la semana', 'manana', 'pronto', 'proximos dias', 'unos dias']],
+];
+
+const WORKER_PHRASES = ['ofrecer mis servicios', 'ofrecer servicios', 'busco trabajo', 'buscando trabajo', 'quiero registrarme', 'registrarme como', 'quiero sumarme', 'trabajar con ustedes'];
+const WORKER_REPLY = '¡Hola! Qué bueno que quieras sumarte a miservicio como profesional 💪 Para poder ofrecer tus servicios y recibir trabajos, creá tu perfil gratis en nuestra web: https://miservicio.ar/registro ¡Te esperamos!';
+
+const ZONE_PATTERNS = [
+    /📍\s*Ubicación compartida:\s*([^\n]+)/i,
+    /\b(?:barrio|zona)\s+([^,.;!?\n]{2,40})/i,
+    /\b(?:vivo|estoy|queda|es)\s+en\s+(?:el\s+|la\s+)?([^,.;!?\n]{2,40})/i,
+];
+
+// Claves normalizadas, de la más larga a la más corta ("carga de gas" antes que "gas").
+const CATEGORY_KEYS = Object.entries({ ...CATEGORY_SLUG_MAP, ...EXTRA_SYNONYMS })
+    .map(([key, slug]) => ({ key: normalizeKeywordText(key), slug }))
+    .filter((entry, i, all) => entry.key && all.findIndex((e) => e.key === entry.key) === i)
+    .sort((a, b) => b.key.length - a.key.length);
+
+/** Slug de provider-service del rubro mencionado en el texto (o null). */
+function detectCategorySlug(text) {
+    const n = normalizeKeywordText(text);
+    const hit = CATEGORY_KEYS.find(({ key }) => containsPhrase(n, key) || containsPhrase(n, `${key}s`));
+    return hit ? hit.slug : null;
+}
+
+function detectCategory(text) {
+    const slug = detectCategorySlug(text);
+    return slug ? CATEGORY_NAMES[slug] || null : null;
+}
+
+function detectUrgency(text) {
+    const n = normalizeKeywordText(text);
+    if (['alta', 'media', 'baja'].includes(n)) return n;
+    for (const [level, keywords] of URGENCY_KEYWORDS) {
+        if (keywords.some((k) => containsPhrase(n, k))) return level;
+    }
+    return null;
+}
+
+function detectZone(text) {
+    const n = normalizeKeywordText(text);
+    const city = getCoveredCities().find((c) => containsPhrase(n, c));
+    for (const pattern of ZONE_PATTERNS) {
+        const match = pattern.exec(text);
+        if (match) return match[1].trim();
+    }
+    return city || null;
+}
+
+function isWorkerMessage(text) {
+    const n = normalizeKeywordText(text);
+    return WORKER_PHRASES.some((p) => containsPhrase(n, p));
+}
+
+function firstMissing(data) {
+    return FIELDS.find((f) => !data[f]) || null;
+}
+
+/** Aplica un mensaje del cliente a los datos acumulados. */
+function applyUserMessage(data, text) {
+    const pending = firstMissing(data);
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return data;
+    const isShortAnswer = trimmed.length <= MAX_SHORT_ANSWER_LENGTH;
+
+    const category = detectCategory(trimmed);
+    if (category && !data.category) {
+        data.category = category;
+        // El mensaje que trae el rubro suele describir el problema ("se me rompió la heladera").
+        if (!data.description && normalizeKeywordText(trimmed).split(' ').length > 2) {
+            data.description = trimmed.slice(0, MAX_DESCRIPTION_LENGTH);
+        }
+    }
+    const urgency = detectUrgency(trimmed);
+    if (urgency) data.urgency = urgency;
+    const zone = detectZone(trimmed);
+    if (zone) data.zone = zone;
+
+    if (pending === 'description' && !data.description && !category) {
+        data.description = trimmed.slice(0, MAX_DESCRIPTION_LENGTH);
+    } else if (pending === 'zone' && !data.zone && isShortAnswer && !urgency) {
+        data.zone = trimmed;
+    }
+    return data;
+}
+
+function buildReply(data) {
+    const metro = process.env.SERVICE_AREA_CUSTOMER_HINT || getDefaultServiceCity();
+    switch (firstMissing(data)) {
+        case 'category':
+            return '¿Qué tipo de profesional necesitás? Por ejemplo: electricista, plomero, gasista, pintor, técnico de aire acondicionado o de electrodomésticos.';
+        case 'description':
+            return 'Contame un poco más: ¿qué problema tenés o qué trabajo necesitás?';
+        case 'zone':
+            return `¿En qué barrio o zona de ${metro} necesitás el servicio?`;
+        case 'urgency':
+            return '¿Qué tan urgente es? Respondé alta (hoy mismo), media (esta semana) o baja (sin apuro).';
+        default:
+            return `¡Listo! Tengo tu pedido de ${data.category} en ${data.zone}. Ya busco profesionales disponibles.`;
+    }
+}
+
+function userTexts(contents) {
+    return (contents || [])
+        .filter((c) => c.role === 'user')
+        .map((c) => (c.parts || []).map((p) => p.text || '').join(' ').trim())
+        .filter(Boolean);
+}
+
+function summarize({ previousSummary, messages } = {}) {
+    const said = userTexts(messages).join(' / ');
+    const summary = [previousSummary, said ? `El cliente dijo: ${said}` : null].filter(Boolean).join('\n');
+    return summary.slice(-1000);
+}
+
+/**
+ * Genera la salida de un turno como lo haría el LLM.
+ * @param {object} request - { task, contents, context: { extractedData, pinnedZone } | { previousSummary, messages } }
+ * @returns {string} JSON del turno (task intake) o texto del resumen (task summary).
+ */
+function generateRuleBasedTurn(request = {}) {
+    if (request.task === 'summary') return summarize(request.context);
+
+    const texts = userTexts(request.contents);
+    const latest = texts[texts.length - 1] || '';
+    if (isWorkerMessage(latest)) {
+        return JSON.stringify({
+            intent: 'provider_signup',
+            isComplete: false,
+            extractedData: { category: null, description: null, zone: null, urgency: null },
+            replyToClient: WORKER_REPLY
+        });
+    }
+
+    // Con datos de la sesión alcanza el último mensaje; sin ellos (sesión nueva, tests) se recorre todo.
+    const known = request.context?.extractedData || {};
+    const data = Object.fromEntries(FIELDS.map((f) => [f, known[f] || null]));
+    const hasKnown = FIELDS.some((f) => data[f]);
+    for (const text of hasKnown ? [latest] : texts) applyUserMessage(data, text);
+    if (request.context?.pinnedZone) data.zone = request.context.pinnedZone;
+
+    return JSON.stringify({
+        intent: 'service_request',
+        isComplete: FIELDS.every((f) => data[f]),
+        extractedData: data,
+        replyToClient: buildReply(data)
+    });
+}
+
+module.exports = {
+    generateRuleBasedTurn,
+    CATEGORY_NAMES,
+    detectCategory,
+    detectCategorySlug,
+    detectUrgency,
+    detectZone,
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Ventana de atención al cliente de WhatsApp (24 h desde el último mensaje del usuario).
+ * Dentro de la ventana Meta acepta mensajes libres; fuera, solo plantillas aprobadas.
+ * El último mensaje entrante por número se mantiene desde el webhook (service_windows).
+ */
+
+const { touchServiceWindow, getLastInboundAt } = require('./db.service');
+
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Registra un mensaje entrante (llamado por el webhook por cada mensaje nuevo).
+ * @param {string} phoneNumber - Remitente normalizado (549...).
+ * @param {string|number} [metaTimestamp] - messages[i].timestamp (epoch en segundos).
+ */
+async function recordInbound(phoneNumber, metaTimestamp) {
+    const seconds = Number(metaTimestamp);
+    const at = Number.isFinite(seconds) && seconds > 0 ? new Date(seconds * 1000) : new Date();
+    try {
+        await touchServiceWindow(phoneNumber, at);
+    } catch (err) {
+        console.error('[ServiceWindow] No se pudo registrar mensaje entrante:', err.message, { phoneNumber });
+    }
+}
+
+/**
+ * Estado de la ventana para un número.
+ * @param {string} phoneNumber - Número normalizado (549...).
+ * @returns {Promise<{ open: boolean, lastInboundAt: Date|null, expiresAt: Date|null, remainingMs: number }>}
+ */
+async function getServiceWindow(phoneNumber) {
+    const last = await getLastInboundAt(phoneNumber);
+    if (!last) {
+        return { open: false, lastInboundAt: null, expiresAt: null, remainingMs: 0 };
+    }
+    const lastInboundAt = new Date(last);
+    const expiresAt = new Date(lastInboundAt.getTime() + SERVICE_WINDOW_MS);
+    const remainingMs = Math.max(0, expiresAt.getTime() - Date.now());
+    return { open: remainingMs > 0, lastInboundAt, expiresAt, remainingMs };
+}
+
+module.exports = {
+    SERVICE_WINDOW_MS,
+    recordInbound,
+    getServiceWindow,
+};
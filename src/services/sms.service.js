@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * Envío de SMS vía un gateway HTTP genérico (canal alternativo a WhatsApp).
+ *
+ * SMS_GATEWAY_URL — endpoint que recibe POST { to, from, body } en JSON.
+ * SMS_GATEWAY_TOKEN — se envía como Authorization: Bearer (opcional).
+ * SMS_FROM — remitente / número corto (opcional, depende del gateway).
+ *
+ * El id del mensaje se toma de la respuesta (id | sid | messageId) si el gateway lo devuelve.
+ */
+
+const axios = require('axios');
+
+/**
+ * @param {string} to - Número del destinatario (solo dígitos, con código de país).
+ * @param {string} body
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+async function sendSms(to, body) {
+    const url = (process.env.SMS_GATEWAY_URL || '').trim();
+    if (!url) {
+        return { success: false, error: 'SMS_GATEWAY_URL not configured' };
+    }
+    const token = (process.env.SMS_GATEWAY_TOKEN || '').trim();
+    try {
+        const { data } = await axios.post(
+            url,
+            { to: `+${String(to).replace(/\D/g, '')}`, from: process.env.SMS_FROM || undefined, body },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                timeout: 15_000
+            }
+        );
+        const id = data?.id || data?.sid || data?.messageId;
+        return { success: true, messageId: id != null ? String(id) : undefined };
+    } catch (err) {
+        const error = err.response?.data?.error?.message || err.response?.data?.message || err.message;
+        console.error('[SMS] send error:', error);
+        return { success: false, error };
+    }
+}
+
+module.exports = { sendSms };
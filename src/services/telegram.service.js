@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Cliente de la Bot API de Telegram (canal alternativo a WhatsApp).
+ * Requiere en .env: TELEGRAM_BOT_TOKEN. El webhook se valida con TELEGRAM_WEBHOOK_SECRET
+ * (el mismo valor que se pasa como secret_token en setWebhook).
+ * Documentación: https://core.telegram.org/bots/api
+ */
+
+const axios = require('axios');
+
+const TELEGRAM_API_BASE = 'https://api.telegram.org';
+
+function getToken() {
+    return (process.env.TELEGRAM_BOT_TOKEN || '').trim();
+}
+
+async function callTelegram(method, body) {
+    const token = getToken();
+    if (!token) {
+        return { success: false, error: 'TELEGRAM_BOT_TOKEN not configured' };
+    }
+    try {
+        const { data } = await axios.post(`${TELEGRAM_API_BASE}/bot${token}/${method}`, body, { timeout: 15_000 });
+        return { success: true, data: data?.result };
+    } catch (err) {
+        const error = err.response?.data?.description || err.message;
+        console.error(`[Telegram] ${method} error:`, error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Envía un mensaje de texto, con botones inline opcionales (callback_data = id del botón).
+ * @param {string|number} chatId
+ * @param {string} text
+ * @param {Array<{ id: string, title: string }>} [buttons]
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ */
+async function sendTelegramMessage(chatId, text, buttons) {
+    const body = { chat_id: chatId, text };
+    if (Array.isArray(buttons) && buttons.length > 0) {
+        body.reply_markup = {
+            inline_keyboard: buttons.map((b) => [{ text: b.title, callback_data: String(b.id).slice(0, 64) }])
+        };
+    }
+    const result = await callTelegram('sendMessage', body);
+    if (!result.success) return result;
+    return { success: true, messageId: result.data?.message_id != null ? String(result.data.message_id) : undefined };
+}
+
+/**
+ * Confirma a Telegram que se recibió el toque de un botón inline (saca el "cargando" del cliente).
+ * @param {string} callbackQueryId
+ */
+async function answerTelegramCallback(callbackQueryId) {
+    return callTelegram('answerCallbackQuery', { callback_query_id: callbackQueryId });
+}
+
+module.exports = {
+    sendTelegramMessage,
+    answerTelegramCallback,
+};
@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Consultas del cliente sobre pedidos que ya existen (corre antes del debounce → Gemini).
+ *
+ *   "¿qué pasó con mi pedido?", "no vino nadie"  → estado de los pedidos en curso (profesional o Magic Link)
+ *   "quiero cancelar", "ya no lo necesito"        → elegir pedido → motivo (botones o texto libre)
+ *                                                   → confirmación → CANCELADO
+ *   "reprogramar", "otro día"                     → ASIGNADO: se le avisa al profesional;
+ *                                                   ABIERTO: botones para cambiar la urgencia
+ *
+ * Solo intercepta si el cliente tiene pedidos ABIERTO / ASIGNADO (el estado también responde por el
+ * último pedido de los últimos 30 días); si no, el mensaje sigue a la IA como un pedido nuevo.
+ * Las frases son completas (con límite de palabra): "mi pedido" o "cancela" sueltos no alcanzan, para no
+ * confundir un pedido nuevo con una consulta. Nada se cancela sin el botón de confirmación.
+ * Botones: TKT_CANCEL_<id>, TKT_REASON_<id>_<motivo>, TKT_CONFIRM_<id>_<motivo>, TKT_KEEP_<id>,
+ * TKT_RESCHED_<id>, TKT_URGENCY_<id>_<nivel>.
+ */
+
+const {
+    getTicketById,
+    getOpenTicketsByPhone,
+    getLatestTicketByPhone,
+    cancelTicketByClient,
+    updateTicketUrgencyByClient,
+} = require('./db.service');
+const { sendText, sendButtons } = require('./channel.service');
+const { sendWhatsAppText } = require('./whatsapp.service');
+const { normalizeKeywordText, containsPhrase } = require('../utils/keywordText');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+const BUTTON_PREFIX = 'TKT_';
+const MAX_TICKET_BUTTONS = 3;
+const PENDING_REASON_TTL_MS = 15 * 60 * 1000;
+
+const CANCEL_PHRASES = ['cancelar', 'cancelalo', 'cancelen', 'cancelenlo', 'anular', 'anulalo', 'anulen', 'ya no lo necesito', 'ya no necesito', 'ya no hace falta', 'no lo necesito mas', 'dejalo sin efecto'];
+const CANCEL_NEGATIONS = ['no quiero cancelar', 'no cancelar', 'no lo cancelen', 'no cancelen', 'no lo canceles', 'no anular'];
+const RESCHEDULE_PHRASES = ['reprogramar', 'reprogramalo', 'reprogramen', 'cambiar el dia', 'cambiar el horario', 'cambiar la fecha', 'cambiar la hora', 'otro dia', 'otro horario', 'posponer', 'postergar', 'pasarlo para', 'mover la visita', 'cambiar la urgencia'];
+const STATUS_PHRASES = ['que paso con mi pedido', 'estado de mi pedido', 'estado de mi solicitud', 'estado de mi reclamo', 'cuando viene', 'cuando llega', 'cuando me llaman', 'no vino nadie', 'no me contactaron', 'no me llamaron', 'no me escribieron', 'nadie me contacto', 'nadie me llamo', 'ya asignaron', 'hay novedades'];
+
+const CANCEL_REASONS = {
+    RESUELTO: { title: 'Ya lo resolví', reason: 'Ya lo resolví' },
+    SIN_CONTACTO: { title: 'Nadie me contactó', reason: 'Nadie me contactó' },
+    OTRO: { title: 'Otro motivo', reason: null },
+};
+
+const URGENCY_OPTIONS = [
+    { level: 'alta', title: 'Alta (hoy)' },
+    { level: 'media', title: 'Media (esta semana)' },
+    { level: 'baja', title: 'Baja (sin apuro)' },
+];
+
+const STATUS_LABELS = {
+    ABIERTO: 'buscando profesional',
+    ASIGNADO: 'asignado',
+    COMPLETADO: 'completado',
+    CANCELADO: 'cancelado',
+};
+
+// identidad → { ticketId, expiresAt }: esperando el motivo de cancelación en texto libre.
+const pendingCancelReasons = new Map();
+// identidad → { ticketId, reason, expiresAt }: motivo en texto libre esperando la confirmación.
+const pendingCancelConfirmations = new Map();
+
+/**
+ * Intención sobre pedidos existentes. Cancelar tiene prioridad sobre reprogramar, y ésta sobre el estado.
+ * @param {string} text
+ * @returns {'cancel'|'reschedule'|'status'|null}
+ */
+function detectTicketIntent(text) {
+    const normalized = normalizeKeywordText(text);
+    if (!normalized) return null;
+    if (CANCEL_PHRASES.some((p) => containsPhrase(normalized, p)) && !CANCEL_NEGATIONS.some((p) => containsPhrase(normalized, p))) {
+        return 'cancel';
+    }
+    if (RESCHEDULE_PHRASES.some((p) => containsPhrase(normalized, p))) return 'reschedule';
+    if (STATUS_PHRASES.some((p) => containsPhrase(normalized, p))) return 'status';
+    return null;
+}
+
+function ticketLabel(ticket) {
+    return `#${ticket.id} ${ticket.category || 'Pedido'}`;
+}
+
+function truncate(text, max) {
+    const value = String(text || '').trim();
+    return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function matchLink(ticketId) {
+    return `${FRONTEND_URL}/pedidos/match/${ticketId}`;
+}
+
+/** Línea de estado de un pedido para el cliente. */
+function describeTicket(ticket) {
+    const header = `📋 Pedido ${ticketLabel(ticket)}${ticket.zone ? ` (${ticket.zone})` : ''}`;
+    switch (ticket.status) {
+        case 'ABIERTO':
+            return `${header}\nEstado: buscando profesional. Podés ver y elegir profesionales acá: ${matchLink(ticket.id)}`;
+        case 'ASIGNADO':
+            return `${header}\nEstado: asignado a ${ticket.provider_name || 'un profesional'}. Si todavía no te contactó, avisame y te paso otras opciones.`;
+        default:
+            return `${header}\nEstado: ${STATUS_LABELS[ticket.status] || String(ticket.status || '').toLowerCase()}.`;
+    }
+}
+
+async function answerStatus(from, openTickets) {
+    if (openTickets.length > 0) {
+        const lines = openTickets.slice(0, MAX_TICKET_BUTTONS).map(describeTicket);
+        if (openTickets.length > MAX_TICKET_BUTTONS) lines.push(`Y ${openTickets.length - MAX_TICKET_BUTTONS} pedido(s) más en curso.`);
+        lines.push('Si querés cancelar o reprogramar, escribime "cancelar" o "reprogramar".');
+        await sendText(from, lines.join('\n\n'));
+        return true;
+    }
+    const latest = await getLatestTicketByPhone(from);
+    if (!latest) return false;
+    await sendText(from, `${describeTicket(latest)}\n\nNo tenés pedidos en curso. Si necesitás algo nuevo, contame qué te pasa y lo busco.`);
+    return true;
+}
+
+/** Con un solo pedido sigue directo; con varios pregunta cuál. */
+async function chooseTicket(from, openTickets, action, question) {
+    if (openTickets.length === 1) return openTickets[0];
+    const buttons = openTickets.slice(0, MAX_TICKET_BUTTONS).map((t) => ({
+        id: `${BUTTON_PREFIX}${action}_${t.id}`,
+        title: truncate(ticketLabel(t), 20),
+    }));
+    await sendButtons(from, question, buttons);
+    return null;
+}
+
+async function askCancelReason(from, ticket) {
+    const buttons = Object.entries(CANCEL_REASONS).map(([code, { title }]) => ({
+        id: `${BUTTON_PREFIX}REASON_${ticket.id}_${code}`,
+        title,
+    }));
+    await sendButtons(
+        from,
+        `Vas a cancelar el pedido ${ticketLabel(ticket)}. ¿Por qué lo cancelás?\n\nSi preferís mantenerlo, ignorá este mensaje.`,
+        buttons
+    );
+}
+
+async function askCancelConfirmation(from, ticket, code, reason) {
+    if (code === 'OTRO') {
+        pendingCancelConfirmations.set(from, { ticketId: ticket.id, reason, expiresAt: Date.now() + PENDING_REASON_TTL_MS });
+    }
+    await sendButtons(
+        from,
+        `¿Confirmás que querés cancelar el pedido ${ticketLabel(ticket)}?\nMotivo: ${truncate(reason, 200)}`,
+        [
+            { id: `${BUTTON_PREFIX}CONFIRM_${ticket.id}_${code}`, title: 'Sí, cancelar' },
+            { id: `${BUTTON_PREFIX}KEEP_${ticket.id}`, title: 'No, mantenerlo' },
+        ]
+    );
+}
+
+/** Motivo confirmado: el del botón o el texto libre guardado (si se perdió, "Otro motivo"). */
+function confirmedReason(from, ticketId, code) {
+    const pending = pendingCancelConfirmations.get(from);
+    pendingCancelConfirmations.delete(from);
+    if (CANCEL_REASONS[code].reason) return CANCEL_REASONS[code].reason;
+    if (pending && String(pending.ticketId) === String(ticketId) && pending.expiresAt > Date.now()) return pending.reason;
+    return CANCEL_REASONS.OTRO.title;
+}
+
+async function askReschedule(from, ticket) {
+    if (ticket.status === 'ASIGNADO') {
+        if (ticket.provider_phone) {
+            // Los profesionales siempre se contactan por WhatsApp.
+            await sendWhatsAppText(ticket.provider_phone, `Hola. El cliente del pedido ${ticketLabel(ticket)}${ticket.zone ? ` (${ticket.zone})` : ''} pidió reprogramar la visita. Escribile para acordar un nuevo día y horario.`);
+            await sendText(from, `Listo, le avisé a ${ticket.provider_name || 'el profesional'} que querés reprogramar. Te va a escribir para acordar un nuevo día y horario.`);
+        } else {
+            await sendText(from, `Tu pedido ${ticketLabel(ticket)} está asignado a ${ticket.provider_name || 'un profesional'}. Coordiná el nuevo día y horario directamente por el contacto que te pasamos.`);
+        }
+        console.log('[TicketInquiry] Reprogramación pedida (ASIGNADO).', { from, ticketId: ticket.id });
+        return;
+    }
+    const buttons = URGENCY_OPTIONS.map(({ level, title }) => ({
+        id: `${BUTTON_PREFIX}URGENCY_${ticket.id}_${level}`,
+        title,
+    }));
+    await sendButtons(from, `Tu pedido ${ticketLabel(ticket)} todavía no tiene profesional. ¿Para cuándo lo necesitás ahora?`, buttons);
+}
+
+async function cancelTicket(from, ticketId, reason) {
+    pendingCancelReasons.delete(from);
+    const ticket = await cancelTicketByClient(ticketId, from, reason);
+    if (!ticket) {
+        await sendText(from, 'Ese pedido ya no se puede cancelar (puede que ya esté completado o cancelado).');
+        return;
+    }
+    console.log('[TicketInquiry] Pedido cancelado por el cliente.', { from, ticketId: ticket.id, reason });
+    if (ticket.provider_phone) {
+        await sendWhatsAppText(ticket.provider_phone, `Hola. El cliente canceló el pedido ${ticketLabel(ticket)}. Ya no hace falta que lo contactes. ¡Gracias!`);
+    }
+    await sendText(from, `Listo, cancelé el pedido ${ticketLabel(ticket)}. Si necesitás algo más, escribime cuando quieras.`);
+}
+
+/** Ticket del botón, solo si es del cliente y sigue en curso. */
+async function loadOwnOpenTicket(from, ticketId) {
+    const ticket = await getTicketById(ticketId);
+    if (!ticket || ticket.phone_number !== from) {
+        console.warn('[TicketInquiry] Botón sobre un ticket ajeno o inexistente.', { from, ticketId });
+        return null;
+    }
+    if (!['ABIERTO', 'ASIGNADO'].includes(ticket.status)) {
+        await sendText(from, `El pedido ${ticketLabel(ticket)} ya está ${STATUS_LABELS[ticket.status] || 'cerrado'}.`);
+        return null;
+    }
+    return ticket;
+}
+
+async function handleTicketButton(from, buttonId) {
+    const match = /^TKT_(CANCEL|REASON|CONFIRM|KEEP|RESCHED|URGENCY)_(\d+)(?:_([A-Za-z_]+))?$/.exec(buttonId);
+    if (!match) return false;
+    const [, action, ticketId, option] = match;
+    const ticket = await loadOwnOpenTicket(from, ticketId);
+    if (!ticket) return true;
+
+    switch (action) {
+        case 'CANCEL':
+            await askCancelReason(from, ticket);
+            break;
+        case 'REASON': {
+            const reason = CANCEL_REASONS[option];
+            if (!reason) break;
+            if (reason.reason) {
+                await askCancelConfirmation(from, ticket, option, reason.reason);
+            } else {
+                pendingCancelReasons.set(from, { ticketId: ticket.id, expiresAt: Date.now() + PENDING_REASON_TTL_MS });
+                await sendText(from, 'Contame en un mensaje el motivo.');
+            }
+            break;
+        }
+        case 'CONFIRM':
+            if (!CANCEL_REASONS[option]) break;
+            await cancelTicket(from, ticket.id, confirmedReason(from, ticket.id, option));
+            break;
+        case 'KEEP':
+            pendingCancelConfirmations.delete(from);
+            await sendText(from, `Perfecto, el pedido ${ticketLabel(ticket)} sigue en curso.`);
+            break;
+        case 'RESCHED':
+            await askReschedule(from, ticket);
+            break;
+        case 'URGENCY': {
+            if (!URGENCY_OPTIONS.some((o) => o.level === option)) break;
+            const updated = await updateTicketUrgencyByClient(ticket.id, from, option);
+            await sendText(from, updated
+                ? `Listo, actualicé la urgencia del pedido ${ticketLabel(ticket)} a ${option}. Cuando quieras elegir profesional: ${matchLink(ticket.id)}`
+                : `No pude actualizar el pedido ${ticketLabel(ticket)}: ya tiene un profesional asignado.`);
+            break;
+        }
+        default:
+            break;
+    }
+    return true;
+}
+
+/**
+ * @param {string} from - Identidad del cliente (549..., tg:..., sms:...).
+ * @param {object} input
+ * @param {string} [input.text]
+ * @param {string} [input.buttonId]
+ * @returns {Promise<boolean>} true si el mensaje se consumió acá (no sigue a la IA).
+ */
+async function handleTicketInquiry(from, { text, buttonId } = {}) {
+    if (buttonId) {
+        if (!buttonId.startsWith(BUTTON_PREFIX)) return false;
+        return handleTicketButton(from, buttonId);
+    }
+
+    const pending = pendingCancelReasons.get(from);
+    if (pending) {
+        pendingCancelReasons.delete(from);
+        if (pending.expiresAt > Date.now() && text && text.trim()) {
+            const ticket = await loadOwnOpenTicket(from, pending.ticketId);
+            if (ticket) await askCancelConfirmation(from, ticket, 'OTRO', text.trim());
+            return true;
+        }
+    }
+
+    const intent = detectTicketIntent(text);
+    if (!intent) return false;
+
+    const openTickets = await getOpenTicketsByPhone(from);
+    console.log('[TicketInquiry] Consulta sobre pedidos existentes.', { from, intent, openTickets: openTickets.length });
+    if (intent === 'status') return answerStatus(from, openTickets);
+    if (openTickets.length === 0) return false;
+
+    if (intent === 'cancel') {
+        const ticket = await chooseTicket(from, openTickets, 'CANCEL', '¿Qué pedido querés cancelar?');
+        if (ticket) await askCancelReason(from, ticket);
+        return true;
+    }
+    const ticket = await chooseTicket(from, openTickets, 'RESCHED', '¿Qué pedido querés reprogramar?');
+    if (ticket) await askReschedule(from, ticket);
+    return true;
+}
+
+module.exports = {
+    detectTicketIntent,
+    handleTicketInquiry,
+};
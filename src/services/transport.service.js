@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Transporte de mensajes salientes de WhatsApp (lo usa el outbox para cada envío).
+ *
+ * WA_TRANSPORT — driver activo: "meta" (default, API Cloud de Meta) o "sandbox".
+ *
+ * Un driver es un objeto { isConfigured() → boolean, send(payload) → Promise<{ messageId }> }.
+ * send recibe el body completo de POST /{phone-number-id}/messages y ante error lanza un
+ * WhatsAppSendError (ver whatsapp-api.service) para que el outbox decida si reintentar.
+ *
+ * El driver sandbox no sale a la red: guarda cada payload en memoria (además del registro que ya
+ * hacen outbound_messages y chat_logs) y devuelve un wamid ficticio. Junto con el endpoint
+ * POST /api/v1/notifications/sandbox/inbound permite correr el flujo completo sin Meta.
+ */
+
+const crypto = require('crypto');
+const { isConfigured: isMetaConfigured, postToGraph } = require('./whatsapp-api.service');
+
+const SANDBOX_MAX_MESSAGES = 500;
+const sandboxMessages = [];
+
+const metaDriver = {
+    isConfigured: isMetaConfigured,
+    send: postToGraph,
+};
+
+const sandboxDriver = {
+    isConfigured: () => true,
+    async send(payload) {
+        const messageId = `wamid.SANDBOX.${crypto.randomUUID()}`;
+        sandboxMessages.push({ messageId, to: payload?.to || null, type: payload?.type || null, payload, sentAt: new Date() });
+        if (sandboxMessages.length > SANDBOX_MAX_MESSAGES) {
+            sandboxMessages.splice(0, sandboxMessages.length - SANDBOX_MAX_MESSAGES);
+        }
+        console.log('[Sandbox] Mensaje saliente registrado.', { to: payload?.to, type: payload?.type, messageId });
+        return { messageId };
+    },
+};
+
+const drivers = new Map([
+    ['meta', metaDriver],
+    ['sandbox', sandboxDriver],
+]);
+
+/**
+ * Registra (o reemplaza) un driver de transporte.
+ * @param {string} name
+ * @param {{ isConfigured: Function, send: Function }} driver
+ */
+function registerTransportDriver(name, driver) {
+    if (!name || !driver || typeof driver.send !== 'function' || typeof driver.isConfigured !== 'function') {
+        throw new Error('Transport driver must implement isConfigured() and send()');
+    }
+    drivers.set(name, driver);
+}
+
+function getTransportName() {
+    return (process.env.WA_TRANSPORT || 'meta').trim().toLowerCase();
+}
+
+function getDriver() {
+    const name = getTransportName();
+    const driver = drivers.get(name);
+    if (!driver) {
+        throw new Error(`Unknown WA_TRANSPORT: ${name}`);
+    }
+    return driver;
+}
+
+function isSandboxTransport() {
+    return getTransportName() === 'sandbox';
+}
+
+/** ¿El driver activo puede enviar? (Meta: token y phone-number-id presentes). */
+function isConfigured() {
+    return getDriver().isConfigured();
+}
+
+/**
+ * Envía un payload con el driver activo.
+ * @param {object} payload
+ * @returns {Promise<{ messageId: string|undefined }>}
+ */
+async function sendPayload(payload) {
+    return getDriver().send(payload);
+}
+
+/**
+ * Mensajes registrados por el driver sandbox, del más viejo al más nuevo.
+ * @param {{ to?: string, since?: Date }} [filter] - to en formato de envío (54...), since por fecha.
+ */
+function listSandboxMessages({ to, since } = {}) {
+    return sandboxMessages.filter((m) =>
+        (!to || m.to === to) && (!since || m.sentAt >= since)
+    );
+}
+
+function clearSandboxMessages() {
+    const count = sandboxMessages.length;
+    sandboxMessages.length = 0;
+    return count;
+}
+
+module.exports = {
+    registerTransportDriver,
+    getTransportName,
+    isSandboxTransport,
+    isConfigured,
+    sendPayload,
+    listSandboxMessages,
+    clearSandboxMessages,
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * Cliente de bajo nivel de la API Cloud de Meta: un único POST /{phone-number-id}/messages.
+ * Es el driver "meta" de transport.service; no registra ni reintenta (eso lo hace el outbox).
+ *
+ * Throughput: cada phone-number-id tiene un token bucket (WA_SEND_RATE_PER_SECOND, default 20;
+ * WA_SEND_BURST, default igual al rate), así los crons que envían en loop quedan espaciados.
+ * Los errores de Meta se clasifican (classifyMetaError) para que el outbox reaccione:
+ * esperar, espaciar al destinatario o descartar como imposible de entregar.
+ */
+
+const axios = require('axios');
+const { createTokenBucket } = require('../utils/tokenBucket');
+
+const META_GRAPH_BASE = 'https://graph.facebook.com/v18.0';
+const token = process.env.META_WA_TOKEN;
+const phoneNumberId = process.env.META_WA_PHONE_NUMBER_ID;
+
+const DEFAULT_RATE_PER_SECOND = 20;
+const THROTTLE_PAUSE_MS = 5_000;
+const PAIR_RATE_BACKOFF_MS = 60_000;
+const SPAM_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Reacción esperada ante cada clase de error:
+ *   delay             — límite de throughput de la cuenta: frenar todos los envíos y reintentar.
+ *   backoff_recipient — límite por destinatario: reintentar ese número más tarde.
+ *   undeliverable     — el destinatario no puede recibir mensajes: no reintentar nada para él.
+ *   fail              — este mensaje no se puede entregar (inválido, fuera de ventana, marketing
+ *                       bloqueado por el usuario, token inválido): no reintentarlo; el resto de la cola sigue.
+ *   retry             — transitorio (red, 5xx, servicio no disponible): reintentar con backoff.
+ */
+const META_ERROR_CODES = {
+    4: { category: 'rate_limit', action: 'delay' },                 // Too many calls (app)
+    80007: { category: 'rate_limit', action: 'delay' },             // Rate limit de la WABA
+    130429: { category: 'rate_limit', action: 'delay' },            // Throughput del número
+    131048: { category: 'spam_rate_limit', action: 'backoff_recipient', backoffMs: SPAM_BACKOFF_MS },
+    131056: { category: 'pair_rate_limit', action: 'backoff_recipient', backoffMs: PAIR_RATE_BACKOFF_MS },
+    131049: { category: 'ecosystem_limit', action: 'backoff_recipient', backoffMs: SPAM_BACKOFF_MS },
+    131026: { category: 'undeliverable', action: 'undeliverable' }, // Número sin WhatsApp / versión vieja
+    131030: { category: 'undeliverable', action: 'undeliverable' }, // No está en la allowed list (sandbox)
+    130472: { category: 'undeliverable', action: 'undeliverable' }, // Número en experimento de Meta
+    131047: { category: 'window_closed', action: 'fail' },          // Fuera de la ventana de 24 h
+    131050: { category: 'marketing_opt_out', action: 'fail' },      // El usuario bloqueó mensajes de marketing
+    131051: { category: 'invalid_request', action: 'fail' },
+    131008: { category: 'invalid_request', action: 'fail' },
+    131009: { category: 'invalid_request', action: 'fail' },
+    131021: { category: 'invalid_request', action: 'fail' },
+    100: { category: 'invalid_request', action: 'fail' },
+    132000: { category: 'template_error', action: 'fail' },
+    132001: { category: 'template_error', action: 'fail' },
+    132005: { category: 'template_error', action: 'fail' },
+    132007: { category: 'template_error', action: 'fail' },
+    132012: { category: 'template_error', action: 'fail' },
+    132015: { category: 'template_error', action: 'fail' },
+    132016: { category: 'template_error', action: 'fail' },
+    368: { category: 'policy_block', action: 'fail' },
+    // Token vencido o sin permisos: reintentar no sirve hasta rotar el token; los mensajes quedan
+    // en dead y se reenvían desde el admin.
+    0: { category: 'auth', action: 'fail' },
+    190: { category: 'auth', action: 'fail' },
+    1: { category: 'transient', action: 'retry' },
+    2: { category: 'transient', action: 'retry' },
+    131000: { category: 'transient', action: 'retry' },
+    131016: { category: 'transient', action: 'retry' },
+};
+
+/**
+ * Clasifica un error de Graph por código de Meta (y, sin código, por status HTTP).
+ * @param {{ status?: number, metaError?: object }} info
+ * @returns {{ code: number|null, category: string, action: string, retryable: boolean, delayMs?: number }}
+ */
+function classifyMetaError({ status, metaError } = {}) {
+    const rawCode = metaError?.error?.code;
+    const code = rawCode != null && Number.isFinite(Number(rawCode)) ? Number(rawCode) : null;
+    const known = code != null ? META_ERROR_CODES[code] : null;
+    if (known) {
+        const delayMs = known.action === 'delay' ? THROTTLE_PAUSE_MS : known.backoffMs;
+        return {
+            code,
+            category: known.category,
+            action: known.action,
+            retryable: ['delay', 'backoff_recipient', 'retry'].includes(known.action),
+            ...(delayMs ? { delayMs } : {})
+        };
+    }
+    if (status === 429) {
+        return { code, category: 'rate_limit', action: 'delay', retryable: true, delayMs: THROTTLE_PAUSE_MS };
+    }
+    if (!status || status >= 500) {
+        return { code, category: 'transient', action: 'retry', retryable: true };
+    }
+    return { code, category: 'invalid_request', action: 'fail', retryable: false };
+}
+
+function getRatePerSecond() {
+    const v = Number(process.env.WA_SEND_RATE_PER_SECOND);
+    return Number.isFinite(v) && v > 0 ? v : DEFAULT_RATE_PER_SECOND;
+}
+
+const buckets = new Map();
+
+/** Token bucket del phone-number-id (se crea al primer envío). */
+function bucketFor(id) {
+    let bucket = buckets.get(id);
+    if (!bucket) {
+        const burst = Number(process.env.WA_SEND_BURST);
+        bucket = createTokenBucket({
+            ratePerSecond: getRatePerSecond(),
+            burst: Number.isFinite(burst) && burst > 0 ? burst : undefined
+        });
+        buckets.set(id, bucket);
+    }
+    return bucket;
+}
+
+/** Estado de los buckets por phone-number-id (para el admin). */
+function getThroughputStats() {
+    const stats = {};
+    for (const [id, bucket] of buckets) stats[id] = bucket.stats();
+    return stats;
+}
+
+function isConfigured() {
+    return !!(token && phoneNumberId);
+}
+
+/**
+ * Error de envío a Graph. classification indica cómo reaccionar (ver META_ERROR_CODES);
+ * retryable resume si vale la pena reintentar el mensaje.
+ */
+class WhatsAppSendError extends Error {
+    constructor(message, { status, metaError, retryable, retryAfterMs, classification } = {}) {
+        super(message);
+        this.name = 'WhatsAppSendError';
+        this.status = status;
+        this.metaError = metaError;
+        this.retryable = !!retryable;
+        this.retryAfterMs = retryAfterMs;
+        this.classification = classification || null;
+    }
+}
+
+function parseRetryAfter(headers) {
+    const raw = headers?.['retry-after'];
+    const seconds = Number(raw);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Envía un payload ya armado (messaging_product, to, type, ...) a Graph.
+ * @param {object} payload
+ * @returns {Promise<{ messageId: string|undefined }>}
+ * @throws {WhatsAppSendError}
+ */
+async function postToGraph(payload) {
+    if (!isConfigured()) {
+        throw new WhatsAppSendError('META_WA_TOKEN or META_WA_PHONE_NUMBER_ID not configured', {
+            retryable: false,
+            classification: { code: null, category: 'not_configured', action: 'fail', retryable: false }
+        });
+    }
+    const bucket = bucketFor(phoneNumberId);
+    await bucket.take();
+    try {
+        const url = `${META_GRAPH_BASE}/${phoneNumberId}/messages`;
+        const { data } = await axios.post(url, payload, {
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 15_000
+        });
+        return { messageId: data?.messages?.[0]?.id };
+    } catch (err) {
+        const status = err.response?.status;
+        const metaError = err.response?.data;
+        const message = metaError?.error?.message || err.message;
+        const classification = classifyMetaError({ status, metaError });
+        const retryAfterMs = parseRetryAfter(err.response?.headers);
+        if (classification.action === 'delay') {
+            const pauseMs = Math.max(classification.delayMs || 0, retryAfterMs || 0);
+            bucket.pauseFor(pauseMs);
+            console.warn('[WhatsApp] Límite de throughput de Meta, envíos pausados.', { code: classification.code, pauseMs });
+        }
+        if (classification.category === 'auth') {
+            console.error('[WhatsApp] ALERTA: token de Meta inválido o vencido. Rotar META_WA_TOKEN y reenviar los mensajes dead desde el admin.', { code: classification.code, message });
+        }
+        throw new WhatsAppSendError(message, {
+            status,
+            metaError,
+            retryable: classification.retryable,
+            retryAfterMs,
+            classification
+        });
+    }
+}
+
+module.exports = {
+    META_GRAPH_BASE,
+    WhatsAppSendError,
+    META_ERROR_CODES,
+    classifyMetaError,
+    getThroughputStats,
+    isConfigured,
+    postToGraph,
+};
@@ -2,46 +2,105 @@
 
 /**
  * Servicio de envío de mensajes por WhatsApp usando la API Cloud de Meta (WhatsApp Business).
- * Requiere en .env: META_WA_TOKEN (token de acceso) y META_WA_PHONE_NUMBER_ID (ID del número de negocio).
+ * Requiere en .env: META_WA_TOKEN (token de acceso) y META_WA_PHONE_NUMBER_ID (ID del número de negocio),
+ * salvo con WA_TRANSPORT=sandbox (ver transport.service), que no sale a la red.
  * Documentación: https://developers.facebook.com/docs/whatsapp/cloud-api
  */
 
-const axios = require('axios');
+const { getTemplate } = require('../config/whatsappTemplates');
+const { getServiceWindow } = require('./service-window.service');
+const { isConfigured } = require('./transport.service');
+const { sendViaOutbox } = require('./outbox.service');
+const { MESSAGE_PURPOSES, isSendAllowed, optedOutResult } = require('./communication-preferences.service');
+const { getDeferral } = require('../utils/quietHours');
+const { toCanonicalPhone, toMetaSendFormat } = require('../utils/phoneNumber');
 
-let saveChatLog;
-try {
-    saveChatLog = require('./db.service').saveChatLog;
-} catch (e) {
-    console.warn('[whatsapp.service] Could not import saveChatLog:', e.message);
-}
-
-const META_GRAPH_BASE = 'https://graph.facebook.com/v18.0';
-const token = process.env.META_WA_TOKEN;
-const phoneNumberId = process.env.META_WA_PHONE_NUMBER_ID;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://miservicio.ar';
+// Margen entre el notBefore de un mensaje diferido y su envío real por el outbox.
+const DEFERRED_SEND_MARGIN_MS = 15 * 60 * 1000;
 
 /**
- * Normaliza números de teléfono argentinos para enviar a la API de WhatsApp.
- * @param {string|number} phone - Número en cualquier formato (local, 54..., 549..., etc.)
- * @returns {string|null} Número limpio (ej. 5492604123456) o null si no hay número.
+ * Normaliza un número al formato canónico (E.164 sin "+", ej. 5492604123456) con utils/phoneNumber.
+ * @param {string|number} phone - Número en cualquier formato (local, 54..., 549..., +56..., etc.)
+ * @returns {string|null} Número canónico; si no se reconoce, solo los dígitos; null si no hay número.
  */
 function formatWhatsAppNumber(phone) {
     if (!phone) return null;
+    return toCanonicalPhone(phone) || phone.toString().replace(/\D/g, '') || null;
+}
+
+/**
+ * Número con el que se registran los mensajes en chat_logs (el canónico, igual que el webhook).
+ * @param {string} formattedPhone - Número ya normalizado con formatWhatsAppNumber.
+ */
+function toChatLogPhone(formattedPhone) {
+    return toCanonicalPhone(formattedPhone) || formattedPhone;
+}
 
-    let cleaned = phone.toString().replace(/\D/g, '');
-    if (cleaned.startsWith('0')) {
-        cleaned = cleaned.substring(1);
+/**
+ * Momento a partir del cual sale el mensaje: null (ya) o el próximo inicio del horario de entrega
+ * si es proactivo, no urgente y estamos fuera de horario (utils/quietHours).
+ * @param {{ proactive?: boolean, urgent?: boolean }} opts
+ * @returns {Date|null}
+ */
+function getScheduledSendAt({ proactive, urgent } = {}) {
+    return proactive && !urgent ? getDeferral() : null;
+}
+
+/**
+ * Arma el payload para POST /{phone-number-id}/messages y lo entrega vía outbox (persistido, con
+ * reintentos y orden por destinatario). El registro en chat_logs, con el wamid devuelto por Meta,
+ * lo hace el outbox al confirmarse el envío.
+ *
+ * @param {string} phoneNumber - Número del destinatario en cualquier formato.
+ * @param {object} message - Campos propios del tipo de mensaje (type, text | interactive | ...).
+ * @param {object} [opts]
+ * @param {string} [opts.logBody] - Texto a guardar en chat_logs (sin logBody no se registra).
+ * @param {boolean} [opts.skipLog] - No registrar.
+ * @param {string} [opts.logRole] - sender_role del registro (default BOT; el admin usa ADMIN).
+ * @param {string} [opts.logTag] - Prefijo para logs de error.
+ * @param {string} [opts.purpose] - transactional (default) | engagement | preference; ver communication-preferences.service.
+ * @param {boolean} [opts.proactive] - No responde a un mensaje recién recibido: fuera de horario se difiere (utils/quietHours).
+ * @param {boolean} [opts.urgent] - Exento del horario (ticket urgente o categoría exenta).
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, outboxId?: number, error?: string, metaError?: object, classification?: object, optedOut?: boolean }>}
+ *   classification: { code, category, action, retryable } del error de Meta (ver whatsapp-api.service),
+ *   presente ante error o reintento programado. optedOut: el destinatario no acepta este tipo de mensaje.
+ */
+async function postMessage(phoneNumber, message, opts = {}) {
+    const logTag = opts.logTag || '[WhatsApp]';
+    if (!isConfigured()) {
+        return { success: false, error: 'META_WA_TOKEN or META_WA_PHONE_NUMBER_ID not configured' };
     }
-    if (cleaned.startsWith('549') && cleaned.length === 13) {
-        return cleaned;
+
+    const formattedPhone = formatWhatsAppNumber(phoneNumber);
+    if (!formattedPhone) {
+        return { success: false, error: 'Invalid phone number' };
     }
-    if (cleaned.startsWith('54') && cleaned.length === 12) {
-        return '549' + cleaned.substring(2);
+
+    const preference = await isSendAllowed(toChatLogPhone(formattedPhone), opts.purpose);
+    if (!preference.allowed) {
+        console.log(`${logTag} Envío omitido por preferencia de comunicación.`, { to: formattedPhone, level: preference.level, purpose: opts.purpose || 'transactional' });
+        return optedOutResult(preference.level);
     }
-    if (cleaned.length === 10) {
-        return '549' + cleaned;
+
+    // Meta Allowed List puede esperar 54 sin 9 (ver toMetaSendFormat).
+    const to = toMetaSendFormat(formattedPhone) || formattedPhone;
+
+    const notBefore = getScheduledSendAt(opts);
+
+    const result = await sendViaOutbox({
+        phoneNumber: toChatLogPhone(formattedPhone),
+        payload: { messaging_product: 'whatsapp', recipient_type: 'individual', to, ...message },
+        logBody: opts.skipLog ? null : opts.logBody,
+        logRole: opts.logRole,
+        notBefore
+    });
+    if (!result.success) {
+        console.error(`${logTag} send error:`, result.error, result.classification
+            ? { code: result.classification.code, category: result.classification.category }
+            : undefined);
     }
-    return cleaned;
+    return result;
 }
 
 /**
@@ -50,178 +109,329 @@ function formatWhatsAppNumber(phone) {
  *
  * @param {string} phoneNumber - Número en formato E.164 (ej. +5492604123456 o 5492604123456)
  * @param {string} body - Cuerpo del mensaje (texto plano)
- * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ * @param {object} [opts]
+ * @param {boolean} [opts.skipLog] - No registrar en chat_logs.
+ * @param {string} [opts.logRole] - sender_role del registro (default BOT; ej. ADMIN).
+ * @param {string} [opts.purpose] - Propósito para las preferencias de comunicación (default transactional).
+ * @param {boolean} [opts.proactive] - Envío proactivo: respeta el horario de entrega (ver postMessage).
+ * @param {boolean} [opts.urgent] - Exento del horario.
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, outboxId?: number, error?: string }>}
  */
 async function sendWhatsAppText(phoneNumber, body, opts = {}) {
-    if (!token || !phoneNumberId) {
-        return { success: false, error: 'META_WA_TOKEN or META_WA_PHONE_NUMBER_ID not configured' };
-    }
+    return postMessage(
+        phoneNumber,
+        { type: 'text', text: { body } },
+        { logBody: body, skipLog: opts.skipLog, logRole: opts.logRole, purpose: opts.purpose, proactive: opts.proactive, urgent: opts.urgent }
+    );
+}
 
-    const formattedPhone = formatWhatsAppNumber(phoneNumber);
-    if (!formattedPhone) {
-        return { success: false, error: 'Invalid phone number' };
+/**
+ * Envía una plantilla aprobada (HSM) del registro config/whatsappTemplates.
+ * Las plantillas son el único tipo de mensaje que Meta acepta con la ventana de 24 h cerrada.
+ *
+ * @param {string} phoneNumber - Número del destinatario.
+ * @param {string} templateKey - Clave del registro (ej. "provider_new_lead").
+ * @param {object} [params] - Contexto; se toman los valores en el orden definido por la plantilla.
+ * @param {object} [opts]
+ * @param {boolean} [opts.skipLog]
+ * @param {string} [opts.logRole]
+ * @param {string} [opts.purpose]
+ * @param {boolean} [opts.proactive]
+ * @param {boolean} [opts.urgent]
+ * @returns {Promise<{ success: boolean, messageId?: string, queued?: boolean, outboxId?: number, error?: string, template?: string }>}
+ */
+async function sendWhatsAppTemplate(phoneNumber, templateKey, params = {}, opts = {}) {
+    const template = getTemplate(templateKey);
+    if (!template) {
+        return { success: false, error: `Unknown template: ${templateKey}` };
     }
 
-    // Meta Allowed List puede esperar 54 sin 9; se envía formateado y se ajusta si hace falta.
-    const to = formattedPhone.startsWith('549') ? '54' + formattedPhone.slice(3) : formattedPhone;
+    const values = template.params.map((key) => String(params[key] ?? '').trim() || '-');
+    const components = values.length > 0
+        ? [{ type: 'body', parameters: values.map((text) => ({ type: 'text', text })) }]
+        : [];
 
-    try {
-        const url = `${META_GRAPH_BASE}/${phoneNumberId}/messages`;
-        const { data } = await axios.post(
-            url,
-            {
-                messaging_product: 'whatsapp',
-                to,
-                type: 'text',
-                text: { body }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                timeout: 15_000
+    const result = await postMessage(
+        phoneNumber,
+        {
+            type: 'template',
+            template: {
+                name: template.name,
+                language: { code: template.language },
+                components
             }
-        );
-        const messageId = data?.messages?.[0]?.id;
-        if (!opts.skipLog && typeof saveChatLog === 'function') {
-            const dbPhone = formattedPhone.startsWith('549') ? formattedPhone : '549' + formattedPhone.replace(/^54/, '');
-            saveChatLog(dbPhone, 'BOT', body).catch(e => console.error('[ChatLogs] save BOT error:', e.message));
+        },
+        {
+            logBody: `[template:${template.name}] ${values.join(' | ')}`.trim(),
+            skipLog: opts.skipLog,
+            logRole: opts.logRole,
+            logTag: '[WhatsApp] template',
+            purpose: opts.purpose,
+            proactive: opts.proactive,
+            urgent: opts.urgent
         }
-        return { success: true, messageId };
+    );
+    return { ...result, template: template.name };
+}
+
+/**
+ * ¿La ventana de 24 h está abierta para este número? Sin dato de último mensaje entrante → cerrada.
+ * Con at (envío diferido), la ventana tiene que seguir abierta cuando salga el mensaje (at + margen):
+ * si cierra antes, Meta rechaza el texto libre (131047) y hay que ir por plantilla.
+ * @param {string} phoneNumber
+ * @param {Date|null} [at] - Momento programado del envío (null = ahora).
+ * @returns {Promise<boolean>}
+ */
+async function isServiceWindowOpen(phoneNumber, at = null) {
+    const formattedPhone = formatWhatsAppNumber(phoneNumber);
+    if (!formattedPhone) return false;
+    try {
+        const serviceWindow = await getServiceWindow(toChatLogPhone(formattedPhone));
+        if (!serviceWindow.open) return false;
+        return !at || serviceWindow.expiresAt.getTime() > at.getTime() + DEFERRED_SEND_MARGIN_MS;
     } catch (err) {
-        const message = err.response?.data?.error?.message || err.message;
-        console.error('[WhatsApp] send error:', message);
-        return { success: false, error: message };
+        console.error('[WhatsApp] No se pudo verificar la ventana de 24 h:', err.message);
+        return false;
     }
 }
 
+/**
+ * Envío proactivo (no es respuesta a un mensaje recién recibido): si la ventana de 24 h está abierta
+ * (y lo sigue estando cuando sale, si el horario lo difiere) se manda el texto libre; si no, la plantilla equivalente.
+ *
+ * @param {string} phoneNumber
+ * @param {string} body - Texto libre a enviar dentro de la ventana.
+ * @param {object} template
+ * @param {string} template.templateKey - Plantilla a usar fuera de la ventana.
+ * @param {object} [template.templateParams] - Contexto de la plantilla.
+ * @param {string} [template.purpose] - Propósito para las preferencias de comunicación.
+ * @param {boolean} [template.urgent] - Sale aunque esté fuera del horario de entrega (utils/quietHours).
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string, via: 'session'|'template', deferred?: boolean }>}
+ */
+async function sendProactiveText(phoneNumber, body, { templateKey, templateParams, purpose, urgent } = {}) {
+    const opts = { purpose, proactive: true, urgent };
+    if (!templateKey || await isServiceWindowOpen(phoneNumber, getScheduledSendAt(opts))) {
+        const result = await sendWhatsAppText(phoneNumber, body, opts);
+        return { ...result, via: 'session' };
+    }
+    const result = await sendWhatsAppTemplate(phoneNumber, templateKey, templateParams, opts);
+    return { ...result, via: 'template' };
+}
+
 /** Límites Meta Cloud API: título de botón reply ≤ 20 caracteres, footer ≤ 60, body ≤ 1024. */
 const GATEKEEPER_BODY =
     '¡Hola! Para usar miservicio, confirmá que aceptás nuestros Términos y Políticas actualizados (v1.1).';
 const GATEKEEPER_FOOTER = 'Ver: miservicio.ar/legal';
 
+/** Textos y botones de los mensajes interactivos, reutilizados por los otros canales (channel.service). */
+const TERMS_PROMPT = {
+    body: GATEKEEPER_BODY,
+    footer: GATEKEEPER_FOOTER,
+    buttons: [
+        { id: 'accept_terms', title: 'Acepto' },
+        { id: 'reject_terms', title: 'Cancelar' }
+    ]
+};
+
+const GHOST_CHECK_BODY = '¡Hola de nuevo! 😊 Pasó media hora desde que elegiste a tu profesional. ¿Ya se puso en contacto con vos?';
+
+function ghostCheckButtons(ticketId) {
+    return [
+        { id: `GHOST_YES_${ticketId}`, title: '✅ Sí, ya hablamos' },
+        { id: `GHOST_NO_${ticketId}`, title: '❌ No, todavía no' }
+    ];
+}
+
 /**
- * Envía un mensaje interactivo con botones para la aceptación de Términos y Condiciones.
- * @param {string} phoneNumber - Número del destinatario.
+ * Envía un mensaje interactivo con botones de respuesta (máximo 3, título ≤ 20 caracteres).
+ * @param {string} phoneNumber
+ * @param {string} body
+ * @param {Array<{ id: string, title: string }>} buttons
+ * @param {object} [opts]
+ * @param {string} [opts.footer]
+ * @param {string} [opts.logRole]
+ * @param {string} [opts.logTag]
+ * @param {string} [opts.purpose]
+ * @param {boolean} [opts.proactive]
+ * @param {boolean} [opts.urgent]
  */
-async function sendTermsInteractiveMessage(phoneNumber) {
-    if (!token || !phoneNumberId) {
-        console.error('[Gatekeeper Error] Credenciales Meta no configuradas.');
-        return { success: false, error: 'META_WA_TOKEN or META_WA_PHONE_NUMBER_ID not configured' };
-    }
+async function sendWhatsAppButtons(phoneNumber, body, buttons, opts = {}) {
+    return postMessage(
+        phoneNumber,
+        {
+            type: 'interactive',
+            interactive: {
+                type: 'button',
+                body: { text: body },
+                ...(opts.footer ? { footer: { text: opts.footer } } : {}),
+                action: {
+                    buttons: buttons.map((b) => ({ type: 'reply', reply: { id: b.id, title: b.title } }))
+                }
+            }
+        },
+        { logBody: body, logRole: opts.logRole, logTag: opts.logTag || '[WhatsApp] interactive', purpose: opts.purpose, proactive: opts.proactive, urgent: opts.urgent }
+    );
+}
 
-    const formattedPhone = formatWhatsAppNumber(phoneNumber);
-    if (!formattedPhone) {
-        console.error('[Gatekeeper Error] Número inválido:', phoneNumber);
-        return { success: false, error: 'Invalid phone number' };
-    }
-    const to = formattedPhone.startsWith('549') ? '54' + formattedPhone.slice(3) : formattedPhone;
-
-    const payload = {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to,
-        type: 'interactive',
-        interactive: {
-            type: 'button',
-            body: { text: GATEKEEPER_BODY },
-            footer: { text: GATEKEEPER_FOOTER },
-            action: {
-                buttons: [
-                    { type: 'reply', reply: { id: 'accept_terms', title: 'Acepto' } },
-                    { type: 'reply', reply: { id: 'reject_terms', title: 'Cancelar' } }
-                ]
+/**
+ * Envía un mensaje interactivo de lista (hasta 10 filas en total; título de fila ≤ 24 caracteres,
+ * descripción ≤ 72, texto del botón ≤ 20). La respuesta llega como interactive.list_reply.
+ * @param {string} phoneNumber
+ * @param {string} body
+ * @param {object} list
+ * @param {string} list.buttonText - Texto del botón que despliega la lista.
+ * @param {Array<{ title?: string, rows: Array<{ id: string, title: string, description?: string }> }>} list.sections
+ * @param {string} [list.header]
+ * @param {string} [list.footer]
+ * @param {object} [opts]
+ * @param {string} [opts.logBody] - Default: body más las opciones numeradas.
+ * @param {string} [opts.logRole]
+ * @param {string} [opts.logTag]
+ * @param {string} [opts.purpose]
+ * @param {boolean} [opts.proactive]
+ * @param {boolean} [opts.urgent]
+ */
+async function sendWhatsAppList(phoneNumber, body, { buttonText, sections, header, footer }, opts = {}) {
+    const rows = sections.flatMap((section) => section.rows);
+    const logBody = opts.logBody || `${body}\n\n${rows.map((r, i) => `${i + 1}. ${r.title}`).join('\n')}`;
+    return postMessage(
+        phoneNumber,
+        {
+            type: 'interactive',
+            interactive: {
+                type: 'list',
+                ...(header ? { header: { type: 'text', text: header } } : {}),
+                body: { text: body },
+                ...(footer ? { footer: { text: footer } } : {}),
+                action: {
+                    button: buttonText,
+                    sections: sections.map((section) => ({
+                        ...(section.title ? { title: section.title } : {}),
+                        rows: section.rows.map((r) => ({
+                            id: r.id,
+                            title: r.title,
+                            ...(r.description ? { description: r.description } : {})
+                        }))
+                    }))
+                }
             }
-        }
-    };
+        },
+        { logBody, logRole: opts.logRole, logTag: opts.logTag || '[WhatsApp] list', purpose: opts.purpose, proactive: opts.proactive, urgent: opts.urgent }
+    );
+}
 
-    try {
-        const url = `${META_GRAPH_BASE}/${phoneNumberId}/messages`;
-        const { data } = await axios.post(url, payload, {
-            headers: {
-                Authorization: `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 15_000
-        });
-        const messageId = data?.messages?.[0]?.id;
-        console.log('[Gatekeeper] Mensaje interactivo enviado a Meta.', { to, messageId });
-        return { success: true, messageId };
-    } catch (err) {
-        console.error('[Gatekeeper Error] Fallo al enviar a Meta:', err.response?.data || err.message);
-        const message = err.response?.data?.error?.message || err.message;
-        return { success: false, error: message, metaError: err.response?.data };
+/**
+ * Envía un mensaje interactivo con un botón que abre una URL (cta_url; texto del botón ≤ 20 caracteres).
+ * @param {string} phoneNumber
+ * @param {string} body
+ * @param {{ displayText: string, url: string, header?: string, footer?: string }} cta
+ * @param {object} [opts]
+ * @param {string} [opts.logRole]
+ * @param {string} [opts.logTag]
+ * @param {string} [opts.purpose]
+ */
+async function sendWhatsAppCtaUrl(phoneNumber, body, { displayText, url, header, footer }, opts = {}) {
+    return postMessage(
+        phoneNumber,
+        {
+            type: 'interactive',
+            interactive: {
+                type: 'cta_url',
+                ...(header ? { header: { type: 'text', text: header } } : {}),
+                body: { text: body },
+                ...(footer ? { footer: { text: footer } } : {}),
+                action: {
+                    name: 'cta_url',
+                    parameters: { display_text: displayText, url }
+                }
+            }
+        },
+        { logBody: `${body}\n${url}`, logRole: opts.logRole, logTag: opts.logTag || '[WhatsApp] cta_url', purpose: opts.purpose }
+    );
+}
+
+/**
+ * Envía un mensaje interactivo con botones para la aceptación de Términos y Condiciones.
+ * @param {string} phoneNumber - Número del destinatario.
+ */
+async function sendTermsInteractiveMessage(phoneNumber) {
+    const result = await sendWhatsAppButtons(phoneNumber, TERMS_PROMPT.body, TERMS_PROMPT.buttons, {
+        footer: TERMS_PROMPT.footer,
+        logTag: '[Gatekeeper Error]'
+    });
+    if (result.success) {
+        console.log('[Gatekeeper] Mensaje interactivo enviado a Meta.', { to: phoneNumber, messageId: result.messageId });
+    } else {
+        console.error('[Gatekeeper Error] Fallo al enviar a Meta:', result.metaError || result.error);
     }
+    return result;
 }
 
 /**
- * Envía un mensaje con los resultados del matchmaking y el link al frontend.
+ * Envía los resultados del matchmaking con un botón CTA al Magic Link.
  * @param {string} phoneNumber - Número del destinatario.
  * @param {number} matchCount - Cantidad de profesionales encontrados.
  * @param {number|string} ticketId - ID del ticket creado.
  */
 async function sendMatchResultsMessage(phoneNumber, matchCount, ticketId) {
-    const message = `¡Buenas noticias! 🚀 Encontré ${matchCount} profesionales disponibles para tu pedido.\n\nTocá el siguiente enlace para ver sus perfiles, reputación y elegir al que más te guste:\n${FRONTEND_URL}/pedidos/match/${ticketId}\n\n¡Avisame por acá cuando hayas elegido!`;
-    
-    // Meta API Cloud previsualiza enlaces automáticamente si el mensaje es de texto simple
-    return sendWhatsAppText(phoneNumber, message);
+    const body = `¡Buenas noticias! 🚀 Encontré ${matchCount} profesionales disponibles para tu pedido.\n\nTocá el botón para ver sus perfiles, reputación y elegir al que más te guste. ¡Avisame por acá cuando hayas elegido!`;
+    return sendWhatsAppCtaUrl(phoneNumber, body, {
+        displayText: 'Ver profesionales',
+        url: matchLink(ticketId)
+    }, { logTag: '[WhatsApp] match results' });
+}
+
+function matchLink(ticketId) {
+    return `${FRONTEND_URL}/pedidos/match/${ticketId}`;
+}
+
+/** Texto del Magic Link para canales sin botones CTA (Telegram, SMS). */
+function buildMatchResultsText(matchCount, ticketId) {
+    return `¡Buenas noticias! 🚀 Encontré ${matchCount} profesionales disponibles para tu pedido.\n\nTocá el siguiente enlace para ver sus perfiles, reputación y elegir al que más te guste:\n${matchLink(ticketId)}\n\n¡Avisame por acá cuando hayas elegido!`;
 }
 
 /**
  * Envía al cliente el mensaje interactivo anti-ghosting (¿ya te contactó el profesional?).
  * @param {string} phoneNumber - Número del cliente (ticket.phone_number).
  * @param {number|string} ticketId - ID del ticket (para payloads de botones).
- * @returns {Promise<{ success: boolean, messageId?: string, error?: string }>}
+ * @param {object} [opts]
+ * @param {boolean} [opts.urgent] - Exento del horario de entrega.
+ * @returns {Promise<{ success: boolean, messageId?: string, error?: string, deferred?: boolean }>}
  */
-async function sendGhostCheckInteractiveMessage(phoneNumber, ticketId) {
-    if (!token || !phoneNumberId) {
-        return { success: false, error: 'META_WA_TOKEN or META_WA_PHONE_NUMBER_ID not configured' };
-    }
-
-    const formattedPhone = formatWhatsAppNumber(phoneNumber);
-    if (!formattedPhone) return { success: false, error: 'Invalid phone number' };
-    const to = formattedPhone.startsWith('549') ? '54' + formattedPhone.slice(3) : formattedPhone;
+async function sendGhostCheckInteractiveMessage(phoneNumber, ticketId, opts = {}) {
+    return sendWhatsAppButtons(phoneNumber, GHOST_CHECK_BODY, ghostCheckButtons(ticketId), {
+        logTag: '[WhatsApp] ghost check interactive',
+        purpose: MESSAGE_PURPOSES.ENGAGEMENT,
+        proactive: true,
+        urgent: opts.urgent
+    });
+}
 
-    const idYes = `GHOST_YES_${ticketId}`;
-    const idNo = `GHOST_NO_${ticketId}`;
+/**
+ * Opciones del follow-up de contacto directo. El id lleva la respuesta canónica (1-4) que entiende
+ * followup-reply.service, aunque en el re-contacto "no hubo acuerdo" se muestre en tercer lugar.
+ */
+const FOLLOWUP_REPLY_PREFIX = 'FOLLOWUP_';
 
-    try {
-        const url = `${META_GRAPH_BASE}/${phoneNumberId}/messages`;
-        const { data } = await axios.post(
-            url,
-            {
-                messaging_product: 'whatsapp',
-                to,
-                type: 'interactive',
-                interactive: {
-                    type: 'button',
-                    body: {
-                        text: '¡Hola de nuevo! 😊 Pasó media hora desde que elegiste a tu profesional. ¿Ya se puso en contacto con vos?'
-                    },
-                    action: {
-                        buttons: [
-                            { type: 'reply', reply: { id: idYes, title: '✅ Sí, ya hablamos' } },
-                            { type: 'reply', reply: { id: idNo, title: '❌ No, todavía no' } }
-                        ]
-                    }
-                }
-            },
-            {
-                headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
-                timeout: 15_000
-            }
-        );
-        return { success: true, messageId: data?.messages?.[0]?.id };
-    } catch (err) {
-        const message = err.response?.data?.error?.message || err.message;
-        console.error('[WhatsApp] ghost check interactive send error:', message);
-        return { success: false, error: message };
-    }
+function followupOptions(isRecontact) {
+    return isRecontact
+        ? [
+            { id: `${FOLLOWUP_REPLY_PREFIX}1`, title: 'Sí, ya se realizó' },
+            { id: `${FOLLOWUP_REPLY_PREFIX}2`, title: 'Seguimos coordinando' },
+            { id: `${FOLLOWUP_REPLY_PREFIX}4`, title: 'No hubo acuerdo', description: 'Al final no nos pusimos de acuerdo' }
+        ]
+        : [
+            { id: `${FOLLOWUP_REPLY_PREFIX}1`, title: 'Sí, ya se realizó', description: 'El trabajo ya está hecho' },
+            { id: `${FOLLOWUP_REPLY_PREFIX}2`, title: 'Lo estamos coordinando' },
+            { id: `${FOLLOWUP_REPLY_PREFIX}3`, title: 'No me contactó' },
+            { id: `${FOLLOWUP_REPLY_PREFIX}4`, title: 'No hubo acuerdo', description: 'Al final no nos pusimos de acuerdo' }
+        ];
 }
 
 /**
  * Envía el follow-up post-contacto directo al cliente.
+ * Con la ventana de 24 h abierta va como lista interactiva; si no, por plantilla (el cliente responde
+ * tipeando el número, que sigue funcionando igual).
  * @param {string} phoneNumber  - Teléfono del cliente.
  * @param {object} opts
  * @param {string} opts.clientName   - Nombre del cliente.
@@ -241,12 +451,26 @@ async function sendDirectContactFollowup(phoneNumber, { clientName, providerName
         ? `¿Finalmente pudiste hacer el trabajo con ${providerName} para "${description}"?`
         : `Hace ${days} días contactaste a ${providerName} (${category}) por miservicio para "${description}". ¿Cómo resultó?`;
 
+    if (await isServiceWindowOpen(phoneNumber, getScheduledSendAt({ proactive: true }))) {
+        const result = await sendWhatsAppList(phoneNumber, `${intro}\n\n${contextLine}`, {
+            buttonText: 'Elegir respuesta',
+            sections: [{ rows: followupOptions(isRecontact) }],
+            footer: isRecontact ? `Intento ${attempt} de 3` : undefined
+        }, { logTag: '[WhatsApp] followup list', purpose: MESSAGE_PURPOSES.ENGAGEMENT, proactive: true });
+        return { ...result, via: 'session' };
+    }
+
     const options = isRecontact
         ? `1️⃣ Sí, ya se realizó\n2️⃣ Seguimos coordinando\n3️⃣ Al final no nos pusimos de acuerdo\n\nRespondé con 1, 2 o 3. (Intento ${attempt} de 3)`
         : `1️⃣ Sí, el trabajo ya se realizó\n2️⃣ Todavía lo estamos coordinando\n3️⃣ No me contactó\n4️⃣ Al final no nos pusimos de acuerdo\n\nRespondé con 1, 2, 3 o 4.`;
 
     const body = `${intro}\n\n${contextLine}\n\n${options}`;
-    return sendWhatsAppText(phoneNumber, body);
+    // Días después del contacto: casi siempre fuera de la ventana de 24 h → plantilla.
+    return sendProactiveText(phoneNumber, body, {
+        templateKey: 'direct_contact_followup',
+        templateParams: { clientName, providerName, category, description },
+        purpose: MESSAGE_PURPOSES.ENGAGEMENT
+    });
 }
 
 /**
@@ -268,7 +492,7 @@ async function sendAmountQuestion(phoneNumber, providerName) {
 async function sendReviewLink(phoneNumber, providerName, providerId) {
     const link = `${FRONTEND_URL}/proveedores/${providerId}?review=1`;
     const body = `Si quedaste conforme con el trabajo, podés dejarle una reseña a ${providerName} desde la página. Le ayuda mucho a conseguir más clientes 💪\n\n👉 ${link}\n\n¡Gracias por usar miservicio!`;
-    return sendWhatsAppText(phoneNumber, body);
+    return sendWhatsAppText(phoneNumber, body, { purpose: MESSAGE_PURPOSES.ENGAGEMENT });
 }
 
 /**
@@ -291,10 +515,23 @@ async function sendNoAgreementClosure(phoneNumber, category) {
 }
 
 module.exports = {
+    TERMS_PROMPT,
+    GHOST_CHECK_BODY,
+    ghostCheckButtons,
+    FOLLOWUP_REPLY_PREFIX,
+    followupOptions,
     formatWhatsAppNumber,
     sendWhatsAppText,
+    sendWhatsAppTemplate,
+    sendWhatsAppButtons,
+    sendWhatsAppList,
+    sendWhatsAppCtaUrl,
+    sendProactiveText,
+    isServiceWindowOpen,
+    toChatLogPhone,
     sendTermsInteractiveMessage,
     sendMatchResultsMessage,
+    buildMatchResultsText,
     sendGhostCheckInteractiveMessage,
     sendDirectContactFollowup,
     sendAmountQuestion,
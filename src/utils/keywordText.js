@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Texto normalizado para comparar palabras clave: minúsculas, sin tildes ni signos,
+ * espacios simples. "¡Quiero CANCELAR!" → "quiero cancelar".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeKeywordText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N} ]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * true si el texto (ya normalizado) contiene la frase completa, con límite de palabra:
+ * "cancela" no matchea dentro de "cancelación".
+ * @param {string} normalizedText
+ * @param {string} phrase
+ */
+function containsPhrase(normalizedText, phrase) {
+    return ` ${normalizedText} `.includes(` ${normalizeKeywordText(phrase)} `);
+}
+
+module.exports = { normalizeKeywordText, containsPhrase };
@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Identidad de números de teléfono: parseo a E.164 canónico con metadata de país.
+ *
+ * Formato canónico = E.164 sin "+" (solo dígitos). Es la clave que se guarda en users, chat_logs,
+ * tickets.phone_number / provider_phone, outbox, etc. Para Argentina coincide con el formato
+ * histórico 549... (móvil con el 9), así que los datos existentes no cambian.
+ *
+ * Formato de envío a Meta (toMetaSendFormat): en Argentina la API acepta el número sin el 9
+ * (54 + área + número), que es como se venía enviando; para el resto es igual al canónico.
+ *
+ * Países con reglas propias: AR, CL, UY. Números con "+" / "00" de otros países se aceptan tal cual
+ * (country null). Sin prefijo internacional se interpretan como nacionales de PHONE_DEFAULT_COUNTRY
+ * (default AR).
+ */
+
+const COUNTRIES = {
+    AR: {
+        code: '54',
+        // Nacional: área + número = 10 dígitos. Móviles: "9" tras el código de país (internacional)
+        // o "15" tras el código de área (formato local viejo).
+        parseNational(national) {
+            let n = national;
+            if (n.length === 11 && n.startsWith('9')) n = n.slice(1);
+            if (n.length === 12) {
+                const areaLen = [2, 3, 4].find((len) => n.slice(len, len + 2) === '15');
+                if (areaLen) n = n.slice(0, areaLen) + n.slice(areaLen + 2);
+            }
+            if (!/^[1-9]\d{9}$/.test(n)) return null;
+            // WhatsApp solo funciona con móviles: cualquier número AR se trata como móvil.
+            return { nationalNumber: n, digits: `549${n}`, metaSend: `54${n}`, mobile: true };
+        },
+    },
+    CL: {
+        code: '56',
+        // 9 dígitos; móviles empiezan con 9.
+        parseNational(national) {
+            if (!/^[2-9]\d{8}$/.test(national)) return null;
+            return { nationalNumber: national, digits: `56${national}`, metaSend: `56${national}`, mobile: national.startsWith('9') };
+        },
+    },
+    UY: {
+        code: '598',
+        // 8 dígitos; móviles empiezan con 9.
+        parseNational(national) {
+            if (!/^[2-9]\d{7}$/.test(national)) return null;
+            return { nationalNumber: national, digits: `598${national}`, metaSend: `598${national}`, mobile: national.startsWith('9') };
+        },
+    },
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(COUNTRIES);
+
+function getDefaultCountry() {
+    const configured = (process.env.PHONE_DEFAULT_COUNTRY || '').trim().toUpperCase();
+    return COUNTRIES[configured] ? configured : 'AR';
+}
+
+function buildResult(country, parsed) {
+    return {
+        country,
+        countryCode: COUNTRIES[country].code,
+        nationalNumber: parsed.nationalNumber,
+        mobile: parsed.mobile,
+        digits: parsed.digits,
+        e164: `+${parsed.digits}`,
+        metaSend: parsed.metaSend,
+    };
+}
+
+function parseInternational(digits) {
+    for (const country of SUPPORTED_COUNTRIES) {
+        const { code, parseNational } = COUNTRIES[country];
+        if (digits.startsWith(code)) {
+            const parsed = parseNational(digits.slice(code.length));
+            if (parsed) return buildResult(country, parsed);
+        }
+    }
+    return null;
+}
+
+/**
+ * Parsea un número en cualquier formato (local, con 0 / 15, 54..., 549..., +56..., 00598...).
+ * @param {string|number} input
+ * @param {object} [opts]
+ * @param {string} [opts.defaultCountry] - AR | CL | UY para números sin prefijo internacional.
+ * @returns {{ country: string|null, countryCode: string|null, nationalNumber: string, mobile: boolean|null, digits: string, e164: string, metaSend: string } | null}
+ */
+function parsePhoneNumber(input, opts = {}) {
+    if (input == null) return null;
+    const raw = String(input).trim();
+    if (!raw) return null;
+
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.startsWith('+');
+    if (!international && digits.startsWith('00')) {
+        digits = digits.slice(2);
+        international = true;
+    }
+    if (!digits) return null;
+
+    const fromCode = parseInternational(digits);
+    if (fromCode) return fromCode;
+
+    if (!international) {
+        const country = COUNTRIES[opts.defaultCountry] ? opts.defaultCountry : getDefaultCountry();
+        const parsed = COUNTRIES[country].parseNational(digits.replace(/^0/, ''));
+        if (parsed) return buildResult(country, parsed);
+    }
+
+    // Otro país: se acepta si tiene forma de E.164 (8 a 15 dígitos, con prefijo o largo internacional).
+    if ((international || digits.length >= 11) && digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0')) {
+        return { country: null, countryCode: null, nationalNumber: digits, mobile: null, digits, e164: `+${digits}`, metaSend: digits };
+    }
+    return null;
+}
+
+/** Canónico (E.164 sin "+") o null si no se puede interpretar. */
+function toCanonicalPhone(input, opts) {
+    return parsePhoneNumber(input, opts)?.digits || null;
+}
+
+/** E.164 con "+" o null. */
+function toE164(input, opts) {
+    return parsePhoneNumber(input, opts)?.e164 || null;
+}
+
+/** Número como se envía en el campo "to" de la Cloud API de Meta, o null. */
+function toMetaSendFormat(input, opts) {
+    return parsePhoneNumber(input, opts)?.metaSend || null;
+}
+
+module.exports = {
+    SUPPORTED_COUNTRIES,
+    parsePhoneNumber,
+    toCanonicalPhone,
+    toE164,
+    toMetaSendFormat,
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Redacción de datos personales antes de mandar texto de la conversación a un LLM.
+ *
+ * Emails, CUIT/CUIL, DNI, teléfonos y direcciones (calle + altura) se reemplazan por marcadores
+ * ([EMAIL_1], [DNI_1], [TELEFONO_1], [DIRECCION_1]...) y se guardan en un vault; con el mismo vault,
+ * restoreText / restoreValue vuelven a poner los valores en la respuesta del modelo (ej. la dirección
+ * queda en zone / description del ticket). El mismo valor recibe siempre el mismo marcador dentro de un vault.
+ *
+ * Funciones puras (sin red ni DB): las reglas se pueden probar aisladas con redactText.
+ *
+ * Alcance: solo texto. Las notas de voz y las fotos se mandan a Gemini sin redactar (no hay forma de sacar
+ * los datos del archivo); sí se redacta el caption de la foto, y la transcripción / descripción que vuelve
+ * pasa por la redacción como cualquier mensaje cuando entra a la conversación.
+ *
+ * PII_REDACTION — "off" la desactiva para el deployment (default on).
+ */
+
+const { parsePhoneNumber } = require('./phoneNumber');
+
+// Primeras palabras que, seguidas de un número, no son una calle ("Hace 15 días", "Tengo 20 años").
+const NON_STREET_WORDS = new Set([
+    'hace', 'tengo', 'tiene', 'son', 'hay', 'necesito', 'desde', 'hasta', 'unos', 'unas', 'como', 'cada',
+    'por', 'para', 'entre', 'mas', 'más', 'pago', 'cuesta', 'sale', 'salen', 'mide', 'aprox', 'aproximadamente',
+    'modelo', 'año', 'años', 'piso', 'depto', 'dpto', 'barrio', 'hoy', 'mañana', 'dia', 'día', 'el', 'la', 'los', 'las',
+]);
+
+// Lo que sigue a un número y lo convierte en cantidad, no en altura de una calle.
+const QUANTITY_AFTER = /^\s*(?:d[ií]as?|a[nñ]os?|horas?|hs|min(?:utos)?|semanas?|mes(?:es)?|pesos|mil|metros?|mts?|m2|cm|litros?|lts?|kg|kilos?|frigor[ií]as|watts?|w|v|volts?|%|°)(?![\p{L}\p{N}])/iu;
+
+/**
+ * Reglas en orden de aplicación (las más específicas primero, para que un DNI no se tome como teléfono).
+ * group: redactar solo ese grupo del match. accept(value, text, index): filtro extra.
+ */
+const PII_RULES = [
+    {
+        label: 'EMAIL',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g,
+    },
+    {
+        label: 'CUIT',
+        pattern: /(?<![\p{L}\p{N}])(?:20|23|24|27|30|33|34)-?\d{8}-?\d(?![\p{L}\p{N}])/gu,
+    },
+    {
+        label: 'DNI',
+        pattern: /(?<![\p{L}\p{N}])(?:dni|d\.n\.i\.?|documento)\s*(?:n(?:ro|°|º)?\.?\s*)?:?\s*(\d{1,2}\.?\d{3}\.?\d{3})(?![\p{L}\p{N}])/giu,
+        group: 1,
+    },
+    {
+        // Sin palabra clave solo el formato con puntos (12.345.678), y no si es un monto ($ 12.345.678).
+        label: 'DNI',
+        pattern: /(?<![\p{L}\p{N}.,])\d{2}\.\d{3}\.\d{3}(?![\p{L}\p{N}]|[.,]\d)/gu,
+        accept: (_value, text, index) => !/\$\s*$/.test(text.slice(0, index)),
+    },
+    {
+        label: 'TELEFONO',
+        pattern: /(?<![\p{L}\p{N}@_])\+?\d[\d\s().-]{6,18}\d(?![\p{L}\p{N}])/gu,
+        accept: (value, text, index) => {
+            const digits = value.replace(/\D/g, '');
+            if (digits.length < 8 || digits.length > 15) return false;
+            if (/\$\s*$/.test(text.slice(0, index))) return false;
+            return digits.length >= 10 || Boolean(parsePhoneNumber(value));
+        },
+    },
+    {
+        label: 'DIRECCION',
+        pattern: /(?<![\p{L}\p{N}])(?:calle|avenida|av\.|av|pasaje|pje\.?|boulevard|bulevar|bv\.?|diagonal)\s+[^\n,;:!?()[\]]{2,40}?\s+(?:n(?:ro|°|º)\.?\s*)?\d{1,5}(?![\p{L}\p{N}])/giu,
+    },
+    {
+        label: 'DIRECCION',
+        pattern: /(?<![\p{L}\p{N}])(?:direcci[oó]n|domicilio|vivo en|queda en)\s*(?:es\s+|:\s*)?(?:en\s+)?((?:[\p{L}.']+\s+){1,4}(?:n(?:ro|°|º)\.?\s*)?\d{1,5})(?![\p{L}\p{N}])/giu,
+        group: 1,
+        accept: (value, text, index) => !QUANTITY_AFTER.test(text.slice(index + value.length)),
+    },
+    {
+        // Nombre con mayúscula + altura ("San Martín 1234"). Puede tomar marca + modelo ("Whirlpool 450"):
+        // se restaura igual en la respuesta, solo que el modelo no ve el número.
+        label: 'DIRECCION',
+        pattern: /(?<![\p{L}\p{N}])\p{Lu}[\p{Ll}.]+(?:\s+(?:(?:de|del|la|las|los|y)\s+)?\p{Lu}[\p{Ll}.]+){0,3}\s+\d{2,5}(?![\p{L}\p{N}])/gu,
+        accept: (value, text, index) => {
+            const firstWord = value.split(/\s+/)[0].replace(/\.$/, '').toLowerCase();
+            if (NON_STREET_WORDS.has(firstWord)) return false;
+            return !QUANTITY_AFTER.test(text.slice(index + value.length));
+        },
+    },
+];
+
+const PLACEHOLDER_PATTERN = /\[?\b(EMAIL|CUIT|DNI|TELEFONO|DIRECCION)_(\d+)\b\]?/g;
+
+function isPiiRedactionEnabled() {
+    const value = (process.env.PII_REDACTION || '').trim().toLowerCase();
+    return !['off', 'false', '0'].includes(value);
+}
+
+/** Vault de una llamada: marcador → valor original. */
+function createRedactionVault() {
+    return { values: new Map(), placeholders: new Map(), counters: {} };
+}
+
+function placeholderFor(vault, label, value) {
+    const key = `${label}:${value.trim().toLowerCase()}`;
+    if (vault.placeholders.has(key)) return vault.placeholders.get(key);
+    vault.counters[label] = (vault.counters[label] || 0) + 1;
+    const placeholder = `[${label}_${vault.counters[label]}]`;
+    vault.placeholders.set(key, placeholder);
+    vault.values.set(placeholder, value.trim());
+    return placeholder;
+}
+
+function applyRule(text, rule, vault) {
+    rule.pattern.lastIndex = 0;
+    return text.replace(rule.pattern, (...args) => {
+        const match = args[0];
+        const offset = args.find((a, i) => i > 0 && typeof a === 'number');
+        const value = rule.group ? args[rule.group] : match;
+        if (!value) return match;
+        const start = offset + (rule.group ? match.indexOf(value) : 0);
+        if (rule.accept && !rule.accept(value, text, start)) return match;
+        const trimmed = value.trim();
+        const lead = value.slice(0, value.indexOf(trimmed));
+        const trail = value.slice(value.indexOf(trimmed) + trimmed.length);
+        return match.replace(value, `${lead}${placeholderFor(vault, rule.label, trimmed)}${trail}`);
+    });
+}
+
+/**
+ * Reemplaza los datos personales del texto por marcadores.
+ * @param {string} text
+ * @param {object} vault - createRedactionVault(); se completa con los valores encontrados.
+ * @returns {string}
+ */
+function redactText(text, vault) {
+    if (!text || typeof text !== 'string') return text;
+    return PII_RULES.reduce((acc, rule) => applyRule(acc, rule, vault), text);
+}
+
+/**
+ * Redacta las partes de texto de un historial en formato contents de Gemini ({ role, parts }).
+ * @returns {Array<object>} Copia redactada (el original no se modifica).
+ */
+function redactContents(contents, vault) {
+    return (contents || []).map((item) => ({
+        ...item,
+        parts: (item.parts || []).map((part) => (typeof part.text === 'string' ? { ...part, text: redactText(part.text, vault) } : part)),
+    }));
+}
+
+/**
+ * Vuelve a poner los valores originales en lugar de los marcadores del vault.
+ * @param {string} text
+ * @param {object} vault
+ * @param {{ json?: boolean }} [opts] - json: el texto es JSON y los valores se insertan escapados.
+ * @returns {string}
+ */
+function restoreText(text, vault, { json = false } = {}) {
+    if (!text || typeof text !== 'string' || vault.values.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (match, label, n) => {
+        const value = vault.values.get(`[${label}_${n}]`);
+        if (value == null) return match;
+        return json ? JSON.stringify(value).slice(1, -1) : value;
+    });
+}
+
+/** restoreText aplicado a todos los strings de un valor (objeto, array o string). */
+function restoreValue(value, vault) {
+    if (typeof value === 'string') return restoreText(value, vault);
+    if (Array.isArray(value)) return value.map((v) => restoreValue(v, vault));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restoreValue(v, vault)]));
+    }
+    return value;
+}
+
+module.exports = {
+    PII_RULES,
+    isPiiRedactionEnabled,
+    createRedactionVault,
+    redactText,
+    redactContents,
+    restoreText,
+    restoreValue,
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * Horario de entrega de mensajes proactivos (los que no responden a un mensaje recién recibido).
+ *
+ * QUIET_HOURS_ENABLED — "false" para desactivar (default activo).
+ * QUIET_HOURS_TZ — zona horaria del horario (default America/Argentina/Mendoza).
+ * PROACTIVE_WINDOW_START / PROACTIVE_WINDOW_END — "HH:MM" local (default 09:00 a 21:00). Si el inicio
+ *   es mayor que el fin, la ventana cruza la medianoche.
+ * QUIET_HOURS_EXEMPT_URGENT — "true" para que los tickets con urgencia alta/urgente salgan igual.
+ * QUIET_HOURS_EXEMPT_CATEGORIES — slugs o categorías exentas, separadas por coma (ej. "gasistas").
+ */
+
+const DEFAULT_TZ = 'America/Argentina/Mendoza';
+const URGENT_LEVELS = ['alta', 'urgente'];
+
+function parseHourMinute(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return fallback;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return fallback;
+    return hours * 60 + minutes;
+}
+
+function getQuietHoursConfig() {
+    return {
+        enabled: String(process.env.QUIET_HOURS_ENABLED || '').toLowerCase() !== 'false',
+        timeZone: (process.env.QUIET_HOURS_TZ || '').trim() || DEFAULT_TZ,
+        startMinutes: parseHourMinute(process.env.PROACTIVE_WINDOW_START, 9 * 60),
+        endMinutes: parseHourMinute(process.env.PROACTIVE_WINDOW_END, 21 * 60),
+        exemptUrgent: String(process.env.QUIET_HOURS_EXEMPT_URGENT || '').toLowerCase() === 'true',
+        exemptCategories: (process.env.QUIET_HOURS_EXEMPT_CATEGORIES || '')
+            .split(',')
+            .map((c) => c.trim().toLowerCase())
+            .filter(Boolean),
+    };
+}
+
+/** Minutos desde la medianoche local en la zona indicada. */
+function localMinutes(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+    const hour = Number(parts.find((p) => p.type === 'hour').value);
+    const minute = Number(parts.find((p) => p.type === 'minute').value);
+    return hour * 60 + minute;
+}
+
+function isWithinDeliveryWindow(date = new Date(), config = getQuietHoursConfig()) {
+    if (!config.enabled) return true;
+    const now = localMinutes(date, config.timeZone);
+    const { startMinutes: start, endMinutes: end } = config;
+    if (start === end) return true;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Momento en que un mensaje proactivo puede salir: null si ya está dentro de la ventana,
+ * si no el próximo inicio de ventana.
+ * @param {Date} [date]
+ * @returns {Date|null}
+ */
+function getDeferral(date = new Date()) {
+    const config = getQuietHoursConfig();
+    if (isWithinDeliveryWindow(date, config)) return null;
+    const now = localMinutes(date, config.timeZone);
+    const minutesUntilStart = (config.startMinutes - now + 1440) % 1440 || 1440;
+    const next = new Date(date.getTime() + minutesUntilStart * 60_000);
+    next.setUTCSeconds(0, 0);
+    return next;
+}
+
+/**
+ * ¿El ticket puede saltarse el horario? Según QUIET_HOURS_EXEMPT_URGENT y QUIET_HOURS_EXEMPT_CATEGORIES.
+ * @param {{ urgency?: string, category?: string, category_slug?: string }} [ticket]
+ */
+function isQuietHoursExempt(ticket) {
+    if (!ticket) return false;
+    const config = getQuietHoursConfig();
+    if (config.exemptUrgent && URGENT_LEVELS.includes(String(ticket.urgency || '').trim().toLowerCase())) {
+        return true;
+    }
+    const categories = [ticket.category_slug, ticket.category]
+        .filter(Boolean)
+        .map((c) => String(c).trim().toLowerCase());
+    return categories.some((c) => config.exemptCategories.includes(c));
+}
+
+module.exports = {
+    getQuietHoursConfig,
+    isWithinDeliveryWindow,
+    getDeferral,
+    isQuietHoursExempt,
+};
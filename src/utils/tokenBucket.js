@@ -0,0 +1,69 @@
+'use strict';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Token bucket en memoria para pacing de llamadas salientes.
+ * take() espera (en orden FIFO) hasta que haya un token; pauseFor() frena el bucket entero
+ * (ej. cuando el proveedor responde que superamos el límite).
+ *
+ * @param {object} opts
+ * @param {number} opts.ratePerSecond - Tokens repuestos por segundo.
+ * @param {number} [opts.burst] - Capacidad máxima (default = ratePerSecond).
+ */
+function createTokenBucket({ ratePerSecond, burst }) {
+    const capacity = burst || ratePerSecond;
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let waiting = 0;
+    let chain = Promise.resolve();
+
+    function refill(now) {
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    }
+
+    async function acquire() {
+        for (;;) {
+            const now = Date.now();
+            if (now < pausedUntil) {
+                await sleep(pausedUntil - now);
+                continue;
+            }
+            refill(now);
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+            await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        }
+    }
+
+    function take() {
+        waiting++;
+        const turn = chain.then(acquire).finally(() => { waiting--; });
+        chain = turn.catch(() => {});
+        return turn;
+    }
+
+    function pauseFor(ms) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        tokens = 0;
+    }
+
+    function stats() {
+        refill(Date.now());
+        return {
+            ratePerSecond,
+            burst: capacity,
+            available: Math.floor(tokens),
+            waiting,
+            pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null,
+        };
+    }
+
+    return { take, pauseFor, stats };
+}
+
+module.exports = { createTokenBucket };
@@ -0,0 +1,82 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateIntakeResponse } = require('../src/config/intakeSchema');
+
+function response(overrides = {}) {
+    return {
+        isComplete: true,
+        extractedData: {
+            category: 'Plomería',
+            description: 'Pierde la canilla de la cocina',
+            zone: 'Godoy Cruz',
+            urgency: 'media',
+        },
+        replyToClient: 'Listo, ya tomé tu pedido.',
+        ...overrides,
+    };
+}
+
+test('respuesta completa y válida', () => {
+    const result = validateIntakeResponse(response());
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.value.extractedData, response().extractedData);
+    assert.equal(result.value.isComplete, true);
+});
+
+test('corrige mayúsculas y tildes en category y urgency', () => {
+    const result = validateIntakeResponse(response({
+        extractedData: { category: 'plomeria', description: null, zone: null, urgency: 'ALTA' },
+    }));
+    assert.equal(result.valid, true);
+    assert.equal(result.value.extractedData.category, 'Plomería');
+    assert.equal(result.value.extractedData.urgency, 'alta');
+});
+
+test('textos vacíos quedan en null y se recortan', () => {
+    const result = validateIntakeResponse(response({
+        extractedData: { category: null, description: '   ', zone: ' Maipú ', urgency: null },
+        replyToClient: '  ¿En qué zona estás?  ',
+    }));
+    assert.equal(result.valid, true);
+    assert.equal(result.value.extractedData.description, null);
+    assert.equal(result.value.extractedData.zone, 'Maipú');
+    assert.equal(result.value.replyToClient, '¿En qué zona estás?');
+});
+
+test('categoría o urgencia fuera de la lista es error', () => {
+    const result = validateIntakeResponse(response({
+        extractedData: { category: 'Carpintería', description: null, zone: null, urgency: 'ya mismo' },
+    }));
+    assert.equal(result.valid, false);
+    assert.equal(result.value, null);
+    assert.equal(result.errors.length, 2);
+});
+
+test('campos obligatorios con tipo incorrecto', () => {
+    const result = validateIntakeResponse({ isComplete: 'si', extractedData: [], replyToClient: '' });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.length, 3);
+});
+
+test('lo que no es un objeto se rechaza', () => {
+    for (const data of [null, 'texto', [], 42]) {
+        const result = validateIntakeResponse(data);
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, ['la respuesta debe ser un objeto JSON']);
+    }
+});
+
+test('intent: sin campo se asume service_request', () => {
+    assert.equal(validateIntakeResponse(response()).value.intent, 'service_request');
+});
+
+test('intent: provider_signup y valores inválidos', () => {
+    assert.equal(validateIntakeResponse(response({ intent: 'Provider_Signup' })).value.intent, 'provider_signup');
+    const invalid = validateIntakeResponse(response({ intent: 'registro' }));
+    assert.equal(invalid.valid, false);
+    assert.match(invalid.errors[0], /intent/);
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectPreferenceKeyword } = require('../src/services/opt-out.service');
+const { normalizeKeywordText, containsPhrase } = require('../src/utils/keywordText');
+
+test('normalizeKeywordText saca tildes, signos y espacios de más', () => {
+    assert.equal(normalizeKeywordText('  ¡No me escriban MÁS!!  '), 'no me escriban mas');
+    assert.equal(normalizeKeywordText(null), '');
+});
+
+test('containsPhrase solo matchea palabras completas', () => {
+    assert.equal(containsPhrase('por favor no me escriban mas gracias', 'no me escriban más'), true);
+    assert.equal(containsPhrase('necesito un gasista', 'gas'), false);
+});
+
+test('palabras sueltas de baja solo cuentan como mensaje completo', () => {
+    assert.equal(detectPreferenceKeyword('BAJA'), 'opt_out');
+    assert.equal(detectPreferenceKeyword('Stop.'), 'opt_out');
+    assert.equal(detectPreferenceKeyword('darme de baja'), 'opt_out');
+    assert.equal(detectPreferenceKeyword('se me baja la presión del agua'), null);
+    assert.equal(detectPreferenceKeyword('stop the leak'), null);
+});
+
+test('frases de baja cuentan dentro de un mensaje más largo', () => {
+    assert.equal(detectPreferenceKeyword('Hola, no me escriban más por favor'), 'opt_out');
+    assert.equal(detectPreferenceKeyword('ya está, no quiero recibir más mensajes!'), 'opt_out');
+});
+
+test('alta vuelve a habilitar los mensajes', () => {
+    assert.equal(detectPreferenceKeyword('ALTA'), 'opt_in');
+    assert.equal(detectPreferenceKeyword('la factura es muy alta'), null);
+});
+
+test('mensajes vacíos o sin palabra clave', () => {
+    assert.equal(detectPreferenceKeyword(''), null);
+    assert.equal(detectPreferenceKeyword(undefined), null);
+    assert.equal(detectPreferenceKeyword('necesito un plomero'), null);
+});
@@ -0,0 +1,21 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { backoffMs } = require('../src/services/outbox.service');
+
+test('backoffMs duplica la espera desde 30 s', () => {
+    assert.equal(backoffMs(1), 30_000);
+    assert.equal(backoffMs(2), 60_000);
+    assert.equal(backoffMs(3), 120_000);
+});
+
+test('backoffMs no pasa de 1 h', () => {
+    assert.equal(backoffMs(20), 60 * 60 * 1000);
+});
+
+test('backoffMs respeta un Retry-After mayor', () => {
+    assert.equal(backoffMs(1, 5 * 60_000), 5 * 60_000);
+    assert.equal(backoffMs(3, 1000), 120_000);
+});
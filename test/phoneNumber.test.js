@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePhoneNumber, toCanonicalPhone, toE164, toMetaSendFormat } = require('../src/utils/phoneNumber');
+
+test.beforeEach(() => {
+    delete process.env.PHONE_DEFAULT_COUNTRY;
+});
+
+test('formatos argentinos llegan al mismo canónico 549...', () => {
+    const inputs = [
+        '+54 9 261 555-1234',
+        '5492615551234',
+        '542615551234',
+        '0261 15 555-1234',
+        '261 15 5551234',
+        '2615551234',
+        '00 54 9 261 555 1234',
+        5492615551234,
+    ];
+    for (const input of inputs) {
+        assert.equal(toCanonicalPhone(input), '5492615551234', String(input));
+    }
+});
+
+test('formato de envío a Meta para Argentina va sin el 9', () => {
+    assert.equal(toMetaSendFormat('5492615551234'), '542615551234');
+    assert.equal(toE164('0261 15 555-1234'), '+5492615551234');
+});
+
+test('Buenos Aires con área de 2 dígitos y 15', () => {
+    assert.equal(toCanonicalPhone('011 15 4444-5555'), '5491144445555');
+});
+
+test('Chile y Uruguay', () => {
+    const cl = parsePhoneNumber('+56 9 8765 4321');
+    assert.equal(cl.country, 'CL');
+    assert.equal(cl.digits, '56987654321');
+    assert.equal(cl.mobile, true);
+    assert.equal(cl.metaSend, '56987654321');
+
+    const uy = parsePhoneNumber('00598 91 234 567');
+    assert.equal(uy.country, 'UY');
+    assert.equal(uy.digits, '59891234567');
+});
+
+test('números nacionales según PHONE_DEFAULT_COUNTRY o opts.defaultCountry', () => {
+    assert.equal(toCanonicalPhone('987654321', { defaultCountry: 'CL' }), '56987654321');
+    process.env.PHONE_DEFAULT_COUNTRY = 'uy';
+    assert.equal(toCanonicalPhone('91234567'), '59891234567');
+});
+
+test('otros países con prefijo internacional pasan tal cual', () => {
+    const uk = parsePhoneNumber('+44 7911 123456');
+    assert.equal(uk.country, null);
+    assert.equal(uk.digits, '447911123456');
+    assert.equal(uk.metaSend, '447911123456');
+});
+
+test('entradas inválidas devuelven null', () => {
+    for (const input of [null, undefined, '', '   ', '12345', 'tg:123456789', 'hola']) {
+        assert.equal(parsePhoneNumber(input), null, String(input));
+        assert.equal(toCanonicalPhone(input), null);
+    }
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRedactionVault, redactText, restoreText, restoreValue } = require('../src/utils/piiRedaction');
+
+test('redacta email, DNI, CUIT, teléfono y dirección', () => {
+    const vault = createRedactionVault();
+    const text = 'Mail juan.perez@gmail.com, DNI 30.123.456, CUIT 20-30123456-7. '
+        + 'Vivo en San Martín 1234, Godoy Cruz. Tel 261 15 555-1234';
+    assert.equal(
+        redactText(text, vault),
+        'Mail [EMAIL_1], DNI [DNI_1], CUIT [CUIT_1]. Vivo en [DIRECCION_1], Godoy Cruz. Tel [TELEFONO_1]'
+    );
+    assert.equal(restoreText(redactText(text, createRedactionVault()), vault), text);
+});
+
+test('el mismo valor recibe el mismo marcador dentro del vault', () => {
+    const vault = createRedactionVault();
+    assert.equal(redactText('juan@test.com', vault), '[EMAIL_1]');
+    assert.equal(redactText('otra vez JUAN@test.com y ana@test.com', vault), 'otra vez [EMAIL_1] y [EMAIL_2]');
+});
+
+test('cantidades y montos no se toman como datos personales', () => {
+    const vault = createRedactionVault();
+    const text = 'Hace 15 días que pierde, tengo 20 años y me cobraron $ 12.345.678';
+    assert.equal(redactText(text, vault), text);
+    assert.equal(vault.values.size, 0);
+});
+
+test('restoreText deja los marcadores que no están en el vault', () => {
+    const vault = createRedactionVault();
+    redactText('calle Belgrano 450', vault);
+    assert.equal(restoreText('[DIRECCION_1] / [DIRECCION_2] / [FOO_1]', vault), 'calle Belgrano 450 / [DIRECCION_2] / [FOO_1]');
+});
+
+test('restoreText en modo json escapa los valores', () => {
+    const vault = createRedactionVault();
+    vault.values.set('[DIRECCION_1]', 'Pasaje "El Sol" 12');
+    const restored = restoreText('{"zone":"[DIRECCION_1]"}', vault, { json: true });
+    assert.deepEqual(JSON.parse(restored), { zone: 'Pasaje "El Sol" 12' });
+});
+
+test('restoreValue recorre objetos y arrays', () => {
+    const vault = createRedactionVault();
+    redactText('Vivo en San Martín 1234', vault);
+    assert.deepEqual(
+        restoreValue({ zone: '[DIRECCION_1]', tags: ['[DIRECCION_1]'], isComplete: true }, vault),
+        { zone: 'San Martín 1234', tags: ['San Martín 1234'], isComplete: true }
+    );
+});
+
+test('texto vacío o no string pasa sin cambios', () => {
+    const vault = createRedactionVault();
+    assert.equal(redactText('', vault), '');
+    assert.equal(redactText(null, vault), null);
+    assert.equal(restoreText('[EMAIL_1]', vault), '[EMAIL_1]');
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDeferral, isQuietHoursExempt } = require('../src/utils/quietHours');
+
+const ENV_KEYS = [
+    'QUIET_HOURS_ENABLED',
+    'QUIET_HOURS_TZ',
+    'PROACTIVE_WINDOW_START',
+    'PROACTIVE_WINDOW_END',
+    'QUIET_HOURS_EXEMPT_URGENT',
+    'QUIET_HOURS_EXEMPT_CATEGORIES',
+];
+
+test.beforeEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+});
+
+// Mendoza es UTC-3 todo el año: 12:00Z son las 09:00 locales.
+
+test('dentro de la ventana no se difiere', () => {
+    assert.equal(getDeferral(new Date('2026-10-19T12:00:00Z')), null);
+    assert.equal(getDeferral(new Date('2026-10-19T23:59:00Z')), null);
+});
+
+test('antes de la ventana se difiere al inicio del mismo día', () => {
+    const deferral = getDeferral(new Date('2026-10-19T10:30:45Z'));
+    assert.equal(deferral.toISOString(), '2026-10-19T12:00:00.000Z');
+});
+
+test('después de la ventana se difiere al inicio del día siguiente', () => {
+    const deferral = getDeferral(new Date('2026-10-20T00:00:00Z'));
+    assert.equal(deferral.toISOString(), '2026-10-20T12:00:00.000Z');
+});
+
+test('ventana que cruza la medianoche', () => {
+    process.env.PROACTIVE_WINDOW_START = '22:00';
+    process.env.PROACTIVE_WINDOW_END = '06:00';
+    assert.equal(getDeferral(new Date('2026-10-19T04:00:00Z')), null);
+    assert.equal(
+        getDeferral(new Date('2026-10-19T15:00:00Z')).toISOString(),
+        '2026-10-20T01:00:00.000Z'
+    );
+});
+
+test('QUIET_HOURS_ENABLED=false no difiere nunca', () => {
+    process.env.QUIET_HOURS_ENABLED = 'false';
+    assert.equal(getDeferral(new Date('2026-10-19T06:00:00Z')), null);
+});
+
+test('horario inválido usa el default de 09:00 a 21:00', () => {
+    process.env.PROACTIVE_WINDOW_START = '25:00';
+    assert.equal(
+        getDeferral(new Date('2026-10-19T06:00:00Z')).toISOString(),
+        '2026-10-19T12:00:00.000Z'
+    );
+});
+
+test('exenciones por urgencia y categoría', () => {
+    assert.equal(isQuietHoursExempt({ urgency: 'urgente' }), false);
+    process.env.QUIET_HOURS_EXEMPT_URGENT = 'true';
+    process.env.QUIET_HOURS_EXEMPT_CATEGORIES = 'gasistas';
+    assert.equal(isQuietHoursExempt({ urgency: 'Urgente' }), true);
+    assert.equal(isQuietHoursExempt({ urgency: 'media', category_slug: 'gasistas' }), true);
+    assert.equal(isQuietHoursExempt({ urgency: 'baja', category: 'Plomeros' }), false);
+    assert.equal(isQuietHoursExempt(null), false);
+});
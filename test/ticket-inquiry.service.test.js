@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectTicketIntent } = require('../src/services/ticket-inquiry.service');
+
+test('pedidos de cancelación', () => {
+    for (const text of ['Quiero cancelar el pedido', 'CANCELALO por favor', 'ya no lo necesito, gracias', 'Anulen la visita']) {
+        assert.equal(detectTicketIntent(text), 'cancel', text);
+    }
+});
+
+test('una negación no cuenta como cancelación', () => {
+    assert.equal(detectTicketIntent('no quiero cancelar, solo saber cuándo viene'), 'status');
+    assert.equal(detectTicketIntent('no lo cancelen'), null);
+});
+
+test('pedidos de reprogramación', () => {
+    for (const text of ['¿Se puede reprogramar?', 'necesito cambiar el día', 'mejor otro día', 'quiero cambiar la urgencia']) {
+        assert.equal(detectTicketIntent(text), 'reschedule', text);
+    }
+});
+
+test('consultas de estado', () => {
+    for (const text of ['¿Qué pasó con mi pedido?', '¿Cuándo viene el técnico?', 'No me contactaron todavía', 'hay novedades?']) {
+        assert.equal(detectTicketIntent(text), 'status', text);
+    }
+});
+
+test('mensajes de un pedido nuevo no se toman como consulta', () => {
+    for (const text of [
+        'mi pedido es de plomería',
+        'cancela la deuda el cliente',
+        'necesito un gasista para mi casa',
+        'no vino el agua caliente',
+        'la canilla de mi solicitud anterior',
+    ]) {
+        assert.equal(detectTicketIntent(text), null, text);
+    }
+});
+
+test('texto vacío', () => {
+    assert.equal(detectTicketIntent(''), null);
+    assert.equal(detectTicketIntent(null), null);
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyMetaError } = require('../src/services/whatsapp-api.service');
+
+const metaError = (code) => ({ error: { code, message: 'test' } });
+
+test('límites de throughput se reintentan con pausa', () => {
+    for (const code of [4, 80007, 130429]) {
+        const result = classifyMetaError({ status: 400, metaError: metaError(code) });
+        assert.equal(result.action, 'delay');
+        assert.equal(result.retryable, true);
+        assert.ok(result.delayMs > 0);
+    }
+});
+
+test('131048 frena solo al destinatario', () => {
+    const result = classifyMetaError({ status: 400, metaError: metaError(131048) });
+    assert.equal(result.category, 'spam_rate_limit');
+    assert.equal(result.action, 'backoff_recipient');
+    assert.equal(result.retryable, true);
+    assert.ok(result.delayMs > 0);
+});
+
+test('131026 marca el número como no entregable', () => {
+    const result = classifyMetaError({ status: 400, metaError: metaError(131026) });
+    assert.equal(result.action, 'undeliverable');
+    assert.equal(result.retryable, false);
+});
+
+test('131050 falla solo ese mensaje', () => {
+    const result = classifyMetaError({ status: 400, metaError: metaError(131050) });
+    assert.equal(result.category, 'marketing_opt_out');
+    assert.equal(result.action, 'fail');
+    assert.equal(result.retryable, false);
+});
+
+test('token inválido (0 / 190) no se reintenta', () => {
+    for (const code of [0, 190]) {
+        const result = classifyMetaError({ status: 401, metaError: metaError(code) });
+        assert.equal(result.category, 'auth');
+        assert.equal(result.retryable, false);
+    }
+});
+
+test('el código de Meta puede venir como string', () => {
+    assert.equal(classifyMetaError({ status: 400, metaError: metaError('131047') }).category, 'window_closed');
+});
+
+test('sin código conocido se clasifica por status HTTP', () => {
+    assert.equal(classifyMetaError({ status: 429 }).action, 'delay');
+    assert.equal(classifyMetaError({ status: 503 }).action, 'retry');
+    assert.equal(classifyMetaError({}).action, 'retry');
+    const invalid = classifyMetaError({ status: 400, metaError: metaError(999999) });
+    assert.equal(invalid.code, 999999);
+    assert.equal(invalid.action, 'fail');
+    assert.equal(invalid.retryable, false);
+});